@@ -1,3 +1,6 @@
+import { WONDER_CARDS } from "./data/wonderCards.js";
+import { MANY_THINGS_CARDS } from "./data/manyThingsCards.js";
+
 // Canvas configuration
 export const CANVAS_CONFIG = {
   WIDTH: 1000,
@@ -10,49 +13,35 @@ export const CARD_CONFIG = {
   WIDTH: 400,
   HEIGHT: 560,
   SPACING: 20,
+  SPENT_ALPHA: 0.4, // opacity of Mischief cards spent on extra draws
 };
 
-// Tarot card deck configuration
+// Tarot card deck configuration (built from the card definitions)
 export const TAROT_CARDS = {
-  FULL: [
-    "beginning",
-    "champion",
-    "chancellor",
-    "chaos",
-    "coin",
-    "crown",
-    "dawn",
-    "day",
-    "destiny",
-    "dusk",
-    "end",
-    "isolation",
-    "justice",
-    "knife",
-    "lock",
-    "mischief",
-    "monster",
-    "mystery",
-    "night",
-    "order",
-    "student",
-    "vulture",
-  ],
-  REDUCED: [
-    "day",
-    "night",
-    "dawn",
-    "crown",
-    "lock",
-    "champion",
-    "chaos",
-    "order",
-    "beginning",
-    "end",
-    "monster",
-    "knife",
-    "mischief",
-  ],
+  FULL: WONDER_CARDS.map((card) => card.id),
+  REDUCED: WONDER_CARDS.filter((card) => card.reduced).map((card) => card.id),
+};
+
+// Built-in deck families and their card lists (TAROT_CARDS is the Deck of Wonder)
+export const DECK_FAMILIES = {
+  WONDER: "wonder",
+  MANY_THINGS: "many-things",
+};
+
+export const DECK_FAMILY_CARDS = {
+  [DECK_FAMILIES.WONDER]: TAROT_CARDS,
+  [DECK_FAMILIES.MANY_THINGS]: {
+    FULL: MANY_THINGS_CARDS.map((card) => card.id),
+    REDUCED: MANY_THINGS_CARDS.filter((card) => card.reduced).map(
+      (card) => card.id
+    ),
+  },
+};
+
+// Display names of the deck families
+export const DECK_FAMILY_NAMES = {
+  [DECK_FAMILIES.WONDER]: "Deck of Wonder",
+  [DECK_FAMILIES.MANY_THINGS]: "Deck of Many Things",
 };
 
 export const DECK_SIZES = {
@@ -63,7 +52,102 @@ export const DECK_SIZES = {
 
 export const DECK_CONFIG = {
   DEFAULT_SIZE: DECK_SIZES.FULL,
+  DEFAULT_FAMILY: DECK_FAMILIES.WONDER,
   MAX_DRAW: 20, // Maximum number of cards that can be drawn regardless of deck size
+  MAX_CARD_COPIES: 10, // Maximum copies of one card in a custom deck
+};
+
+// Monte Carlo simulator limits
+export const SIMULATION_CONFIG = {
+  DEFAULT_ITERATIONS: 20000,
+  MAX_ITERATIONS: 200000,
+};
+
+// Jobs of the simulation worker (see workers/simulationWorker.js)
+export const WORKER_TASKS = {
+  SIMULATE: "simulate", // Monte Carlo run (OutcomeSimulator)
+  ODDS: "odds", // Exact draw odds (DrawProbability)
+};
+
+// Exact draw odds next to the deck selector, calculated in the simulation worker
+export const DRAW_ODDS_CONFIG = {
+  DEBOUNCE_MS: 250, // Typing pause before the odds are calculated again
+  MAX_TRUNCATED: 0.05, // Beyond this share of uncounted outcomes, expected values are hidden
+};
+
+// Homebrew cards (stored in IndexedDB)
+export const HOMEBREW_CONFIG = {
+  DB_NAME: "wonder-shuffle",
+  DB_VERSION: 1,
+  STORE_NAME: "homebrew-cards",
+  ID_PREFIX: "homebrew-",
+  MAX_IMAGE_BYTES: 5 * 1024 * 1024,
+  IMAGE_TYPES: ["image/png", "image/jpeg", "image/webp", "image/gif"],
+};
+
+// Dice expression limits (see utils/diceExpression.js)
+export const DICE_CONFIG = {
+  MAX_DICE: 1000, // Dice rolled by one term, before explosions
+  MAX_SIDES: 10000,
+  MAX_REROLLS: 100, // Rerolls or explosions of a single die
+};
+
+// Draw history (stored in localStorage)
+export const HISTORY_CONFIG = {
+  STORAGE_KEY: "wonder-shuffle-history",
+  COUNTER_KEY: "wonder-shuffle-history-counter", // Entries ever recorded, for unique ids
+  MAX_ENTRIES: 100, // Oldest entries are dropped beyond this
+};
+
+// Loot tables edited by the DM (stored in localStorage, see models/LootTables.js)
+export const LOOT_CONFIG = {
+  STORAGE_KEY: "wonder-shuffle-loot-tables",
+  MAX_ENTRIES: 200, // Entries per table
+};
+
+// Named custom deck presets (see models/DeckPresets.js)
+export const PRESET_CONFIG = {
+  STORAGE_KEY: "wonder-shuffle-deck-presets",
+  MAX_PRESETS: 50,
+  MAX_NAME_LENGTH: 40,
+};
+
+// Undo and redo of the live session (see models/SessionHistory.js)
+export const UNDO_CONFIG = {
+  MAX_STEPS: 50, // Snapshots kept for undo
+};
+
+// File downloads (see utils/download.js)
+export const DOWNLOAD_CONFIG = {
+  REVOKE_DELAY_MS: 10000, // How long the download's object URL stays valid
+};
+
+// Shareable draw links (see utils/permalink.js)
+export const PERMALINK_CONFIG = {
+  HASH_KEY: "draw", // The link hash is "#draw=<encoded draw>"
+  VERSION: 1, // Bumped when the encoded fields change
+};
+
+// In-game clock (see models/GameClock.js)
+export const CLOCK_CONFIG = {
+  LONG_REST_MINUTES: 8 * 60, // A long rest also advances the clock
+  UNIT_MINUTES: { minute: 1, hour: 60, day: 24 * 60 },
+};
+
+// Kinds of effect duration on the in-game clock (see utils/durations.js)
+export const DURATION_TYPES = {
+  TIME: "time", // A number of minutes, hours or days
+  LONG_REST: "long-rest", // Until the next long rest
+  UNROLLED: "unrolled", // Dice not rolled yet, e.g. "1d4 minutes"
+};
+
+// Kinds of lines an effect shows (see CardEffects.getLines)
+export const EFFECT_LINES = {
+  RECORD: "record", // One effect record, e.g. "+2d10 to hit point maximum"
+  DURATION: "duration", // The card's duration, e.g. "For 8 hours"
+  TEXT: "text", // The card's rules text
+  RESISTANCE: "resistance", // A chosen resistance with its duration dice
+  REWARD: "reward", // The chosen reward with its total
 };
 
 // Animation and interaction constants
@@ -83,6 +167,22 @@ export const ANIMATION_CONSTANTS = {
   SMOOTH_SCROLL_DURATION: 300, // milliseconds
 };
 
+// Spread image export (see GameRenderer.extractSpread and renderers/SpreadImage.js)
+export const IMAGE_EXPORT_CONFIG = {
+  RESOLUTION: 3, // Image pixels per canvas pixel
+  PADDING: 24, // pixels around the cards and the captions
+  FONT_FAMILY:
+    '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Ubuntu, sans-serif',
+  TITLE_FONT_SIZE: 15, // pixels, before RESOLUTION
+  TEXT_FONT_SIZE: 13, // pixels, before RESOLUTION
+  LINE_HEIGHT: 1.4, // times the font size
+  CAPTION_GAP: 10, // pixels between captions
+  CAPTION_BACKGROUND: "#1a1a1a",
+  TITLE_COLOR: "#ffffff",
+  CURSE_COLOR: "#e74c3c",
+  TEXT_COLOR: "#e0e0e0",
+};
+
 // Layout constants
 export const LAYOUT_CONSTANTS = {
   CARDS_PER_ROW: 5,
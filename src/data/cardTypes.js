@@ -0,0 +1,126 @@
+/**
+ * Vocabulary used by declarative card definitions
+ */
+
+/**
+ * How an effect grows when the same card is drawn several times
+ * - NONE: one effect regardless of copies
+ * - BONUS: {amount} is perCopy × copies (e.g. +1 per copy)
+ * - DICE: {dice} is (perCopy × copies)d(die) (e.g. 2d10 per copy)
+ * - COUNT: one item, weapon, reward... per copy ({count})
+ */
+export const STACKING = {
+  NONE: "none",
+  BONUS: "bonus",
+  DICE: "dice",
+  COUNT: "count",
+};
+
+/**
+ * Choices a player makes for a card
+ * - RESISTANCE: one damage type per copy, lasting (copies)d(durationDie) units
+ * - REWARD: one reward option for all copies
+ */
+export const CHOICE_TYPES = {
+  RESISTANCE: "resistance",
+  REWARD: "reward",
+};
+
+/**
+ * Structured effect records, listed in a card's `effects` (see CardEffects.getRecords)
+ * String fields are templates like the card text: {count}, {amount} and {dice} are the
+ * stacked values, so one card's records share its dice (rolled once, e.g. End's damage
+ * and hit point maximum loss).
+ * - MODIFIER: {target (CHARACTER_STATS), value, ability?, min?, recurring?} changes a value
+ *   by a signed template ("+{amount}", "-{dice}", "+{proficiency}"), only for one ability's
+ *   saves or score with `ability`, never below `min`; `recurring` (RECURRING_ROLLS) rolls it
+ *   again on every such roll instead. {target, ability?, disadvantage: true} imposes
+ *   disadvantage instead of a value.
+ * - DAMAGE: {dice, damageType}
+ * - GRANT: {grant (GRANT_TYPES), name, quantity?, plural?}, plus `uses` or `cantrip` for
+ *   spells, `range` (feet) for senses and `abilities` for saving throw proficiencies
+ *   (the first one the character lacks)
+ * - CHOICE: built from the card's `choice`, not listed in `effects`
+ *
+ * A card's `duration` is {amount, unit} (amount a number or dice, unit "minute", "hour"
+ * or "day") or {untilLongRest: true}.
+ */
+export const EFFECT_TYPES = {
+  MODIFIER: "modifier",
+  DAMAGE: "damage",
+  GRANT: "grant",
+  CHOICE: "choice",
+};
+
+/**
+ * What a GRANT record gives
+ */
+export const GRANT_TYPES = {
+  SPELL: "spell",
+  ITEM: "item",
+  SENSE: "sense",
+  PROFICIENCY: "proficiency",
+  FEATURE: "feature",
+};
+
+/**
+ * Rolls that a recurring MODIFIER applies to, each time they are made while the effect lasts
+ * - SAVING_THROW: every saving throw (Monster)
+ */
+export const RECURRING_ROLLS = {
+  SAVING_THROW: "saving-throw",
+};
+
+/**
+ * Values a MODIFIER changes; CharacterSheet.applyEffects tracks all but XP and ability scores
+ * - HP / HP_MAX: current and maximum hit points
+ * - SAVES: saving throw modifiers
+ * - WEAPON: weapon attack and damage rolls
+ * - INITIATIVE: initiative modifier
+ * - XP: experience points
+ * - ABILITY_SCORE: an ability score
+ */
+export const CHARACTER_STATS = {
+  HP: "hp",
+  HP_MAX: "hpMax",
+  SAVES: "saves",
+  WEAPON: "weaponBonus",
+  INITIATIVE: "initiative",
+  XP: "xp",
+  ABILITY_SCORE: "abilityScore",
+};
+
+/**
+ * Ways a curse can be resolved, listed in a card's `resolutions`
+ * - REMOVE_CURSE: ended early by a Remove Curse spell or similar magic
+ * - CHECK: a d20 check or saving throw, {check, dc, success, failure}; with `retry` a failed
+ *   check can be tried again until it succeeds or `deadline` minutes pass on the in-game
+ *   clock (the curse is then resolved with `missed`), otherwise it resolves either way
+ */
+export const CURSE_RESOLUTIONS = {
+  REMOVE_CURSE: "remove-curse",
+  CHECK: "check",
+};
+
+/**
+ * Special draw behaviors
+ * - STOP: no more cards are drawn (Isolation)
+ * - REDRAW: one extra draw that counts as the same declared draw (Mystery)
+ * - EXTRA: each copy gives its reward (e.g. reward: "item") or is spent for extraDraws
+ *   additional cards (Mischief); see EXTRA_DRAW_DECISIONS
+ */
+export const DRAW_BEHAVIORS = {
+  STOP: "stop",
+  REDRAW: "redraw",
+  EXTRA: "extra",
+};
+
+/**
+ * Decision made for each copy of an EXTRA card
+ * - REWARD: take the card's reward (Mischief's wondrous item, Jester's XP)
+ * - DRAW: spend the card on its extra draws; it stays in the spread, marked as spent
+ */
+export const EXTRA_DRAW_DECISIONS = {
+  REWARD: "reward",
+  DRAW: "draw",
+};
@@ -0,0 +1,58 @@
+/**
+ * Default loot tables for cards whose result is left to the DM
+ * A card's `loot` is {table, quantity}: the table id, and how many results its effect
+ * gives as a template like "{count}". Each table is {id, name, entries: [{item, weight}]};
+ * an entry is picked with a chance of its weight over the table's total weight. The DM
+ * can edit them in "Loot Tables".
+ */
+export const DEFAULT_LOOT_TABLES = [
+  {
+    id: "uncommon-weapons",
+    name: "Uncommon magic weapons",
+    entries: [
+      { item: "+1 Longsword", weight: 4 },
+      { item: "+1 Shortsword", weight: 3 },
+      { item: "+1 Dagger", weight: 3 },
+      { item: "+1 Longbow", weight: 3 },
+      { item: "+1 Warhammer", weight: 2 },
+      { item: "+1 Battleaxe", weight: 2 },
+      { item: "Longsword of Warning", weight: 1 },
+      { item: "Javelin of Lightning", weight: 1 },
+      { item: "Trident of Fish Command", weight: 1 },
+      { item: "Sword of Vengeance", weight: 1 },
+    ],
+  },
+  {
+    id: "uncommon-wondrous-items",
+    name: "Uncommon wondrous items",
+    entries: [
+      { item: "Bag of Holding", weight: 3 },
+      { item: "Cloak of Protection", weight: 3 },
+      { item: "Boots of Elvenkind", weight: 2 },
+      { item: "Goggles of Night", weight: 2 },
+      { item: "Gloves of Thievery", weight: 2 },
+      { item: "Hat of Disguise", weight: 2 },
+      { item: "Pearl of Power", weight: 2 },
+      { item: "Decanter of Endless Water", weight: 1 },
+      { item: "Eyes of the Eagle", weight: 1 },
+      { item: "Bracers of Archery", weight: 1 },
+      { item: "Winged Boots", weight: 1 },
+    ],
+  },
+  {
+    id: "nonmagical-items",
+    name: "Nonmagical items",
+    entries: [
+      { item: "Backpack", weight: 3 },
+      { item: "Bedroll", weight: 3 },
+      { item: "Rope (50 feet)", weight: 3 },
+      { item: "Waterskin", weight: 3 },
+      { item: "Tinderbox", weight: 2 },
+      { item: "Spellbook or holy symbol", weight: 2 },
+      { item: "Main weapon", weight: 2 },
+      { item: "Shield", weight: 1 },
+      { item: "Coin pouch", weight: 2 },
+      { item: "Thieves' tools or instrument", weight: 1 },
+    ],
+  },
+];
@@ -0,0 +1,286 @@
+import {
+  STACKING,
+  CHOICE_TYPES,
+  DRAW_BEHAVIORS,
+  CHARACTER_STATS,
+  EFFECT_TYPES,
+  GRANT_TYPES,
+} from "./cardTypes.js";
+
+/**
+ * Deck of Many Things card definitions
+ *
+ * Same format as the Deck of Wonder definitions (`text` holds only what the effect
+ * records don't). There is no art for this deck yet,
+ * so `image: null` makes CardRenderer draw a placeholder with the card's name.
+ * `reduced` marks the cards of the 13-card deck.
+ */
+export const MANY_THINGS_CARDS = [
+  {
+    id: "vizier",
+    image: null,
+    effects: [
+      {
+        type: EFFECT_TYPES.GRANT,
+        grant: GRANT_TYPES.FEATURE,
+        name: "A truthful answer to one question, within a year",
+      },
+    ],
+    text: "You ask the question in meditation and mentally receive the answer. Besides information, the answer helps you solve a puzzling problem or other dilemma.",
+  },
+  {
+    id: "sun",
+    image: null,
+    reduced: true,
+    stacking: { rule: STACKING.BONUS, perCopy: 50000 },
+    effects: [
+      {
+        type: EFFECT_TYPES.MODIFIER,
+        target: CHARACTER_STATS.XP,
+        value: "+{amount}",
+      },
+      {
+        type: EFFECT_TYPES.GRANT,
+        grant: GRANT_TYPES.ITEM,
+        name: "random wondrous item",
+        quantity: "{count}",
+      },
+    ],
+    text: {
+      one: "The DM determines the item randomly; it appears in your hands.",
+      many: "The DM determines the items randomly; they appear in your hands.",
+    },
+  },
+  {
+    id: "moon",
+    image: null,
+    reduced: true,
+    stacking: { rule: STACKING.DICE, perCopy: 1, die: 3 },
+    effects: [
+      {
+        type: EFFECT_TYPES.GRANT,
+        grant: GRANT_TYPES.SPELL,
+        name: "Wish",
+        uses: "{dice}",
+      },
+    ],
+  },
+  {
+    id: "star",
+    image: null,
+    reduced: true,
+    stacking: { rule: STACKING.COUNT },
+    effects: [
+      {
+        type: EFFECT_TYPES.GRANT,
+        grant: GRANT_TYPES.FEATURE,
+        name: "+2 to an ability score (up to 24)",
+        quantity: "{count}",
+      },
+    ],
+    text: {
+      one: "The score can exceed 20.",
+      many: "Each increase can go to the same or a different score, which can exceed 20.",
+    },
+  },
+  {
+    id: "comet",
+    image: null,
+    text: "If you single-handedly defeat the next hostile monster or group of monsters you encounter, you gain experience points enough to gain one level. Otherwise, this card has no effect.",
+  },
+  {
+    id: "throne",
+    image: null,
+    reduced: true,
+    effects: [
+      {
+        type: EFFECT_TYPES.GRANT,
+        grant: GRANT_TYPES.PROFICIENCY,
+        name: "Persuasion (double proficiency bonus)",
+      },
+      {
+        type: EFFECT_TYPES.GRANT,
+        grant: GRANT_TYPES.ITEM,
+        name: "small keep held by monsters",
+        quantity: "1",
+      },
+    ],
+    text: "You gain rightful ownership of the keep, somewhere in the world. However, you must clear out the monsters before you can claim the keep as yours.",
+  },
+  {
+    id: "key",
+    image: null,
+    reduced: true,
+    stacking: { rule: STACKING.COUNT },
+    effects: [
+      {
+        type: EFFECT_TYPES.GRANT,
+        grant: GRANT_TYPES.ITEM,
+        name: "rare or rarer magic weapon",
+        quantity: "{count}",
+      },
+    ],
+    text: {
+      one: "The weapon, one you're proficient with, appears in your hands. The DM chooses it.",
+      many: "The weapons, ones you're proficient with, appear in your hands. The DM chooses them.",
+    },
+  },
+  {
+    id: "knight",
+    image: null,
+    reduced: true,
+    stacking: { rule: STACKING.COUNT },
+    effects: [
+      {
+        type: EFFECT_TYPES.GRANT,
+        grant: GRANT_TYPES.FEATURE,
+        name: "4th-level fighter in your service",
+        plural: "4th-level fighters in your service",
+        quantity: "{count}",
+      },
+    ],
+    text: {
+      one: "The fighter appears in a space you choose within 30 feet of you and serves you loyally until death, believing the fates have drawn them to you. You control this character.",
+      many: "The fighters appear in spaces you choose within 30 feet of you and serve you loyally until death, believing the fates have drawn them to you. You control these characters.",
+    },
+  },
+  {
+    id: "gem",
+    image: null,
+    stacking: { rule: STACKING.COUNT },
+    choice: {
+      type: CHOICE_TYPES.REWARD,
+      options: [
+        { value: "jewelry", label: "Jewelry", quantity: 25, worth: 2000 },
+        { value: "gems", label: "Gems", quantity: 50, worth: 1000 },
+      ],
+      text: "{quantity} {label}, each worth {worth} gp, appear at your feet. (total: {total} gp)",
+    },
+  },
+  {
+    id: "talons",
+    image: null,
+    isCurse: true,
+    text: "Every magic item you wear or carry disintegrates. Artifacts in your possession aren't destroyed but do vanish.",
+  },
+  {
+    id: "void",
+    image: null,
+    reduced: true,
+    isCurse: true,
+    draw: { type: DRAW_BEHAVIORS.STOP },
+    text: "This black card spells disaster. Your soul is drawn from your body and contained in an object in a place of the DM's choice. One or more powerful beings guard the place. While your soul is trapped in this way, your body is incapacitated. A Wish spell can't restore your soul, but the spell reveals the location of the object that holds it. You draw no more cards.",
+  },
+  {
+    id: "flames",
+    image: null,
+    reduced: true,
+    isCurse: true,
+    text: "A powerful devil becomes your enemy. The devil seeks your ruin and plagues your life, savoring your suffering before attempting to slay you. This enmity lasts until either you or the devil dies.",
+  },
+  {
+    id: "skull",
+    image: null,
+    reduced: true,
+    isCurse: true,
+    text: "You summon an avatar of death, a ghostly humanoid skeleton clad in a tattered black robe and carrying a spectral scythe. It appears in a space of the DM's choice within 10 feet of you and attacks you, warning all others that you must win the battle alone. The avatar fights until you die or it drops to 0 hit points, whereupon it disappears. If anyone tries to help you, the helper summons its own avatar of death. A creature slain by an avatar of death can't be restored to life.",
+  },
+  {
+    id: "idiot",
+    image: null,
+    isCurse: true,
+    stacking: { rule: STACKING.DICE, perCopy: 1, die: 4 },
+    effects: [
+      {
+        type: EFFECT_TYPES.MODIFIER,
+        target: CHARACTER_STATS.ABILITY_SCORE,
+        ability: "int",
+        value: "-({dice}+{count})",
+      },
+    ],
+    text: "The reduction is permanent, but can't lower the score below 1.",
+  },
+  {
+    id: "donjon",
+    image: null,
+    isCurse: true,
+    draw: { type: DRAW_BEHAVIORS.STOP },
+    text: "You disappear and become entombed in a state of suspended animation in an extradimensional sphere. Everything you were wearing and carrying stays behind in the space you occupied when you disappeared. You remain imprisoned until you are found and removed from the sphere. You can't be located by any divination magic, but a Wish spell can reveal the location of your prison. You draw no more cards.",
+  },
+  {
+    id: "ruin",
+    image: null,
+    reduced: true,
+    isCurse: true,
+    text: "All forms of wealth that you carry or own, other than magic items, are lost to you. Portable property vanishes. Businesses, buildings, and land you own are lost in a way that alters reality the least. Any documentation that proves you should own something lost to this card also disappears.",
+  },
+  {
+    id: "euryale",
+    image: null,
+    reduced: true,
+    isCurse: true,
+    stacking: { rule: STACKING.BONUS, perCopy: 2 },
+    effects: [
+      {
+        type: EFFECT_TYPES.MODIFIER,
+        target: CHARACTER_STATS.SAVES,
+        value: "-{amount}",
+      },
+    ],
+    text: "The card's medusa-like visage curses you. Only a god or the magic of The Fates card can end this curse.",
+  },
+  {
+    id: "rogue",
+    image: null,
+    reduced: true,
+    isCurse: true,
+    stacking: { rule: STACKING.COUNT },
+    text: {
+      one: "A nonplayer character of the DM's choice becomes hostile toward you. The identity of your new enemy isn't known until the NPC or someone else reveals it. Nothing less than a Wish spell or divine intervention can end the NPC's hostility toward you.",
+      many: "{count} nonplayer characters of the DM's choice become hostile toward you. The identities of your new enemies aren't known until the NPCs or someone else reveals them. Nothing less than a Wish spell or divine intervention can end their hostility toward you.",
+    },
+  },
+  {
+    id: "balance",
+    image: null,
+    isCurse: true,
+    text: "Your mind suffers a wrenching alteration, causing your alignment to change. Lawful becomes chaotic, good becomes evil, and vice versa. If you are true neutral or unaligned, this card has no effect on you.",
+  },
+  {
+    id: "fool",
+    image: null,
+    isCurse: true,
+    stacking: { rule: STACKING.BONUS, perCopy: 10000 },
+    draw: { type: DRAW_BEHAVIORS.REDRAW },
+    effects: [
+      {
+        type: EFFECT_TYPES.MODIFIER,
+        target: CHARACTER_STATS.XP,
+        value: "-{amount}",
+      },
+    ],
+    text: "If losing that much XP would cause you to lose a level, you instead lose an amount that leaves you with just enough XP to keep your level. Discard this card and draw from the deck again, counting both draws as one of your declared draws.",
+  },
+  {
+    id: "jester",
+    image: null,
+    reduced: true,
+    stacking: { rule: STACKING.BONUS, perCopy: 10000 },
+    draw: { type: DRAW_BEHAVIORS.EXTRA, extraDraws: 2, reward: "XP" },
+    text: "You gain {amount} XP, or you can draw {extraDraws} additional cards beyond your declared draws.",
+  },
+  {
+    id: "fates",
+    image: null,
+    stacking: { rule: STACKING.COUNT },
+    effects: [
+      {
+        type: EFFECT_TYPES.GRANT,
+        grant: GRANT_TYPES.FEATURE,
+        name: "Erase one event as if it never happened",
+        quantity: "{count}",
+      },
+    ],
+    text: "Reality's fabric unravels and spins anew. You can use the card's magic as soon as you draw the card or at any other time before you die.",
+  },
+];
@@ -0,0 +1,336 @@
+import {
+  STACKING,
+  CHOICE_TYPES,
+  DRAW_BEHAVIORS,
+  RECURRING_ROLLS,
+  CHARACTER_STATS,
+  CURSE_RESOLUTIONS,
+  EFFECT_TYPES,
+  GRANT_TYPES,
+} from "./cardTypes.js";
+
+/**
+ * Deck of Wonder card definitions
+ *
+ * `effects` and `duration` model what a card does (see EFFECT_TYPES); the effect lines
+ * players see are generated from them (see CardEffects.getLines). `text` is the rest of
+ * the card's rules, so it repeats none of their values. Text templates accept {count},
+ * {amount}, {dice} and {extraDraws}; a template can be a string or {one, many} when the
+ * wording changes with the number of copies. `reduced` marks the cards of the 13-card deck.
+ */
+export const WONDER_CARDS = [
+  {
+    id: "beginning",
+    reduced: true,
+    stacking: { rule: STACKING.DICE, perCopy: 2, die: 10 },
+    effects: [
+      {
+        type: EFFECT_TYPES.MODIFIER,
+        target: CHARACTER_STATS.HP_MAX,
+        value: "+{dice}",
+      },
+      {
+        type: EFFECT_TYPES.MODIFIER,
+        target: CHARACTER_STATS.HP,
+        value: "+{dice}",
+      },
+    ],
+    duration: { amount: 8, unit: "hour" },
+    text: "Both increases are the same roll. Only the hit point maximum goes back down when the duration ends.",
+  },
+  {
+    id: "champion",
+    reduced: true,
+    stacking: { rule: STACKING.BONUS, perCopy: 1 },
+    effects: [
+      {
+        type: EFFECT_TYPES.MODIFIER,
+        target: CHARACTER_STATS.WEAPON,
+        value: "+{amount}",
+      },
+    ],
+    duration: { amount: 8, unit: "hour" },
+  },
+  {
+    id: "chancellor",
+    effects: [
+      {
+        type: EFFECT_TYPES.GRANT,
+        grant: GRANT_TYPES.SPELL,
+        name: "Augury",
+        uses: "1",
+      },
+    ],
+    duration: { amount: 8, unit: "hour" },
+    text: "Cast it as an action, requiring no material components. Use your Intelligence, Wisdom, or Charisma as the spellcasting ability (your choice).",
+  },
+  {
+    id: "chaos",
+    reduced: true,
+    stacking: { rule: STACKING.COUNT },
+    choice: {
+      type: CHOICE_TYPES.RESISTANCE,
+      options: ["acid", "cold", "fire", "lightning", "thunder"],
+      durationDie: 12,
+      durationUnit: "days",
+    },
+  },
+  {
+    id: "coin",
+    stacking: { rule: STACKING.COUNT },
+    choice: {
+      type: CHOICE_TYPES.REWARD,
+      options: [
+        { value: "jewelry", label: "Jewelry", quantity: 5, worth: 100 },
+        { value: "gemstones", label: "Gemstones", quantity: 10, worth: 50 },
+      ],
+      text: "{quantity} {label}, each worth {worth} gp, appear at your feet. (total: {total} gp)",
+    },
+  },
+  {
+    id: "crown",
+    reduced: true,
+    effects: [
+      {
+        type: EFFECT_TYPES.GRANT,
+        grant: GRANT_TYPES.SPELL,
+        name: "Friends",
+        cantrip: true,
+      },
+    ],
+    text: "Use your Intelligence, Wisdom, or Charisma as the spellcasting ability (your choice). If you already know this cantrip, the card has no effect.",
+  },
+  {
+    id: "dawn",
+    reduced: true,
+    effects: [
+      {
+        type: EFFECT_TYPES.MODIFIER,
+        target: CHARACTER_STATS.INITIATIVE,
+        value: "+{proficiency}",
+      },
+    ],
+    duration: { amount: 8, unit: "hour" },
+    text: "This card invigorates you.",
+  },
+  {
+    id: "day",
+    reduced: true,
+    stacking: { rule: STACKING.BONUS, perCopy: 1 },
+    effects: [
+      {
+        type: EFFECT_TYPES.MODIFIER,
+        target: CHARACTER_STATS.SAVES,
+        value: "+{amount}",
+      },
+    ],
+    duration: { untilLongRest: true },
+  },
+  {
+    id: "destiny",
+    effects: [
+      {
+        type: EFFECT_TYPES.GRANT,
+        grant: GRANT_TYPES.FEATURE,
+        name: "Drop to 1 hit point instead of 0, once",
+      },
+    ],
+    text: "This card protects you against an untimely demise: it saves you the first time you would drop to 0 hit points from taking damage after drawing it.",
+  },
+  {
+    id: "dusk",
+    isCurse: true,
+    effects: [
+      {
+        type: EFFECT_TYPES.MODIFIER,
+        target: CHARACTER_STATS.INITIATIVE,
+        disadvantage: true,
+      },
+    ],
+    duration: { untilLongRest: true },
+    resolutions: [{ type: CURSE_RESOLUTIONS.REMOVE_CURSE }],
+    text: "This card supernaturally saps your energy. A Remove Curse spell or similar magic ends the effect early.",
+  },
+  {
+    id: "end",
+    reduced: true,
+    isCurse: true,
+    stacking: { rule: STACKING.DICE, perCopy: 2, die: 10 },
+    effects: [
+      { type: EFFECT_TYPES.DAMAGE, dice: "{dice}", damageType: "necrotic" },
+      {
+        type: EFFECT_TYPES.MODIFIER,
+        target: CHARACTER_STATS.HP_MAX,
+        value: "-{dice}",
+        min: 10,
+      },
+    ],
+    duration: { untilLongRest: true },
+    resolutions: [{ type: CURSE_RESOLUTIONS.REMOVE_CURSE }],
+    text: "This card is an omen of death. Your hit point maximum is reduced by the damage taken. A Remove Curse spell or similar magic ends the reduction early.",
+  },
+  {
+    id: "isolation",
+    isCurse: true,
+    draw: { type: DRAW_BEHAVIORS.STOP },
+    duration: { amount: "1d4", unit: "minute" },
+    resolutions: [
+      {
+        type: CURSE_RESOLUTIONS.CHECK,
+        check: "Constitution saving throw",
+        dc: 11,
+        success: "Not poisoned",
+        failure: "Poisoned for 1 hour",
+      },
+    ],
+    text: "You disappear, along with anything you are wearing or carrying, and become trapped in a harmless extradimensional space. You draw no more cards. You then reappear in the space you left or the nearest unoccupied space, and must make the saving throw below as your body reels from the extradimensional travel.",
+  },
+  {
+    id: "justice",
+    effects: [
+      {
+        type: EFFECT_TYPES.GRANT,
+        grant: GRANT_TYPES.FEATURE,
+        name: "Cancel advantage or disadvantage within 60 feet as a reaction",
+      },
+    ],
+    duration: { amount: 8, unit: "hour" },
+    text: "You momentarily gain the ability to balance the scales of fate, on the d20 rolls of yourself and the creatures around you.",
+  },
+  {
+    id: "knife",
+    reduced: true,
+    stacking: { rule: STACKING.COUNT },
+    effects: [
+      {
+        type: EFFECT_TYPES.GRANT,
+        grant: GRANT_TYPES.ITEM,
+        name: "uncommon magic weapon",
+        quantity: "{count}",
+      },
+    ],
+    loot: { table: "uncommon-weapons", quantity: "{count}" },
+    text: {
+      one: "The weapon, one you're proficient with, appears in your hands. The DM chooses it.",
+      many: "The weapons, ones you're proficient with, appear in your hands. The DM chooses them.",
+    },
+  },
+  {
+    id: "lock",
+    reduced: true,
+    stacking: { rule: STACKING.DICE, perCopy: 1, die: 3 },
+    effects: [
+      {
+        type: EFFECT_TYPES.GRANT,
+        grant: GRANT_TYPES.SPELL,
+        name: "Knock",
+        uses: "{dice}",
+      },
+    ],
+    text: "Use your Intelligence, Wisdom, or Charisma as the spellcasting ability (your choice).",
+  },
+  {
+    id: "mischief",
+    reduced: true,
+    stacking: { rule: STACKING.COUNT },
+    draw: { type: DRAW_BEHAVIORS.EXTRA, extraDraws: 2, reward: "item" },
+    // One item per copy taken instead of spent on extra draws
+    loot: { table: "uncommon-wondrous-items", quantity: "{count}" },
+    text: {
+      one: "You receive an uncommon wondrous item (chosen by the DM), or you can draw {extraDraws} additional cards beyond your declared draws.",
+      many: "You receive {count} uncommon wondrous items (chosen by the DM), or you can draw {extraDraws} additional cards beyond your declared draws.",
+    },
+  },
+  {
+    id: "monster",
+    reduced: true,
+    isCurse: true,
+    stacking: { rule: STACKING.DICE, perCopy: 1, die: 4 },
+    effects: [
+      {
+        type: EFFECT_TYPES.MODIFIER,
+        target: CHARACTER_STATS.SAVES,
+        value: "-{dice}",
+        // The penalty is rolled on every saving throw, so "Roll Dice" leaves it alone
+        recurring: RECURRING_ROLLS.SAVING_THROW,
+      },
+    ],
+    duration: { untilLongRest: true },
+    resolutions: [{ type: CURSE_RESOLUTIONS.REMOVE_CURSE }],
+    text: "This card's monstrous visage curses you. Subtract the roll from each saving throw's total. A Remove Curse spell or similar magic ends the curse early.",
+  },
+  {
+    id: "mystery",
+    isCurse: true,
+    draw: { type: DRAW_BEHAVIORS.REDRAW },
+    effects: [
+      {
+        type: EFFECT_TYPES.MODIFIER,
+        target: CHARACTER_STATS.SAVES,
+        ability: "int",
+        disadvantage: true,
+      },
+    ],
+    duration: { amount: 1, unit: "hour" },
+    text: "Discard this card and draw from the deck again; together, the two draws count as one of your declared draws.",
+  },
+  {
+    id: "night",
+    reduced: true,
+    effects: [
+      {
+        type: EFFECT_TYPES.GRANT,
+        grant: GRANT_TYPES.SENSE,
+        name: "darkvision",
+        range: 300,
+      },
+    ],
+    duration: { amount: 8, unit: "hour" },
+  },
+  {
+    id: "order",
+    reduced: true,
+    stacking: { rule: STACKING.COUNT },
+    choice: {
+      type: CHOICE_TYPES.RESISTANCE,
+      options: ["force", "necrotic", "poison", "psychic", "radiant"],
+      durationDie: 12,
+      durationUnit: "days",
+    },
+  },
+  {
+    id: "student",
+    effects: [
+      {
+        type: EFFECT_TYPES.GRANT,
+        grant: GRANT_TYPES.PROFICIENCY,
+        name: "saving throws",
+        abilities: ["wis", "int", "cha"],
+      },
+    ],
+    text: "If you already have the first proficiency, you choose between the others.",
+  },
+  {
+    id: "vulture",
+    isCurse: true,
+    stacking: { rule: STACKING.COUNT },
+    duration: { amount: 1, unit: "hour" },
+    loot: { table: "nonmagical-items", quantity: "{count}" },
+    resolutions: [
+      {
+        type: CURSE_RESOLUTIONS.CHECK,
+        check: "Wisdom (Perception) check",
+        dc: 15,
+        retry: true,
+        deadline: 60,
+        success: "Recovered",
+        failure: "Not found yet",
+        missed: "Not recovered within 1 hour, gone forever",
+      },
+    ],
+    text: {
+      one: "One nonmagical item or piece of equipment in your possession (chosen by the DM) disappears. The item remains nearby but concealed, so it can be found with the check below; once the duration ends, it disappears forever.",
+      many: "{count} nonmagical items or pieces of equipment in your possession (chosen by the DM) disappear. The items remain nearby but concealed, so they can be found with the check below; once the duration ends, they disappear forever.",
+    },
+  },
+];
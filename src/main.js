@@ -1,10 +1,49 @@
-import { DECK_SIZES, DECK_CONFIG } from "./constants.js";
+import {
+  DECK_SIZES,
+  DECK_CONFIG,
+  DRAW_ODDS_CONFIG,
+  WORKER_TASKS,
+} from "./constants.js";
 import { AppInitializer } from "./core/AppInitializer.js";
 import { DeckManager } from "./models/DeckManager.js";
 import { CardRenderer } from "./renderers/CardRenderer.js";
 import { GameRenderer } from "./renderers/GameRenderer.js";
 import { EffectsRenderer } from "./renderers/EffectsRenderer.js";
 import { UIManager } from "./managers/UIManager.js";
+import { SimulatorPanel } from "./managers/SimulatorPanel.js";
+import { HomebrewEditor } from "./managers/HomebrewEditor.js";
+import { PhysicalDeckPanel } from "./managers/PhysicalDeckPanel.js";
+import { HistoryPanel } from "./managers/HistoryPanel.js";
+import { RecurringRollPanel } from "./managers/RecurringRollPanel.js";
+import { CharacterPanel } from "./managers/CharacterPanel.js";
+import { ClockPanel } from "./managers/ClockPanel.js";
+import { LootTablePanel } from "./managers/LootTablePanel.js";
+import { SharePanel } from "./managers/SharePanel.js";
+import { ExportPanel } from "./managers/ExportPanel.js";
+import { DeckPresetPanel } from "./managers/DeckPresetPanel.js";
+import { UndoPanel } from "./managers/UndoPanel.js";
+import { DrawSession } from "./models/DrawSession.js";
+import { DrawHistory } from "./models/DrawHistory.js";
+import { CardEffects } from "./models/CardEffects.js";
+import { CardRegistry } from "./models/CardRegistry.js";
+import { CharacterSheet } from "./models/CharacterSheet.js";
+import { GameClock } from "./models/GameClock.js";
+import { LootTables } from "./models/LootTables.js";
+import { DeckPresets } from "./models/DeckPresets.js";
+import { SessionHistory } from "./models/SessionHistory.js";
+import {
+  setSeed,
+  getStream,
+  RNG_STREAMS,
+  saveStreams,
+  restoreStreams,
+} from "./utils/rng.js";
+import { rollDiceExpression } from "./utils/diceRoller.js";
+import {
+  isDrawHash,
+  encodeDrawHash,
+  decodeDrawHash,
+} from "./utils/permalink.js";
 
 /**
  * Main game class that orchestrates all game components
@@ -17,7 +56,37 @@ class CardGame {
     this.gameRenderer = null;
     this.effectsRenderer = null;
     this.uiManager = null;
+    this.simulatorPanel = null;
+    // Pending recalculation of the exact draw odds, and the worker running one
+    this.drawOddsTimer = null;
+    this.drawOddsWorker = null;
+    this.homebrewEditor = null;
+    this.physicalDeckPanel = null;
+    this.drawHistory = null;
+    this.historyPanel = null;
+    this.sharePanel = null;
+    this.exportPanel = null;
+    this.recurringRollPanel = null;
+    this.characterPanel = null;
+    this.lootTables = new LootTables();
+    this.lootTablePanel = null;
+    this.deckPresets = new DeckPresets();
+    this.deckPresetPanel = null;
+    this.sessionHistory = new SessionHistory();
+    this.undoPanel = null;
+    // Whether undo or redo is putting a snapshot back, and whether changes belong to
+    // a step already remembered (applying the character rolls the effects' dice)
+    this.restoringSession = false;
+    this.withinSessionStep = false;
+    this.clock = new GameClock();
+    this.clockPanel = null;
     this.drawnCards = [];
+    this.drawEvents = [];
+    // History entry of the current draw, and of the past draw being viewed (null when live)
+    this.currentEntryId = null;
+    this.viewedEntryId = null;
+    // Whether the current draw's effects were applied to the character sheet
+    this.characterApplied = false;
 
     this.init();
   }
@@ -30,15 +99,91 @@ class CardGame {
       this.gameRenderer = new GameRenderer(this.app, this.cardRenderer);
       this.effectsRenderer = new EffectsRenderer();
       this.effectsRenderer.initialize(
-        () => this.updateEffectsDisplay(),
-        () => this.handleMischiefDraw()
+        () => this.handleEffectsChange(),
+        (cardId, copyIndex) => this.handleMischiefDraw(cardId, copyIndex),
+        () => this.saveCurrentDraw(),
+        (label) => this.rememberSession(label)
+      );
+      this.effectsRenderer.setClock(this.clock);
+      this.effectsRenderer.setLootTables(this.lootTables);
+      this.clockPanel = new ClockPanel();
+      this.clockPanel.setup(
+        (minutes) => this.handleAdvanceTime(minutes),
+        () => this.handleLongRest()
+      );
+      this.clockPanel.render(this.clock);
+      this.exportPanel = new ExportPanel();
+      this.exportPanel.setup(
+        () => this.getShownDraw(),
+        () => this.gameRenderer.extractSpread()
+      );
+      this.recurringRollPanel = new RecurringRollPanel();
+      this.recurringRollPanel.setup();
+      this.characterPanel = new CharacterPanel();
+      this.characterPanel.setup(() => this.handleApplyCharacter());
+      this.lootTablePanel = new LootTablePanel();
+      this.lootTablePanel.setup(this.lootTables, () =>
+        this.updateEffectsDisplay()
       );
       this.uiManager = new UIManager();
 
       this.uiManager.setup(
-        (count) => this.handleDrawCardsAsync(count),
-        (size, selectedCards) => this.handleDeckSizeChange(size, selectedCards)
+        (count, seed) => this.handleDrawCardsAsync(count, seed),
+        (size, cardCounts, family) =>
+          this.handleDeckSizeChange(size, cardCounts, family),
+        () => this.refreshDrawOdds()
+      );
+      this.deckPresetPanel = new DeckPresetPanel();
+      this.deckPresetPanel.setup(
+        this.deckPresets,
+        () => ({
+          family: this.uiManager.getDeckFamily(),
+          cards: this.uiManager.getCustomDeckCounts(),
+        }),
+        (preset) => this.uiManager.setCustomDeck(preset.family, preset.cards)
+      );
+
+      this.simulatorPanel = new SimulatorPanel();
+      this.simulatorPanel.setup(() => this.deckManager.getCardSet());
+
+      this.physicalDeckPanel = new PhysicalDeckPanel();
+      this.physicalDeckPanel.setup(
+        (enabled) => this.handlePhysicalDeckToggle(enabled),
+        () => this.handleReshuffle()
+      );
+      this.renderDeckState();
+
+      this.drawHistory = new DrawHistory();
+      this.sharePanel = new SharePanel();
+      this.sharePanel.setup(() => this.getShareLink());
+      this.undoPanel = new UndoPanel();
+      this.undoPanel.setup(
+        () => this.undo(),
+        () => this.redo()
       );
+      this.historyPanel = new HistoryPanel();
+      this.historyPanel.setup(
+        (id) => this.showHistoryEntry(id),
+        () => this.showCurrentDraw(),
+        () => this.clearHistory()
+      );
+      this.renderHistory();
+
+      this.homebrewEditor = new HomebrewEditor();
+      this.homebrewEditor.setup((cardId) => this.handleHomebrewChange(cardId));
+      const homebrewCards = await this.homebrewEditor.load();
+      if (homebrewCards.length > 0) {
+        this.uiManager.refreshCustomDeckCards();
+        this.deckPresetPanel.render();
+      }
+
+      // Shared links are opened once homebrew cards are known
+      window.addEventListener("hashchange", () => {
+        this.openSharedDraw().catch((error) => {
+          console.error("Failed to open draw link:", error);
+        });
+      });
+      await this.openSharedDraw();
     } catch (error) {
       console.error("Failed to initialize game:", error);
     }
@@ -46,10 +191,12 @@ class CardGame {
 
   /**
    * Handles drawing cards from the deck
+   * The same seed, deck and count always produce the same cards
    * @param {number} count - Number of cards to draw
+   * @param {number} seed - Seed for the draw
    * @returns {Promise<void>}
    */
-  async handleDrawCards(count) {
+  async handleDrawCards(count, seed) {
     if (!Number.isInteger(count) || count <= 0) {
       return;
     }
@@ -62,33 +209,39 @@ class CardGame {
       return;
     }
 
-    let drawnCards = this.deckManager.drawCards(count);
-
-    // If Isolation is drawn, only keep cards drawn before and including Isolation
-    const isolationIndex = drawnCards.indexOf("isolation");
-    if (isolationIndex !== -1) {
-      drawnCards = drawnCards.slice(0, isolationIndex + 1);
-    }
-
-    // Handle Mystery cards: draw 1 additional card per Mystery (ignoring max draw limit)
-    const mysteryCount = drawnCards.filter((card) => card === "mystery").length;
-    if (mysteryCount > 0 && !drawnCards.includes("isolation")) {
-      for (let i = 0; i < mysteryCount; i++) {
-        const extraCards = this.deckManager.drawCards(1);
-        if (extraCards && extraCards.length > 0) {
-          drawnCards = [...drawnCards, ...extraCards];
-          // Check if Isolation was drawn in the extra cards
-          const newIsolationIndex = drawnCards.indexOf("isolation");
-          if (newIsolationIndex !== -1) {
-            drawnCards = drawnCards.slice(0, newIsolationIndex + 1);
-            break; // Stop drawing extra cards if Isolation appears
-          }
-        }
-      }
+    this.rememberSession("Draw");
+    setSeed(seed);
+    // A physical deck carries over between draws; the seed then only drives reshuffles
+    if (!this.deckManager.isPhysical()) {
+      this.deckManager.reset();
     }
+    this.uiManager.showLastSeed(seed);
 
-    this.drawnCards = drawnCards;
+    const reshufflesBefore = this.deckManager.getAutoReshuffleCount();
+    const { cards, events } = DrawSession.resolveDraw(
+      this.getDrawSource(),
+      count,
+      getStream(RNG_STREAMS.DRAW)
+    );
+    this.drawnCards = cards;
+    this.drawEvents = events;
+    this.renderDeckState(
+      this.deckManager.getAutoReshuffleCount() - reshufflesBefore
+    );
     this.effectsRenderer.resetSelections(this.drawnCards);
+    this.effectsRenderer.startClock();
+    this.currentEntryId = this.drawHistory.record({
+      deck: this.deckManager.getConfig(),
+      seed,
+      count,
+      cards: this.drawnCards,
+      events: this.drawEvents,
+      ...this.effectsRenderer.getState(),
+    });
+    this.viewedEntryId = null;
+    this.renderHistory();
+    this.recurringRollPanel.clearLog();
+    this.characterApplied = false;
     await this.gameRenderer.renderCards(this.drawnCards);
     this.updateEffectsDisplay();
   }
@@ -96,74 +249,569 @@ class CardGame {
   /**
    * Handles drawing cards from the deck (async wrapper for UI callback)
    * @param {number} count - Number of cards to draw
+   * @param {number} seed - Seed for the draw
    */
-  async handleDrawCardsAsync(count) {
-    await this.handleDrawCards(count);
+  async handleDrawCardsAsync(count, seed) {
+    await this.handleDrawCards(count, seed);
   }
 
   /**
-   * Handles deck size change
+   * Handles deck size or family change
    * @param {number|string} size - New deck size (13, 22) or DECK_SIZES.CUSTOM
-   * @param {string[]} [selectedCards] - Selected card names for custom deck (when size is CUSTOM)
+   * @param {Object<string, number>} [cardCounts] - Copies per card for a custom deck (when size is CUSTOM)
+   * @param {string} [family] - Deck family (DECK_FAMILIES)
    */
-  async handleDeckSizeChange(size, selectedCards = null) {
-    this.deckManager.createDeck(size, selectedCards);
+  async handleDeckSizeChange(size, cardCounts = null, family = null) {
+    this.deckManager.createDeck(size, cardCounts, family);
+    this.forgetSession();
+    this.refreshDrawOdds();
+    this.renderDeckState();
     this.drawnCards = [];
+    this.drawEvents = [];
+    this.currentEntryId = null;
+    this.viewedEntryId = null;
+    this.renderHistory();
+    this.recurringRollPanel.clearLog();
+    this.characterApplied = false;
     this.effectsRenderer.clearSelections();
     await this.gameRenderer.renderCards([]);
     this.updateEffectsDisplay();
   }
 
+  /**
+   * Handles a homebrew card being saved or deleted
+   * @param {string} cardId - Id of the changed card
+   */
+  handleHomebrewChange(cardId) {
+    this.cardRenderer.forgetCardTexture(cardId);
+    this.uiManager.refreshCustomDeckCards();
+    this.deckPresetPanel.render();
+    this.refreshDrawOdds();
+    this.updateEffectsDisplay();
+  }
+
+  /**
+   * Recalculates the exact draw odds once the settings stop changing
+   */
+  refreshDrawOdds() {
+    clearTimeout(this.drawOddsTimer);
+    this.drawOddsTimer = setTimeout(
+      () => this.calculateDrawOdds(),
+      DRAW_ODDS_CONFIG.DEBOUNCE_MS
+    );
+  }
+
+  /**
+   * Calculates the exact draw odds for the current deck and declared count in the
+   * simulation worker (long Mischief chains take a while), dropping any calculation
+   * still running for older settings
+   */
+  calculateDrawOdds() {
+    if (!this.uiManager || !this.deckManager) {
+      return;
+    }
+    this.drawOddsWorker?.terminate();
+    this.drawOddsWorker = null;
+    const { count, useMischief } = this.uiManager.getDrawOddsSettings();
+    if (!this.uiManager.isValidCardCount(count)) {
+      this.uiManager.renderDrawOdds(null);
+      return;
+    }
+
+    const deck = this.deckManager.getCardSet();
+    const worker = new Worker(
+      new URL("./workers/simulationWorker.js", import.meta.url),
+      { type: "module" }
+    );
+    this.drawOddsWorker = worker;
+    worker.addEventListener("message", (event) => {
+      worker.terminate();
+      this.drawOddsWorker = null;
+      if (event.data.error) {
+        console.error("Failed to calculate draw odds:", event.data.error);
+        this.uiManager.renderDrawOdds(null);
+        return;
+      }
+      this.uiManager.renderDrawOdds(event.data.odds);
+    });
+    worker.addEventListener("error", (error) => {
+      console.error("Draw odds worker error:", error);
+      worker.terminate();
+      this.drawOddsWorker = null;
+      this.uiManager.renderDrawOdds(null);
+    });
+    worker.postMessage({
+      task: WORKER_TASKS.ODDS,
+      deck,
+      definitions: CardRegistry.getWorkerDefinitions(deck),
+      count,
+      useMischief,
+    });
+  }
+
+  /**
+   * Gets what draws are taken from: the deck manager itself in physical deck mode
+   * (so drawn cards leave the deck), otherwise a copy of its cards
+   * @returns {Array<string>|DeckManager} Draw source for DrawSession
+   */
+  getDrawSource() {
+    return this.deckManager.isPhysical()
+      ? this.deckManager
+      : this.deckManager.getCards();
+  }
+
+  /**
+   * Switches physical deck mode, starting from a full shuffled deck
+   * @param {boolean} enabled - Whether drawn cards leave the deck
+   */
+  handlePhysicalDeckToggle(enabled) {
+    this.deckManager.setPhysical(enabled);
+    this.forgetSession();
+    this.renderDeckState();
+  }
+
+  /**
+   * Shuffles the physical deck's discard pile back into the deck
+   */
+  handleReshuffle() {
+    this.deckManager.reshuffle();
+    this.forgetSession();
+    this.renderDeckState();
+  }
+
+  /**
+   * Shows the remaining deck and discard pile of the physical deck
+   * @param {number} [reshuffled=0] - Automatic reshuffles during the last draw
+   */
+  renderDeckState(reshuffled = 0) {
+    if (!this.physicalDeckPanel) {
+      return;
+    }
+    this.physicalDeckPanel.render({
+      enabled: this.deckManager.isPhysical(),
+      remaining: this.deckManager.getDeckSize(),
+      discards: this.deckManager.getDiscardPile(),
+      reshuffled,
+    });
+  }
+
   /**
    * Updates the effects display with current drawn cards
+   * (or with the history entry being viewed)
    */
   updateEffectsDisplay() {
-    if (this.effectsRenderer) {
+    if (!this.effectsRenderer) {
+      return;
+    }
+    const viewed = this.viewedEntryId
+      ? this.drawHistory.get(this.viewedEntryId)
+      : null;
+    if (viewed) {
+      this.effectsRenderer.renderEffects(viewed.cards, viewed);
+    } else {
       this.effectsRenderer.renderEffects(this.drawnCards);
     }
+    // Recurring modifiers only follow the live spread (while their effects last and
+    // their curses aren't cleared), not draws from the history
+    const ended = this.effectsRenderer.getEndedCards();
+    this.recurringRollPanel?.render(
+      CardEffects.getRecurringModifiers(
+        viewed ? [] : this.drawnCards.filter((card) => !ended.has(card))
+      )
+    );
+    // A draw is applied to the character once, and only while it is the live spread
+    this.characterPanel?.setCanApply(
+      !viewed &&
+        !this.characterApplied &&
+        CharacterSheet.getModifierCards(this.drawnCards).length > 0
+    );
   }
 
   /**
-   * Handles drawing cards via Mischief card button
-   * Draws 2 cards and removes 1 mischief from drawn cards
+   * Applies the current draw's effects to the character sheet
+   * Effect dice are rolled first, so the sheet uses the same rolls the effects show.
    */
-  async handleMischiefDraw() {
-    // Check if isolation is already drawn
-    if (this.drawnCards.includes("isolation")) {
+  handleApplyCharacter() {
+    if (this.characterApplied || this.viewedEntryId !== null) {
+      return;
+    }
+    let character;
+    try {
+      character = this.characterPanel.getCharacter();
+    } catch (error) {
+      this.characterPanel.setStatus(error.message);
       return;
     }
 
-    // Draw 2 cards
-    let newCards = this.deckManager.drawCards(2);
+    this.rememberSession("Apply Drawn Effects");
+    this.withinSessionStep = true;
+    try {
+      this.effectsRenderer.rollEffects(
+        CharacterSheet.getModifierCards(this.drawnCards)
+      );
+    } finally {
+      this.withinSessionStep = false;
+    }
+    const result = CharacterSheet.applyEffects(
+      character,
+      this.drawnCards,
+      (card, record) =>
+        this.effectsRenderer.getRoll(card, record.roll)?.total ??
+        rollDiceExpression(record.dice)
+    );
+    this.characterApplied = true;
+    this.characterPanel.setCharacter(result.character);
+    this.characterPanel.showChanges(result.changes);
+    this.updateEffectsDisplay();
+  }
 
-    // If Isolation is drawn as the first card, don't draw the second
-    if (newCards.length > 0 && newCards[0] === "isolation") {
-      newCards = [newCards[0]];
-    } else if (newCards.length > 1 && newCards[1] === "isolation") {
-      // If Isolation is second, only keep first two
-      newCards = newCards.slice(0, 2);
+  /**
+   * Moves the in-game clock forward; effects that run out move to "Expired"
+   * @param {number} minutes - Minutes to advance
+   */
+  handleAdvanceTime(minutes) {
+    if (this.clock.advance(minutes)) {
+      this.clockPanel.render(this.clock);
+      this.updateEffectsDisplay();
     }
+  }
+
+  /**
+   * Takes a long rest, ending the effects that last until one
+   */
+  handleLongRest() {
+    this.clock.longRest();
+    this.clockPanel.render(this.clock);
+    this.updateEffectsDisplay();
+  }
+
+  /**
+   * Handles a choice being changed in the effects
+   */
+  handleEffectsChange() {
+    this.saveCurrentDraw();
+    this.updateEffectsDisplay();
+  }
 
-    // Remove one mischief from drawnCards
-    const mischiefIndex = this.drawnCards.indexOf("mischief");
-    if (mischiefIndex !== -1) {
-      this.drawnCards.splice(mischiefIndex, 1);
+  /**
+   * Stores the current cards, choices and dice results in the current draw's history entry
+   */
+  saveCurrentDraw() {
+    if (!this.currentEntryId) {
+      return;
     }
+    this.drawHistory.update(this.currentEntryId, {
+      cards: this.drawnCards,
+      events: this.drawEvents,
+      ...this.effectsRenderer.getState(),
+    });
+    this.renderHistory();
+  }
 
-    // Add new cards to drawnCards
-    this.drawnCards = [...this.drawnCards, ...newCards];
+  /**
+   * Shows the list of past draws
+   */
+  renderHistory() {
+    if (this.historyPanel) {
+      this.historyPanel.render(
+        this.drawHistory.getEntries(),
+        this.viewedEntryId
+      );
+    }
+    this.sharePanel?.setEnabled(
+      Boolean(this.viewedEntryId ?? this.currentEntryId)
+    );
+  }
 
-    // If Isolation is now in drawnCards, slice to only include cards up to and including Isolation
-    const isolationIndex = this.drawnCards.indexOf("isolation");
-    if (isolationIndex !== -1) {
-      this.drawnCards = this.drawnCards.slice(0, isolationIndex + 1);
+  /**
+   * Gets the draw whose effects are shown: the viewed past draw, or the live spread
+   * with its current choices and rolls
+   * @returns {Object|null} Cards and state (see EffectsSummary.build), or null if none
+   */
+  getShownDraw() {
+    if (this.viewedEntryId) {
+      return this.drawHistory.get(this.viewedEntryId);
+    }
+    if (this.drawnCards.length === 0) {
+      return null;
     }
+    return {
+      seed: this.drawHistory.get(this.currentEntryId)?.seed ?? null,
+      cards: this.drawnCards,
+      ...this.effectsRenderer.getState(),
+    };
+  }
 
-    // Reset selections and update display
-    this.effectsRenderer.resetSelections(this.drawnCards);
-    await this.gameRenderer.renderCards(this.drawnCards);
+  /**
+   * Builds a link to the draw being shown (the viewed past draw, or the current one)
+   * @returns {string|null} Link with the draw in its hash, or null if no draw is shown
+   */
+  getShareLink() {
+    const entry = this.drawHistory.get(
+      this.viewedEntryId ?? this.currentEntryId
+    );
+    if (!entry) {
+      return null;
+    }
+    const { origin, pathname, search } = window.location;
+    return `${origin}${pathname}${search}${encodeDrawHash(entry)}`;
+  }
+
+  /**
+   * Opens a draw shared as a link, read-only like a past draw and without redrawing
+   * The draw is added to the history and the hash is removed from the address bar,
+   * so reloading the page doesn't add it again. A draw that can't be shown is taken
+   * out of the history again.
+   */
+  async openSharedDraw() {
+    const { hash, pathname, search } = window.location;
+    if (!isDrawHash(hash)) {
+      return;
+    }
+    window.history.replaceState(null, "", `${pathname}${search}`);
+
+    let draw;
+    try {
+      draw = decodeDrawHash(hash);
+    } catch (error) {
+      console.error("Failed to open draw link:", error);
+      this.sharePanel.setStatus(`Couldn't open the link: ${error.message}`);
+      return;
+    }
+    const id = this.drawHistory.record({ ...draw, shared: true });
+    try {
+      await this.showHistoryEntry(id, { animate: false });
+    } catch (error) {
+      console.error("Failed to show draw link:", error);
+      this.drawHistory.remove(id);
+      await this.showCurrentDraw();
+      this.sharePanel.setStatus(
+        "Couldn't open the link: the draw can't be shown"
+      );
+    }
+  }
+
+  /**
+   * Shows a past draw's cards and effects, read-only and without redrawing
+   * Choosing the current draw returns to it instead
+   * @param {string} id - History entry id
+   * @param {Object} [options] - Render options (see GameRenderer.renderCards)
+   */
+  async showHistoryEntry(id, options = {}) {
+    const entry = this.drawHistory.get(id);
+    if (!entry) {
+      return;
+    }
+    if (id === this.currentEntryId) {
+      if (this.viewedEntryId !== null) {
+        await this.showCurrentDraw();
+      }
+      return;
+    }
+    this.viewedEntryId = id;
+    this.renderHistory();
+    await this.gameRenderer.renderCards(
+      entry.cards,
+      DrawSession.getSpentIndexes(entry.events ?? []),
+      options
+    );
+    this.updateEffectsDisplay();
+  }
+
+  /**
+   * Leaves the history viewer and shows the current draw again
+   */
+  async showCurrentDraw() {
+    this.viewedEntryId = null;
+    this.renderHistory();
+    await this.gameRenderer.renderCards(
+      this.drawnCards,
+      DrawSession.getSpentIndexes(this.drawEvents)
+    );
     this.updateEffectsDisplay();
   }
+
+  /**
+   * Deletes every history entry
+   */
+  async clearHistory() {
+    const wasViewing = this.viewedEntryId !== null;
+    this.drawHistory.clear();
+    this.currentEntryId = null;
+    if (wasViewing) {
+      await this.showCurrentDraw();
+    } else {
+      this.renderHistory();
+    }
+  }
+
+  /**
+   * Handles spending one Mischief copy on its extra draws ("Draw x2")
+   * The spent Mischief stays in the spread, marked as spent
+   * @param {string} cardId - Id of the extra-draw card
+   * @param {number} copyIndex - Which copy of the card is spent
+   */
+  async handleMischiefDraw(cardId, copyIndex) {
+    const source = this.drawnCards
+      .map((card, index) => (card === cardId ? index : -1))
+      .filter((index) => index >= 0)[copyIndex];
+    if (
+      source === undefined ||
+      !DrawSession.canMischiefDraw(this.drawnCards, this.drawEvents)
+    ) {
+      return;
+    }
+
+    const before = this.captureSession();
+    const reshufflesBefore = this.deckManager.getAutoReshuffleCount();
+    const { cards, events } = DrawSession.resolveMischiefDraw(
+      this.drawnCards,
+      this.getDrawSource(),
+      getStream(RNG_STREAMS.DRAW),
+      this.drawEvents,
+      source
+    );
+    if (events.length === 0) {
+      return;
+    }
+    this.rememberSession("Mischief draw", before);
+    this.drawnCards = cards;
+    this.drawEvents = [...this.drawEvents, ...events];
+    this.renderDeckState(
+      this.deckManager.getAutoReshuffleCount() - reshufflesBefore
+    );
+
+    // Keep the choices already made, record this copy's, and update display
+    this.effectsRenderer.keepSelections(this.drawnCards);
+    this.effectsRenderer.markSpent(cardId, copyIndex);
+    this.saveCurrentDraw();
+    await this.gameRenderer.renderCards(
+      this.drawnCards,
+      DrawSession.getSpentIndexes(this.drawEvents)
+    );
+    this.updateEffectsDisplay();
+  }
+
+  /**
+   * Takes a snapshot of the live session: the cards and draw events, the history entry
+   * they are stored in, the effects' choices, rolls, curse resolutions and loot, the
+   * physical deck, the position of every random stream, and the character sheet with
+   * whether the draw was applied to it
+   * @returns {Object} Snapshot for restoreSession
+   */
+  captureSession() {
+    return {
+      cards: [...this.drawnCards],
+      events: [...this.drawEvents],
+      entryId: this.currentEntryId,
+      effects: this.effectsRenderer.getSnapshot(),
+      deck: this.deckManager.getSnapshot(),
+      streams: saveStreams(),
+      character: this.characterPanel.getSnapshot(),
+      characterApplied: this.characterApplied,
+    };
+  }
+
+  /**
+   * Remembers the live session before a change, so it can be undone
+   * @param {string} label - Change about to be made, e.g. "Dice roll"
+   * @param {Object} [snapshot] - Session before the change, if already taken
+   */
+  rememberSession(label, snapshot = this.captureSession()) {
+    if (this.restoringSession || this.withinSessionStep) {
+      return;
+    }
+    this.sessionHistory.record(label, snapshot);
+    this.renderUndo();
+  }
+
+  /**
+   * Drops the undo and redo steps; they can't be restored once the deck changed
+   */
+  forgetSession() {
+    this.sessionHistory.clear();
+    this.renderUndo();
+  }
+
+  /**
+   * Takes back the last draw, Mischief draw, roll, choice or character update
+   * @returns {Promise<void>}
+   */
+  async undo() {
+    if (!this.restoringSession) {
+      await this.restoreSession(
+        this.sessionHistory.undo(this.captureSession())
+      );
+    }
+  }
+
+  /**
+   * Makes the last undone change again
+   * @returns {Promise<void>}
+   */
+  async redo() {
+    if (!this.restoringSession) {
+      await this.restoreSession(
+        this.sessionHistory.redo(this.captureSession())
+      );
+    }
+  }
+
+  /**
+   * Puts the live session back to a snapshot and shows it
+   * The spread is only dealt again (without animation) if its cards changed; the draw
+   * history keeps every draw, and the restored draw's entry gets the restored state.
+   * @param {Object|null} snapshot - Snapshot from captureSession, or null to do nothing
+   * @returns {Promise<void>}
+   */
+  async restoreSession(snapshot) {
+    if (!snapshot) {
+      return;
+    }
+    this.restoringSession = true;
+    try {
+      const spreadChanged =
+        this.viewedEntryId !== null ||
+        JSON.stringify([snapshot.cards, snapshot.events]) !==
+          JSON.stringify([this.drawnCards, this.drawEvents]);
+      this.drawnCards = [...snapshot.cards];
+      this.drawEvents = [...snapshot.events];
+      this.currentEntryId = this.drawHistory.get(snapshot.entryId)
+        ? snapshot.entryId
+        : null;
+      this.viewedEntryId = null;
+      this.deckManager.restoreSnapshot(snapshot.deck);
+      this.effectsRenderer.restoreSnapshot(snapshot.effects);
+      restoreStreams(snapshot.streams);
+      this.characterPanel.restoreSnapshot(snapshot.character);
+      this.characterApplied = snapshot.characterApplied;
+      this.renderDeckState();
+      this.saveCurrentDraw();
+      this.renderHistory();
+      if (spreadChanged) {
+        this.recurringRollPanel.clearLog();
+        await this.gameRenderer.renderCards(
+          this.drawnCards,
+          DrawSession.getSpentIndexes(this.drawEvents),
+          { animate: false }
+        );
+      }
+      this.updateEffectsDisplay();
+    } finally {
+      this.restoringSession = false;
+      this.renderUndo();
+    }
+  }
+
+  /**
+   * Shows which steps undo and redo would take
+   */
+  renderUndo() {
+    this.undoPanel?.render(
+      this.sessionHistory.getUndoLabel(),
+      this.sessionHistory.getRedoLabel()
+    );
+  }
 }
 
 // Initialize the game when the DOM is loaded
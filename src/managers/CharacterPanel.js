@@ -0,0 +1,288 @@
+import { ABILITIES, CharacterSheet } from "../models/CharacterSheet.js";
+import { CardRegistry } from "../models/CardRegistry.js";
+import { downloadFile } from "../utils/download.js";
+
+// Character fields edited with number inputs, by input id
+const NUMBER_INPUTS = {
+  hp: "character-hp",
+  hpMax: "character-hp-max",
+  proficiencyBonus: "character-proficiency",
+  initiative: "character-initiative",
+  weaponBonus: "character-weapon",
+};
+
+/**
+ * Reads a number input
+ * @param {HTMLInputElement} input - Number input
+ * @returns {number} The integer typed, or NaN if it is not one
+ */
+function readNumberInput(input) {
+  const value = Number(input.value);
+  return input.value.trim() !== "" && Number.isInteger(value) ? value : NaN;
+}
+
+/**
+ * Manages the optional character sheet panel: the character form, applying drawn
+ * effects to it, and JSON import and export
+ */
+export class CharacterPanel {
+  constructor() {
+    this.nameInput = null;
+    this.numberInputs = {};
+    this.saveInputs = new Map();
+    this.proficiencyInputs = new Map();
+    this.applyButton = null;
+    this.statusElement = null;
+    this.changesTable = null;
+    // Changes shown in the table, or null when it is hidden
+    this.changes = null;
+    this.onApplyCallback = null;
+  }
+
+  /**
+   * Initializes panel elements and event listeners
+   * @param {Function} onApply - Callback to apply the drawn effects to the character
+   * @returns {boolean} True if the panel was found
+   */
+  setup(onApply) {
+    this.onApplyCallback = onApply;
+    this.nameInput = document.getElementById("character-name");
+    this.applyButton = document.getElementById("character-apply-button");
+    this.statusElement = document.getElementById("character-status");
+    this.changesTable = document.getElementById("character-changes");
+    for (const [field, id] of Object.entries(NUMBER_INPUTS)) {
+      this.numberInputs[field] = document.getElementById(id);
+    }
+    document
+      .querySelectorAll('input[name="character-save"]')
+      .forEach((input) => this.saveInputs.set(input.dataset.ability, input));
+    document
+      .querySelectorAll('input[name="character-save-proficiency"]')
+      .forEach((input) =>
+        this.proficiencyInputs.set(input.dataset.ability, input)
+      );
+
+    if (
+      !this.nameInput ||
+      !this.applyButton ||
+      !this.changesTable ||
+      Object.values(this.numberInputs).some((input) => !input) ||
+      ABILITIES.some(
+        (ability) =>
+          !this.saveInputs.has(ability) || !this.proficiencyInputs.has(ability)
+      )
+    ) {
+      console.error("Character panel elements not found");
+      return false;
+    }
+
+    this.applyButton.addEventListener("click", () => {
+      this.onApplyCallback?.();
+    });
+    document
+      .getElementById("character-export-button")
+      ?.addEventListener("click", () => this.exportCharacter());
+    const importInput = document.getElementById("character-import-input");
+    importInput?.addEventListener("change", () => {
+      const file = importInput.files[0];
+      importInput.value = "";
+      if (file) {
+        this.importCharacter(file);
+      }
+    });
+    this.setCharacter(CharacterSheet.create());
+    return true;
+  }
+
+  /**
+   * Reads the character from the form
+   * @returns {Object} Character (see CharacterSheet)
+   * @throws {Error} If a field is not a whole number
+   */
+  getCharacter() {
+    return CharacterSheet.normalize({
+      name: this.nameInput.value.trim(),
+      ...Object.fromEntries(
+        Object.entries(this.numberInputs).map(([field, input]) => [
+          field,
+          readNumberInput(input),
+        ])
+      ),
+      saves: Object.fromEntries(
+        ABILITIES.map((ability) => [
+          ability,
+          readNumberInput(this.saveInputs.get(ability)),
+        ])
+      ),
+      saveProficiencies: ABILITIES.filter(
+        (ability) => this.proficiencyInputs.get(ability).checked
+      ),
+    });
+  }
+
+  /**
+   * Fills the form with a character
+   * @param {Object} character - Character (see CharacterSheet)
+   */
+  setCharacter(character) {
+    this.nameInput.value = character.name;
+    for (const [field, input] of Object.entries(this.numberInputs)) {
+      input.value = character[field];
+    }
+    ABILITIES.forEach((ability) => {
+      this.saveInputs.get(ability).value = character.saves[ability];
+      this.proficiencyInputs.get(ability).checked =
+        character.saveProficiencies.includes(ability);
+    });
+  }
+
+  /**
+   * Saves the form as typed (it may not be a valid character yet) and the changes
+   * table, for undo
+   * @returns {Object|null} Snapshot for restoreSnapshot, or null without the panel
+   */
+  getSnapshot() {
+    if (!this.nameInput) return null;
+    return {
+      name: this.nameInput.value,
+      numbers: Object.fromEntries(
+        Object.entries(this.numberInputs).map(([field, input]) => [
+          field,
+          input.value,
+        ])
+      ),
+      saves: Object.fromEntries(
+        ABILITIES.map((ability) => [
+          ability,
+          this.saveInputs.get(ability).value,
+        ])
+      ),
+      saveProficiencies: ABILITIES.filter(
+        (ability) => this.proficiencyInputs.get(ability).checked
+      ),
+      changes: this.changes,
+    };
+  }
+
+  /**
+   * Puts the form and the changes table back to a snapshot
+   * @param {Object|null} snapshot - Snapshot from getSnapshot
+   */
+  restoreSnapshot(snapshot) {
+    if (!snapshot || !this.nameInput) return;
+    this.nameInput.value = snapshot.name;
+    for (const [field, input] of Object.entries(this.numberInputs)) {
+      input.value = snapshot.numbers[field];
+    }
+    ABILITIES.forEach((ability) => {
+      this.saveInputs.get(ability).value = snapshot.saves[ability];
+      this.proficiencyInputs.get(ability).checked =
+        snapshot.saveProficiencies.includes(ability);
+    });
+    this.setStatus("");
+    this.showChanges(snapshot.changes);
+  }
+
+  /**
+   * Enables or disables applying the drawn effects
+   * @param {boolean} enabled - Whether the current draw can be applied
+   */
+  setCanApply(enabled) {
+    if (this.applyButton) {
+      this.applyButton.disabled = !enabled;
+    }
+  }
+
+  /**
+   * Shows what applying a draw changed, or hides the table when there is nothing to show
+   * @param {Array<Object>|null} changes - Changes as {card, label, before, after}
+   */
+  showChanges(changes) {
+    if (!this.changesTable) return;
+    this.changes = changes;
+    this.changesTable.replaceChildren();
+    this.changesTable.hidden = !changes;
+    if (!changes) return;
+    if (changes.length === 0) {
+      this.setStatus("The drawn cards didn't change the character.");
+      this.changesTable.hidden = true;
+      return;
+    }
+
+    const head = document.createElement("thead");
+    const headRow = document.createElement("tr");
+    ["Stat", "Before", "After", "From"].forEach((text) => {
+      const cell = document.createElement("th");
+      cell.textContent = text;
+      headRow.appendChild(cell);
+    });
+    head.appendChild(headRow);
+
+    const body = document.createElement("tbody");
+    changes.forEach((change) => {
+      const row = document.createElement("tr");
+      const cells = [
+        change.label,
+        change.before,
+        change.after,
+        change.card ? CardRegistry.getName(change.card) : "Limits",
+      ].map((text) => {
+        const cell = document.createElement("td");
+        cell.textContent = text;
+        return cell;
+      });
+      if (typeof change.before === "number") {
+        cells[2].classList.toggle("increased", change.after > change.before);
+        cells[2].classList.toggle("decreased", change.after < change.before);
+      }
+      row.append(...cells);
+      body.appendChild(row);
+    });
+    this.changesTable.append(head, body);
+    this.setStatus("Applied the drawn effects to the character.");
+  }
+
+  /**
+   * Downloads the character as a JSON file
+   */
+  exportCharacter() {
+    let character;
+    try {
+      character = this.getCharacter();
+    } catch (error) {
+      this.setStatus(error.message);
+      return;
+    }
+    downloadFile(
+      new Blob([JSON.stringify(character, null, 2)], {
+        type: "application/json",
+      }),
+      `${character.name || "character"}.json`
+    );
+  }
+
+  /**
+   * Loads a character from a JSON file
+   * @param {File} file - Chosen file
+   */
+  async importCharacter(file) {
+    try {
+      const character = CharacterSheet.normalize(JSON.parse(await file.text()));
+      this.setCharacter(character);
+      this.showChanges(null);
+      this.setStatus(`Imported ${character.name || "the character"}.`);
+    } catch (error) {
+      this.setStatus(`Couldn't import ${file.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sets the status line text
+   * @param {string} text - Status message
+   */
+  setStatus(text) {
+    if (this.statusElement) {
+      this.statusElement.textContent = text;
+    }
+  }
+}
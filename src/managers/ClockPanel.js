@@ -0,0 +1,60 @@
+import { CLOCK_CONFIG } from "../constants.js";
+
+/**
+ * Manages the in-game clock controls above the effects: the current time,
+ * "Advance Time" and "Long Rest"
+ */
+export class ClockPanel {
+  constructor() {
+    this.timeElement = null;
+    this.amountInput = null;
+    this.unitSelect = null;
+    this.onAdvanceCallback = null;
+    this.onLongRestCallback = null;
+  }
+
+  /**
+   * Initializes panel elements and event listeners
+   * @param {Function} onAdvance - Callback with the minutes to advance
+   * @param {Function} onLongRest - Callback when a long rest is taken
+   * @returns {boolean} True if the panel was found
+   */
+  setup(onAdvance, onLongRest) {
+    this.onAdvanceCallback = onAdvance;
+    this.onLongRestCallback = onLongRest;
+    this.timeElement = document.getElementById("clock-time");
+    this.amountInput = document.getElementById("clock-advance-amount");
+    this.unitSelect = document.getElementById("clock-advance-unit");
+
+    if (!this.timeElement || !this.amountInput || !this.unitSelect) {
+      console.error("Clock panel elements not found");
+      return false;
+    }
+
+    document
+      .getElementById("clock-advance-button")
+      ?.addEventListener("click", () => {
+        const amount = parseInt(this.amountInput.value, 10);
+        const unitMinutes = CLOCK_CONFIG.UNIT_MINUTES[this.unitSelect.value];
+        if (Number.isInteger(amount) && amount > 0 && unitMinutes) {
+          this.onAdvanceCallback?.(amount * unitMinutes);
+        }
+      });
+    document
+      .getElementById("clock-long-rest-button")
+      ?.addEventListener("click", () => {
+        this.onLongRestCallback?.();
+      });
+    return true;
+  }
+
+  /**
+   * Shows the current time
+   * @param {GameClock} clock - In-game clock
+   */
+  render(clock) {
+    if (this.timeElement) {
+      this.timeElement.textContent = clock.format();
+    }
+  }
+}
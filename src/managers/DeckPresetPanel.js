@@ -0,0 +1,214 @@
+import { DECK_FAMILY_NAMES } from "../constants.js";
+import { DeckPresets } from "../models/DeckPresets.js";
+import { pluralize } from "../utils/stringUtils.js";
+import { downloadFile } from "../utils/download.js";
+
+/**
+ * Manages the deck preset controls next to the deck size: saving the custom deck under
+ * a name, loading or deleting a preset from the dropdown, and JSON import and export
+ */
+export class DeckPresetPanel {
+  constructor() {
+    this.deckPresets = null;
+    this.presetSelect = null;
+    this.nameInput = null;
+    this.statusElement = null;
+    this.getSelectionCallback = null;
+    this.onLoadCallback = null;
+  }
+
+  /**
+   * Initializes panel elements and event listeners
+   * @param {DeckPresets} deckPresets - Presets to manage
+   * @param {Function} getSelection - Callback returning the custom deck as
+   *   {family, cards: {card: copies}}
+   * @param {Function} onLoad - Callback with a preset to switch to, holding only the
+   *   cards the picker lists
+   * @returns {boolean} True if the panel was found
+   */
+  setup(deckPresets, getSelection, onLoad) {
+    this.deckPresets = deckPresets;
+    this.getSelectionCallback = getSelection;
+    this.onLoadCallback = onLoad;
+    this.presetSelect = document.getElementById("deck-preset-select");
+    this.nameInput = document.getElementById("deck-preset-name");
+    this.statusElement = document.getElementById("deck-preset-status");
+
+    if (!this.presetSelect || !this.nameInput) {
+      console.error("Deck preset panel elements not found");
+      return false;
+    }
+
+    this.presetSelect.addEventListener("change", () => {
+      if (this.presetSelect.value) {
+        this.loadPreset(this.presetSelect.value);
+      }
+    });
+    document
+      .getElementById("deck-preset-save-button")
+      ?.addEventListener("click", () => this.savePreset());
+    document
+      .getElementById("deck-preset-delete-button")
+      ?.addEventListener("click", () => this.deletePreset());
+    document
+      .getElementById("deck-preset-export-button")
+      ?.addEventListener("click", () => this.exportPresets());
+    const importInput = document.getElementById("deck-preset-import-input");
+    importInput?.addEventListener("change", () => {
+      const file = importInput.files[0];
+      importInput.value = "";
+      if (file) {
+        this.importPresets(file);
+      }
+    });
+
+    this.render();
+    return true;
+  }
+
+  /**
+   * Shows the preset list, keeping the chosen preset if it still exists
+   * Presets naming cards the picker doesn't list are marked; call again after
+   * homebrew cards change.
+   * @param {string} [selected] - Name of the preset to choose
+   */
+  render(selected = this.presetSelect?.value) {
+    if (!this.presetSelect) return;
+    this.presetSelect.innerHTML = "";
+    const placeholder = document.createElement("option");
+    placeholder.value = "";
+    placeholder.textContent = "Load a preset…";
+    this.presetSelect.appendChild(placeholder);
+    this.deckPresets.getPresets().forEach((preset) => {
+      const option = document.createElement("option");
+      const unknown = DeckPresets.getUnknownCards(preset).length;
+      option.value = preset.name;
+      option.textContent = `${preset.name} (${DECK_FAMILY_NAMES[preset.family]}${unknown > 0 ? `, ${unknown} unknown` : ""})`;
+      option.selected = preset.name === selected;
+      this.presetSelect.appendChild(option);
+    });
+  }
+
+  /**
+   * Switches the custom deck to a preset, reporting cards that were left out
+   * @param {string} name - Preset name
+   */
+  loadPreset(name) {
+    const preset = this.deckPresets.get(name);
+    if (!preset) {
+      return;
+    }
+    const unknown = DeckPresets.getUnknownCards(preset);
+    const cards = Object.fromEntries(
+      Object.entries(preset.cards).filter(([card]) => !unknown.includes(card))
+    );
+    if (Object.keys(cards).length === 0) {
+      this.setStatus(
+        `Couldn't load ${name}: none of its cards are known (${unknown.join(", ")}).`
+      );
+      return;
+    }
+    this.onLoadCallback?.({ ...preset, cards });
+    this.nameInput.value = name;
+    this.setStatus(
+      unknown.length > 0
+        ? `Loaded ${name}. Unknown cards left out: ${unknown.join(", ")}.`
+        : `Loaded ${name}.`
+    );
+  }
+
+  /**
+   * Saves the custom deck under the typed name
+   */
+  savePreset() {
+    const name = this.nameInput.value.trim();
+    if (!name) {
+      this.setStatus("Type a name for the preset.");
+      return;
+    }
+    if (
+      this.deckPresets.get(name) &&
+      !confirm(`Replace the preset "${name}"?`)
+    ) {
+      return;
+    }
+    try {
+      const { family, cards } = this.getSelectionCallback();
+      const saved = this.deckPresets.save({ name, family, cards });
+      this.render(saved.name);
+      this.setStatus(`Saved ${saved.name}.`);
+    } catch (error) {
+      this.setStatus(error.message);
+    }
+  }
+
+  /**
+   * Deletes the chosen preset
+   */
+  deletePreset() {
+    const name = this.presetSelect.value;
+    if (!name) {
+      this.setStatus("Choose a preset to delete.");
+      return;
+    }
+    if (!confirm(`Delete the preset "${name}"?`)) {
+      return;
+    }
+    this.deckPresets.remove(name);
+    this.render("");
+    this.setStatus(`Deleted ${name}.`);
+  }
+
+  /**
+   * Downloads all presets as a JSON file
+   */
+  exportPresets() {
+    downloadFile(
+      new Blob([this.deckPresets.toJSON()], { type: "application/json" }),
+      "deck-presets.json"
+    );
+  }
+
+  /**
+   * Adds the presets in a JSON file, reporting cards this browser doesn't know
+   * Presets with the name of a saved one replace it once confirmed, like saving does.
+   * @param {File} file - Chosen file
+   */
+  async importPresets(file) {
+    try {
+      const data = JSON.parse(await file.text());
+      const replaced = DeckPresets.normalizeAll(data)
+        .map((preset) => preset.name)
+        .filter((name) => this.deckPresets.get(name));
+      if (
+        replaced.length > 0 &&
+        !confirm(
+          `Replace the ${pluralize(replaced.length, "preset")} ${replaced.map((name) => `"${name}"`).join(", ")}?`
+        )
+      ) {
+        return;
+      }
+      const imported = this.deckPresets.importPresets(data);
+      this.render();
+      const unknown = imported
+        .map((preset) => [preset.name, DeckPresets.getUnknownCards(preset)])
+        .filter(([, cards]) => cards.length > 0)
+        .map(([name, cards]) => `${name}: ${cards.join(", ")}`);
+      this.setStatus(
+        `Imported ${imported.length} ${pluralize(imported.length, "preset")}${replaced.length > 0 ? `, replacing ${replaced.join(", ")}` : ""}.${unknown.length > 0 ? ` Unknown cards in ${unknown.join("; ")}.` : ""}`
+      );
+    } catch (error) {
+      this.setStatus(`Couldn't import ${file.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Shows a status message below the presets
+   * @param {string} message - Message, or "" to clear it
+   */
+  setStatus(message) {
+    if (this.statusElement) {
+      this.statusElement.textContent = message;
+    }
+  }
+}
@@ -0,0 +1,152 @@
+import { EffectsSummary } from "../models/EffectsSummary.js";
+import { SpreadImage } from "../renderers/SpreadImage.js";
+import { downloadFile } from "../utils/download.js";
+
+// Export formats offered by the format dropdown
+const FORMATS = {
+  markdown: {
+    extension: "md",
+    type: "text/markdown",
+    format: (summary) => EffectsSummary.toMarkdown(summary),
+  },
+  text: {
+    extension: "txt",
+    type: "text/plain",
+    format: (summary) => EffectsSummary.toPlainText(summary),
+  },
+  json: {
+    extension: "json",
+    type: "application/json",
+    format: (summary) => EffectsSummary.toJSON(summary),
+  },
+};
+
+/**
+ * Manages the export controls: the effects in a format (Markdown, plain text or JSON),
+ * copied to the clipboard or downloaded, and "Save Image" for a PNG of the spread
+ */
+export class ExportPanel {
+  constructor() {
+    this.formatSelect = null;
+    this.statusElement = null;
+    this.getDrawCallback = null;
+    this.getSpreadCallback = null;
+  }
+
+  /**
+   * Initializes panel elements and event listeners
+   * @param {Function} getDraw - Callback returning the shown draw (see EffectsSummary.build),
+   *   or null
+   * @param {Function} getSpread - Callback returning the cards extracted as a canvas
+   *   (see GameRenderer.extractSpread), or null
+   * @returns {boolean} True if the panel was found
+   */
+  setup(getDraw, getSpread) {
+    this.getDrawCallback = getDraw;
+    this.getSpreadCallback = getSpread;
+    this.formatSelect = document.getElementById("export-format");
+    this.statusElement = document.getElementById("export-status");
+
+    if (!this.formatSelect || !this.statusElement) {
+      console.error("Export panel elements not found");
+      return false;
+    }
+
+    document
+      .getElementById("export-copy-button")
+      ?.addEventListener("click", () => this.copyExport());
+    document
+      .getElementById("export-download-button")
+      ?.addEventListener("click", () => this.downloadExport());
+    document
+      .getElementById("export-image-button")
+      ?.addEventListener("click", () => this.saveImage());
+    this.formatSelect.addEventListener("change", () => this.setStatus(""));
+    return true;
+  }
+
+  /**
+   * Formats the shown draw's effects in the chosen format
+   * @returns {{text: string, format: Object, seed: number|null}|null} Document, or null
+   *   if no draw is shown
+   */
+  createExport() {
+    const draw = this.getDrawCallback?.();
+    if (!draw || draw.cards.length === 0) {
+      return null;
+    }
+    const format = FORMATS[this.formatSelect.value] ?? FORMATS.markdown;
+    const summary = EffectsSummary.build(draw);
+    return { text: format.format(summary), format, seed: summary.seed };
+  }
+
+  /**
+   * Copies the export to the clipboard
+   * @returns {Promise<void>}
+   */
+  async copyExport() {
+    const exported = this.createExport();
+    if (!exported) {
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(exported.text);
+      this.setStatus("Copied.");
+    } catch (error) {
+      console.error("Failed to copy the effects:", error);
+      this.setStatus("Copying isn't allowed here; download the file instead.");
+    }
+  }
+
+  /**
+   * Downloads the export as a file
+   */
+  downloadExport() {
+    const exported = this.createExport();
+    if (!exported) {
+      return;
+    }
+    const { text, format, seed } = exported;
+    downloadFile(
+      new Blob([text], { type: format.type }),
+      `effects${seed !== null ? `-${seed}` : ""}.${format.extension}`
+    );
+    this.setStatus("");
+  }
+
+  /**
+   * Downloads the spread as a PNG: the cards at rest with a caption per effect
+   * @returns {Promise<void>}
+   */
+  async saveImage() {
+    const draw = this.getDrawCallback?.();
+    if (!draw || draw.cards.length === 0) {
+      return;
+    }
+    const spread = this.getSpreadCallback?.();
+    if (!spread) {
+      this.setStatus("Wait until every card is dealt.");
+      return;
+    }
+    const summary = EffectsSummary.build(draw);
+    const image = SpreadImage.compose(
+      spread,
+      EffectsSummary.toCaptions(summary)
+    );
+    const saved = await SpreadImage.download(
+      image,
+      `spread${summary.seed !== null ? `-${summary.seed}` : ""}.png`
+    );
+    this.setStatus(saved ? "" : "Couldn't create the image.");
+  }
+
+  /**
+   * Shows a status message
+   * @param {string} text - Message
+   */
+  setStatus(text) {
+    if (this.statusElement) {
+      this.statusElement.textContent = text;
+    }
+  }
+}
@@ -0,0 +1,159 @@
+import { DECK_FAMILY_NAMES, DECK_SIZES } from "../constants.js";
+import { CardRegistry } from "../models/CardRegistry.js";
+import { DrawHistory } from "../models/DrawHistory.js";
+import { DRAW_EVENTS } from "../models/DrawSession.js";
+
+/**
+ * Describes the deck an entry was drawn from
+ * @param {Object} deck - Deck config (see DeckManager.getConfig)
+ * @returns {string} Label such as "Deck of Wonder, 13 cards"
+ */
+function formatDeck(deck) {
+  const family = DECK_FAMILY_NAMES[deck.family] ?? deck.family;
+  const size =
+    deck.size === DECK_SIZES.CUSTOM
+      ? `custom (${Object.values(deck.cards ?? {}).reduce((sum, copies) => sum + copies, 0)} cards)`
+      : `${deck.size} cards`;
+  return `${family}, ${size}${deck.physical ? ", physical" : ""}`;
+}
+
+/**
+ * Describes the extra cards of an entry from its event log
+ * @param {Array<Object>} events - Draw events (see DRAW_EVENTS)
+ * @returns {string} Label such as "1 Mystery redraw, 2 Mischief draws", or "" if none
+ */
+function formatExtras(events) {
+  const count = (type) => events.filter((event) => event.type === type).length;
+  const mystery = count(DRAW_EVENTS.MYSTERY);
+  const mischief = count(DRAW_EVENTS.MISCHIEF);
+  const parts = [];
+  if (mystery > 0) {
+    parts.push(`${mystery} Mystery redraw${mystery === 1 ? "" : "s"}`);
+  }
+  if (mischief > 0) {
+    parts.push(`${mischief} Mischief draw${mischief === 1 ? "" : "s"}`);
+  }
+  return parts.join(", ");
+}
+
+/**
+ * Manages the draw history panel: the list of past draws and the viewer controls
+ */
+export class HistoryPanel {
+  constructor() {
+    this.list = null;
+    this.statusElement = null;
+    this.backButton = null;
+    this.clearButton = null;
+    this.onSelectCallback = null;
+    this.onBackCallback = null;
+    this.onClearCallback = null;
+  }
+
+  /**
+   * Initializes panel elements and event listeners
+   * @param {Function} onSelect - Callback when an entry is chosen (entry id)
+   * @param {Function} onBack - Callback to return to the current draw
+   * @param {Function} onClear - Callback to clear the history
+   * @returns {boolean} True if the panel was found
+   */
+  setup(onSelect, onBack, onClear) {
+    this.onSelectCallback = onSelect;
+    this.onBackCallback = onBack;
+    this.onClearCallback = onClear;
+    this.list = document.getElementById("history-list");
+    this.statusElement = document.getElementById("history-status");
+    this.backButton = document.getElementById("history-back-button");
+    this.clearButton = document.getElementById("history-clear-button");
+
+    if (!this.list || !this.statusElement) {
+      console.error("History panel elements not found");
+      return false;
+    }
+
+    this.backButton?.addEventListener("click", () => {
+      this.onBackCallback?.();
+    });
+    this.clearButton?.addEventListener("click", () => {
+      if (confirm("Clear the whole draw history?")) {
+        this.onClearCallback?.();
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Shows the history entries
+   * @param {Array<Object>} entries - History entries, newest first (see DrawHistory)
+   * @param {string|null} viewedId - Id of the entry being viewed, or null for the current draw
+   */
+  render(entries, viewedId = null) {
+    if (!this.list) return;
+
+    this.list.innerHTML = "";
+    entries.forEach((entry) => {
+      this.list.appendChild(
+        this.createEntryElement(entry, entry.id === viewedId)
+      );
+    });
+
+    const viewed = entries.find((entry) => entry.id === viewedId);
+    if (viewed?.shared) {
+      this.statusElement.textContent = `Viewing a shared draw, opened ${new Date(viewed.timestamp).toLocaleString()} (read-only).`;
+    } else if (viewed) {
+      this.statusElement.textContent = `Viewing the draw from ${new Date(viewed.timestamp).toLocaleString()} (read-only).`;
+    } else {
+      this.statusElement.textContent =
+        entries.length === 0 ? "No draws yet." : "";
+    }
+    const unknown = viewed ? DrawHistory.getUnknownCards(viewed.cards) : [];
+    if (unknown.length > 0) {
+      this.statusElement.textContent += ` Unknown cards, shown without effects: ${unknown.join(", ")}.`;
+    }
+    if (this.backButton) {
+      this.backButton.hidden = !viewed;
+    }
+    if (this.clearButton) {
+      this.clearButton.disabled = entries.length === 0;
+    }
+  }
+
+  /**
+   * Creates the list item for one entry
+   * @param {Object} entry - History entry
+   * @param {boolean} viewed - Whether the entry is being viewed
+   * @returns {HTMLElement} List item with a button selecting the entry
+   */
+  createEntryElement(entry, viewed) {
+    const item = document.createElement("li");
+    item.className = "history-entry";
+    item.classList.toggle("viewed", viewed);
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "history-entry-button";
+    button.addEventListener("click", () => {
+      this.onSelectCallback?.(entry.id);
+    });
+
+    const heading = document.createElement("span");
+    heading.className = "history-entry-heading";
+    heading.textContent = `${new Date(entry.timestamp).toLocaleString()} · ${formatDeck(entry.deck)} · seed ${entry.seed}${entry.shared ? " · shared link" : ""}`;
+
+    const summary = document.createElement("span");
+    summary.className = "history-entry-summary";
+    const extras = formatExtras(entry.events ?? []);
+    const unknown = DrawHistory.getUnknownCards(entry.cards).length;
+    summary.textContent = `Declared ${entry.count}, received ${entry.cards.length}${extras ? ` (${extras})` : ""}${unknown > 0 ? `, ${unknown} unknown` : ""}`;
+
+    const cards = document.createElement("span");
+    cards.className = "history-entry-cards";
+    cards.textContent = entry.cards
+      .map((card) => CardRegistry.getName(card))
+      .join(", ");
+
+    button.append(heading, summary, cards);
+    item.appendChild(button);
+    return item;
+  }
+}
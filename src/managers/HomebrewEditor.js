@@ -0,0 +1,462 @@
+import { HOMEBREW_CONFIG } from "../constants.js";
+import { STACKING, CHOICE_TYPES } from "../data/cardTypes.js";
+import { CardRegistry } from "../models/CardRegistry.js";
+import { HomebrewStore } from "../models/HomebrewStore.js";
+
+/**
+ * Text of homebrew reward choices (same wording as Coin)
+ */
+const REWARD_TEMPLATE =
+  "{quantity} {label}, each worth {worth} gp, appear at your feet. (total: {total} gp)";
+
+/**
+ * Turns a label into a lowercase identifier
+ * @param {string} text - Label
+ * @returns {string} Identifier made of letters, digits and dashes
+ */
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Reads an uploaded image file as a data URL
+ * @param {File} file - Image file
+ * @returns {Promise<string>} Data URL
+ */
+function readImageFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Manages the homebrew card editor panel
+ * Homebrew cards are stored in IndexedDB and registered in CardRegistry like built-in cards
+ */
+export class HomebrewEditor {
+  constructor() {
+    this.form = null;
+    this.nameInput = null;
+    this.imageInput = null;
+    this.imagePreview = null;
+    this.textInput = null;
+    this.stackingSelect = null;
+    this.perCopyInput = null;
+    this.dieSelect = null;
+    this.curseCheckbox = null;
+    this.choiceTypeSelect = null;
+    this.choiceOptionsInput = null;
+    this.durationDieSelect = null;
+    this.durationUnitInput = null;
+    this.resetButton = null;
+    this.statusElement = null;
+    this.cardList = null;
+    this.editingCardId = null;
+    this.onCardsChangedCallback = null;
+  }
+
+  /**
+   * Initializes editor elements and event listeners
+   * @param {Function} onCardsChanged - Callback when a homebrew card is saved or deleted (cardId)
+   * @returns {boolean} True if the editor was found
+   */
+  setup(onCardsChanged) {
+    this.onCardsChangedCallback = onCardsChanged;
+    this.form = document.getElementById("homebrew-form");
+    this.nameInput = document.getElementById("homebrew-name");
+    this.imageInput = document.getElementById("homebrew-image");
+    this.imagePreview = document.getElementById("homebrew-image-preview");
+    this.textInput = document.getElementById("homebrew-text");
+    this.stackingSelect = document.getElementById("homebrew-stacking");
+    this.perCopyInput = document.getElementById("homebrew-per-copy");
+    this.dieSelect = document.getElementById("homebrew-die");
+    this.curseCheckbox = document.getElementById("homebrew-curse");
+    this.choiceTypeSelect = document.getElementById("homebrew-choice-type");
+    this.choiceOptionsInput = document.getElementById(
+      "homebrew-choice-options"
+    );
+    this.durationDieSelect = document.getElementById("homebrew-duration-die");
+    this.durationUnitInput = document.getElementById("homebrew-duration-unit");
+    this.resetButton = document.getElementById("homebrew-reset-button");
+    this.statusElement = document.getElementById("homebrew-status");
+    this.cardList = document.getElementById("homebrew-card-list");
+
+    if (!this.form || !this.nameInput || !this.imageInput || !this.cardList) {
+      console.error("Homebrew editor elements not found");
+      return false;
+    }
+
+    this.imageInput.accept = HOMEBREW_CONFIG.IMAGE_TYPES.join(",");
+    this.form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      this.handleSubmit();
+    });
+    this.resetButton?.addEventListener("click", () => this.resetForm());
+    this.stackingSelect?.addEventListener("change", () =>
+      this.updateFieldVisibility()
+    );
+    this.choiceTypeSelect?.addEventListener("change", () =>
+      this.updateFieldVisibility()
+    );
+    this.imageInput.addEventListener("change", async () => {
+      const file = this.imageInput.files[0];
+      if (!file) return;
+      const imageError = this.getImageError(file);
+      if (imageError) {
+        this.setStatus(imageError);
+        return;
+      }
+      try {
+        this.showImagePreview(await readImageFile(file));
+      } catch (error) {
+        console.error("Failed to read homebrew image:", error);
+        this.setStatus("The image could not be read.");
+      }
+    });
+
+    this.updateFieldVisibility();
+    return true;
+  }
+
+  /**
+   * Loads stored homebrew cards into the card registry
+   * @returns {Promise<Array<Object>>} Loaded card definitions
+   */
+  async load() {
+    if (!HomebrewStore.isAvailable()) {
+      this.setStatus("Homebrew cards can't be stored in this browser.");
+      return [];
+    }
+    try {
+      const definitions = await HomebrewStore.getAll();
+      definitions.forEach((definition) => CardRegistry.register(definition));
+      this.renderCardList();
+      return definitions;
+    } catch (error) {
+      console.error("Failed to load homebrew cards:", error);
+      this.setStatus("Homebrew cards could not be loaded.");
+      return [];
+    }
+  }
+
+  /**
+   * Validates and saves the card in the form
+   * @returns {Promise<void>}
+   */
+  async handleSubmit() {
+    let definition;
+    try {
+      definition = await this.buildDefinition();
+    } catch (error) {
+      this.setStatus(error.message);
+      return;
+    }
+
+    try {
+      await HomebrewStore.save(definition);
+    } catch (error) {
+      console.error("Failed to save homebrew card:", error);
+      this.setStatus("The card could not be saved.");
+      return;
+    }
+
+    CardRegistry.register(definition);
+    this.resetForm();
+    this.renderCardList();
+    this.setStatus(`Saved "${definition.name}".`);
+    this.onCardsChangedCallback?.(definition.id);
+  }
+
+  /**
+   * Builds a card definition from the form fields
+   * @returns {Promise<Object>} Card definition
+   * @throws {Error} When a field is invalid
+   */
+  async buildDefinition() {
+    const name = this.nameInput.value.trim();
+    if (!name) {
+      throw new Error("Give the card a name.");
+    }
+
+    const existing = this.editingCardId
+      ? CardRegistry.get(this.editingCardId)
+      : null;
+    const file = this.imageInput.files[0];
+    let image = existing?.image ?? null;
+    if (file) {
+      const imageError = this.getImageError(file);
+      if (imageError) {
+        throw new Error(imageError);
+      }
+      image = await readImageFile(file);
+    }
+    if (!image) {
+      throw new Error("Upload a front image for the card.");
+    }
+
+    const text = this.textInput.value.trim() || null;
+    const choice = this.buildChoice();
+    if (!text && !choice) {
+      throw new Error("Give the card effect text or a choice.");
+    }
+
+    const rule = this.stackingSelect.value;
+    const stacking = { rule };
+    if (rule === STACKING.BONUS || rule === STACKING.DICE) {
+      const perCopy = parseInt(this.perCopyInput.value, 10);
+      if (!Number.isInteger(perCopy) || perCopy < 1) {
+        throw new Error("The amount per copy must be a whole number above 0.");
+      }
+      stacking.perCopy = perCopy;
+    }
+    if (rule === STACKING.DICE) {
+      stacking.die = parseInt(this.dieSelect.value, 10);
+    }
+
+    return {
+      id:
+        this.editingCardId ??
+        `${HOMEBREW_CONFIG.ID_PREFIX}${slugify(name) || "card"}-${Date.now().toString(36)}`,
+      name,
+      image,
+      homebrew: true,
+      isCurse: this.curseCheckbox.checked,
+      stacking,
+      text,
+      choice,
+    };
+  }
+
+  /**
+   * Builds the optional choice of a card from the form fields
+   * Resistance options are listed one per line (or comma separated);
+   * reward options are lines of "Label, quantity, worth in gp"
+   * @returns {Object|null} Choice definition, or null for no choice
+   * @throws {Error} When the options are invalid
+   */
+  buildChoice() {
+    const type = this.choiceTypeSelect.value;
+    if (type !== CHOICE_TYPES.RESISTANCE && type !== CHOICE_TYPES.REWARD) {
+      return null;
+    }
+
+    if (type === CHOICE_TYPES.RESISTANCE) {
+      const options = this.choiceOptionsInput.value
+        .split(/[\n,]/)
+        .map((option) => option.trim().toLowerCase())
+        .filter(Boolean);
+      if (options.length === 0) {
+        throw new Error("List at least one option for the choice.");
+      }
+      return {
+        type,
+        options: [...new Set(options)],
+        durationDie: parseInt(this.durationDieSelect.value, 10),
+        durationUnit: this.durationUnitInput.value.trim() || "days",
+      };
+    }
+
+    const lines = this.choiceOptionsInput.value
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean);
+    if (lines.length === 0) {
+      throw new Error("List at least one option for the choice.");
+    }
+    const options = lines.map((line) => {
+      const [label, quantity = "1", worth = "0"] = line
+        .split(",")
+        .map((part) => part.trim());
+      const option = {
+        value: slugify(label),
+        label,
+        quantity: parseInt(quantity, 10),
+        worth: parseInt(worth, 10),
+      };
+      if (
+        !option.value ||
+        !Number.isInteger(option.quantity) ||
+        option.quantity < 1 ||
+        !Number.isInteger(option.worth) ||
+        option.worth < 0
+      ) {
+        throw new Error(`Invalid reward option: "${line}".`);
+      }
+      return option;
+    });
+    return { type, options, text: REWARD_TEMPLATE };
+  }
+
+  /**
+   * Checks an uploaded image's type and size
+   * @param {File} file - Uploaded file
+   * @returns {string|null} Problem with the image, or null if it can be used
+   */
+  getImageError(file) {
+    if (!HOMEBREW_CONFIG.IMAGE_TYPES.includes(file.type)) {
+      return "Use a PNG, JPEG, WebP or GIF image.";
+    }
+    if (file.size > HOMEBREW_CONFIG.MAX_IMAGE_BYTES) {
+      return `Images can be at most ${HOMEBREW_CONFIG.MAX_IMAGE_BYTES / (1024 * 1024)} MB.`;
+    }
+    return null;
+  }
+
+  /**
+   * Fills the form with a homebrew card for editing
+   * @param {string} cardId - Card id
+   */
+  editCard(cardId) {
+    const definition = CardRegistry.get(cardId);
+    if (!definition) return;
+
+    this.editingCardId = cardId;
+    this.nameInput.value = definition.name;
+    this.imageInput.value = "";
+    this.showImagePreview(definition.image);
+    this.textInput.value = definition.text ?? "";
+    this.stackingSelect.value = definition.stacking.rule;
+    this.perCopyInput.value = definition.stacking.perCopy ?? 1;
+    this.dieSelect.value = String(definition.stacking.die ?? 6);
+    this.curseCheckbox.checked = definition.isCurse;
+
+    const { choice } = definition;
+    this.choiceTypeSelect.value = choice?.type ?? "";
+    if (choice?.type === CHOICE_TYPES.RESISTANCE) {
+      this.choiceOptionsInput.value = choice.options.join("\n");
+      this.durationDieSelect.value = String(choice.durationDie);
+      this.durationUnitInput.value = choice.durationUnit;
+    } else if (choice?.type === CHOICE_TYPES.REWARD) {
+      this.choiceOptionsInput.value = choice.options
+        .map(({ label, quantity, worth }) => `${label}, ${quantity}, ${worth}`)
+        .join("\n");
+    } else {
+      this.choiceOptionsInput.value = "";
+    }
+
+    this.updateFieldVisibility();
+    this.setStatus(`Editing "${definition.name}".`);
+    this.nameInput.focus();
+  }
+
+  /**
+   * Deletes a homebrew card
+   * @param {string} cardId - Card id
+   * @returns {Promise<void>}
+   */
+  async deleteCard(cardId) {
+    const name = CardRegistry.getName(cardId);
+    try {
+      await HomebrewStore.delete(cardId);
+    } catch (error) {
+      console.error("Failed to delete homebrew card:", error);
+      this.setStatus("The card could not be deleted.");
+      return;
+    }
+
+    CardRegistry.unregister(cardId);
+    if (this.editingCardId === cardId) {
+      this.resetForm();
+    }
+    this.renderCardList();
+    this.setStatus(`Deleted "${name}".`);
+    this.onCardsChangedCallback?.(cardId);
+  }
+
+  /**
+   * Clears the form for a new card
+   */
+  resetForm() {
+    this.editingCardId = null;
+    this.form.reset();
+    this.showImagePreview(null);
+    this.updateFieldVisibility();
+    this.setStatus("");
+  }
+
+  /**
+   * Shows only the fields that apply to the selected stacking rule and choice
+   */
+  updateFieldVisibility() {
+    const rule = this.stackingSelect?.value;
+    const choiceType = this.choiceTypeSelect?.value;
+    const setHidden = (id, hidden) => {
+      const row = document.getElementById(id);
+      if (row) row.hidden = hidden;
+    };
+    setHidden(
+      "homebrew-per-copy-row",
+      rule !== STACKING.BONUS && rule !== STACKING.DICE
+    );
+    setHidden("homebrew-die-row", rule !== STACKING.DICE);
+    setHidden("homebrew-choice-options-row", !choiceType);
+    setHidden("homebrew-duration-row", choiceType !== CHOICE_TYPES.RESISTANCE);
+    if (this.choiceOptionsInput) {
+      this.choiceOptionsInput.placeholder =
+        choiceType === CHOICE_TYPES.REWARD
+          ? "Label, quantity, worth in gp (one per line)"
+          : "One option per line";
+    }
+  }
+
+  /**
+   * Shows or hides the front image preview
+   * @param {string|null} image - Image URL, or null to hide
+   */
+  showImagePreview(image) {
+    if (!this.imagePreview) return;
+    this.imagePreview.hidden = !image;
+    if (image) {
+      this.imagePreview.src = image;
+    } else {
+      this.imagePreview.removeAttribute("src");
+    }
+  }
+
+  /**
+   * Renders the list of saved homebrew cards with edit and delete buttons
+   */
+  renderCardList() {
+    this.cardList.innerHTML = "";
+    CardRegistry.getHomebrew().forEach((definition) => {
+      const item = document.createElement("li");
+
+      const thumbnail = document.createElement("img");
+      thumbnail.src = definition.image;
+      thumbnail.alt = "";
+      const name = document.createElement("span");
+      name.className = definition.isCurse ? "curse-name" : "";
+      name.textContent = definition.name;
+
+      const editButton = document.createElement("button");
+      editButton.type = "button";
+      editButton.textContent = "Edit";
+      editButton.addEventListener("click", () => this.editCard(definition.id));
+      const deleteButton = document.createElement("button");
+      deleteButton.type = "button";
+      deleteButton.textContent = "Delete";
+      deleteButton.addEventListener("click", () =>
+        this.deleteCard(definition.id)
+      );
+
+      item.append(thumbnail, name, editButton, deleteButton);
+      this.cardList.appendChild(item);
+    });
+  }
+
+  /**
+   * Sets the status line text
+   * @param {string} text - Status text
+   */
+  setStatus(text) {
+    if (this.statusElement) {
+      this.statusElement.textContent = text;
+    }
+  }
+}
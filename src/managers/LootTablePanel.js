@@ -0,0 +1,229 @@
+import { downloadFile } from "../utils/download.js";
+
+/**
+ * Manages the loot table editor: choosing a table, editing its weighted entries,
+ * restoring the defaults, and JSON import and export of all tables
+ */
+export class LootTablePanel {
+  constructor() {
+    this.lootTables = null;
+    this.tableSelect = null;
+    this.entriesTable = null;
+    this.statusElement = null;
+    this.onChangeCallback = null;
+  }
+
+  /**
+   * Initializes panel elements and event listeners
+   * @param {LootTables} lootTables - Tables to edit
+   * @param {Function} onChange - Callback after tables are saved, imported or reset
+   * @returns {boolean} True if the panel was found
+   */
+  setup(lootTables, onChange) {
+    this.lootTables = lootTables;
+    this.onChangeCallback = onChange;
+    this.tableSelect = document.getElementById("loot-table-select");
+    this.entriesTable = document.getElementById("loot-entries");
+    this.statusElement = document.getElementById("loot-status");
+
+    if (!this.tableSelect || !this.entriesTable) {
+      console.error("Loot table panel elements not found");
+      return false;
+    }
+
+    this.tableSelect.addEventListener("change", () => {
+      this.renderEntries();
+      this.setStatus("");
+    });
+    document
+      .getElementById("loot-add-button")
+      ?.addEventListener("click", () =>
+        this.addEntryRow({ item: "", weight: 1 })
+      );
+    document
+      .getElementById("loot-save-button")
+      ?.addEventListener("click", () => this.saveTable());
+    document
+      .getElementById("loot-reset-button")
+      ?.addEventListener("click", () => {
+        if (confirm("Restore the default loot tables? Your edits are lost.")) {
+          this.lootTables.reset();
+          this.render();
+          this.setStatus("Default tables restored.");
+          this.onChangeCallback?.();
+        }
+      });
+    document
+      .getElementById("loot-export-button")
+      ?.addEventListener("click", () => this.exportTables());
+    const importInput = document.getElementById("loot-import-input");
+    importInput?.addEventListener("change", () => {
+      const file = importInput.files[0];
+      importInput.value = "";
+      if (file) {
+        this.importTables(file);
+      }
+    });
+
+    this.render();
+    return true;
+  }
+
+  /**
+   * Shows the table list, keeping the chosen table if it still exists
+   */
+  render() {
+    const selected = this.tableSelect.value;
+    this.tableSelect.innerHTML = "";
+    this.lootTables.getTables().forEach((table) => {
+      const option = document.createElement("option");
+      option.value = table.id;
+      option.textContent = table.name;
+      option.selected = table.id === selected;
+      this.tableSelect.appendChild(option);
+    });
+    this.renderEntries();
+  }
+
+  /**
+   * Shows the entries of the chosen table as editable rows
+   */
+  renderEntries() {
+    this.entriesTable.innerHTML = "";
+    const table = this.lootTables.get(this.tableSelect.value);
+    if (!table) {
+      return;
+    }
+    const headRow = this.entriesTable.createTHead().insertRow();
+    ["Item", "Weight", "Chance", ""].forEach((label) => {
+      const th = document.createElement("th");
+      th.textContent = label;
+      headRow.appendChild(th);
+    });
+    this.entriesTable.createTBody();
+    table.entries.forEach((entry) => this.addEntryRow(entry));
+  }
+
+  /**
+   * Adds an editable entry row
+   * @param {{item: string, weight: number}} entry - Entry to show
+   */
+  addEntryRow(entry) {
+    const body = this.entriesTable.tBodies[0];
+    if (!body) {
+      return;
+    }
+    const row = body.insertRow();
+
+    const itemInput = document.createElement("input");
+    itemInput.type = "text";
+    itemInput.className = "loot-item-input";
+    itemInput.maxLength = 80;
+    itemInput.value = entry.item;
+    row.insertCell().appendChild(itemInput);
+
+    const weightInput = document.createElement("input");
+    weightInput.type = "number";
+    weightInput.className = "loot-weight-input";
+    weightInput.min = "1";
+    weightInput.step = "1";
+    weightInput.value = entry.weight;
+    weightInput.addEventListener("input", () => this.updateChances());
+    row.insertCell().appendChild(weightInput);
+
+    row.insertCell().className = "loot-chance";
+
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.textContent = "Remove";
+    removeButton.addEventListener("click", () => {
+      row.remove();
+      this.updateChances();
+    });
+    row.insertCell().appendChild(removeButton);
+
+    this.updateChances();
+  }
+
+  /**
+   * Shows each row's chance from the weights typed so far
+   */
+  updateChances() {
+    const rows = Array.from(this.entriesTable.tBodies[0]?.rows ?? []);
+    const weights = rows.map((row) => {
+      const weight = Number(row.querySelector(".loot-weight-input").value);
+      return Number.isInteger(weight) && weight > 0 ? weight : 0;
+    });
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    rows.forEach((row, index) => {
+      row.querySelector(".loot-chance").textContent =
+        total > 0 ? `${((weights[index] / total) * 100).toFixed(1)}%` : "—";
+    });
+  }
+
+  /**
+   * Reads the chosen table from the rows
+   * @returns {Object} Table with the edited entries (not validated yet)
+   */
+  readTable() {
+    const table = this.lootTables.get(this.tableSelect.value);
+    const rows = Array.from(this.entriesTable.tBodies[0]?.rows ?? []);
+    return {
+      id: table?.id,
+      name: table?.name,
+      entries: rows.map((row) => ({
+        item: row.querySelector(".loot-item-input").value,
+        weight: Number(row.querySelector(".loot-weight-input").value),
+      })),
+    };
+  }
+
+  /**
+   * Validates and saves the chosen table
+   */
+  saveTable() {
+    try {
+      const table = this.lootTables.save(this.readTable());
+      this.renderEntries();
+      this.setStatus(`Saved ${table.name}.`);
+      this.onChangeCallback?.();
+    } catch (error) {
+      this.setStatus(error.message);
+    }
+  }
+
+  /**
+   * Downloads all tables as JSON
+   */
+  exportTables() {
+    downloadFile(
+      new Blob([this.lootTables.toJSON()], { type: "application/json" }),
+      "loot-tables.json"
+    );
+  }
+
+  /**
+   * Replaces all tables with the ones in a JSON file
+   * @param {File} file - Chosen file
+   */
+  async importTables(file) {
+    try {
+      this.lootTables.replaceAll(JSON.parse(await file.text()));
+      this.render();
+      this.setStatus(`Imported ${this.lootTables.getTables().length} tables.`);
+      this.onChangeCallback?.();
+    } catch (error) {
+      this.setStatus(`Couldn't import ${file.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Shows a status message below the table
+   * @param {string} message - Message, or "" to clear it
+   */
+  setStatus(message) {
+    if (this.statusElement) {
+      this.statusElement.textContent = message;
+    }
+  }
+}
@@ -0,0 +1,92 @@
+import { CardRegistry } from "../models/CardRegistry.js";
+
+/**
+ * Manages the physical deck controls: the mode toggle, remaining deck and
+ * discard pile display, and the manual reshuffle button
+ */
+export class PhysicalDeckPanel {
+  constructor() {
+    this.checkbox = null;
+    this.stateElement = null;
+    this.remainingElement = null;
+    this.discardSummary = null;
+    this.discardList = null;
+    this.noteElement = null;
+    this.reshuffleButton = null;
+    this.onToggleCallback = null;
+    this.onReshuffleCallback = null;
+  }
+
+  /**
+   * Initializes panel elements and event listeners
+   * @param {Function} onToggle - Callback when physical deck mode is switched (enabled)
+   * @param {Function} onReshuffle - Callback for the manual reshuffle button
+   * @returns {boolean} True if the panel was found
+   */
+  setup(onToggle, onReshuffle) {
+    this.onToggleCallback = onToggle;
+    this.onReshuffleCallback = onReshuffle;
+    this.checkbox = document.getElementById("physical-deck-checkbox");
+    this.stateElement = document.getElementById("physical-deck-state");
+    this.remainingElement = document.getElementById("physical-deck-remaining");
+    this.discardSummary = document.getElementById(
+      "physical-deck-discard-summary"
+    );
+    this.discardList = document.getElementById("physical-deck-discards");
+    this.noteElement = document.getElementById("physical-deck-note");
+    this.reshuffleButton = document.getElementById("physical-deck-reshuffle");
+
+    if (!this.checkbox || !this.stateElement) {
+      console.error("Physical deck elements not found");
+      return false;
+    }
+
+    this.checkbox.addEventListener("change", () => {
+      this.onToggleCallback?.(this.checkbox.checked);
+    });
+    this.reshuffleButton?.addEventListener("click", () => {
+      this.onReshuffleCallback?.();
+    });
+    return true;
+  }
+
+  /**
+   * Shows the state of the physical deck
+   * @param {Object} state - Deck state
+   * @param {boolean} state.enabled - Whether physical deck mode is on
+   * @param {number} state.remaining - Cards left in the deck
+   * @param {Array<string>} state.discards - Discard pile, oldest first
+   * @param {number} [state.reshuffled=0] - Automatic reshuffles during the last draw
+   */
+  render({ enabled, remaining, discards, reshuffled = 0 }) {
+    if (!this.stateElement) return;
+    this.checkbox.checked = enabled;
+    this.stateElement.hidden = !enabled;
+    if (!enabled) return;
+
+    if (this.remainingElement) {
+      this.remainingElement.textContent = `Deck: ${remaining} cards · Discard pile: ${discards.length} cards`;
+    }
+    if (this.reshuffleButton) {
+      this.reshuffleButton.disabled = discards.length === 0;
+    }
+    if (this.discardSummary) {
+      this.discardSummary.textContent = `Discard pile (${discards.length})`;
+    }
+    if (this.discardList) {
+      this.discardList.innerHTML = "";
+      // Most recent discard first, like the top of a real pile
+      [...discards].reverse().forEach((card) => {
+        const item = document.createElement("li");
+        item.textContent = CardRegistry.getName(card);
+        this.discardList.appendChild(item);
+      });
+    }
+    if (this.noteElement) {
+      this.noteElement.textContent =
+        reshuffled > 0
+          ? `The deck ran out and the discards were shuffled back in${reshuffled > 1 ? ` (${reshuffled} times)` : ""}.`
+          : "";
+    }
+  }
+}
@@ -0,0 +1,204 @@
+import { RECURRING_ROLLS } from "../data/cardTypes.js";
+import { CardRegistry } from "../models/CardRegistry.js";
+import { rollDice } from "../utils/diceRoller.js";
+import { getStream, RNG_STREAMS } from "../utils/rng.js";
+
+// Wording of each kind of recurring roll
+const ROLL_LABELS = {
+  [RECURRING_ROLLS.SAVING_THROW]: {
+    title: "Saving Throws",
+    input: "d20 save result",
+    entry: "Save",
+  },
+};
+
+/**
+ * Describes one rolled modifier, e.g. "− 3 (Monster 2d4 [1, 2])"
+ * @param {{card: string, result: Object}} part - Card and its rollDice result
+ * @returns {string} Signed amount with the card and dice
+ */
+function formatPart({ card, result }) {
+  const dice = result.groups
+    .map(
+      (group) =>
+        ` ${group.notation} [${group.dice
+          .filter((die) => die.kept)
+          .map((die) => die.value)
+          .join(", ")}]`
+    )
+    .join("");
+  const sign = result.total < 0 ? "−" : "+";
+  return `${sign} ${Math.abs(result.total)} (${CardRegistry.getName(card)}${dice})`;
+}
+
+/**
+ * Manages the recurring roll companion: while cards such as Monster are in the spread,
+ * it applies their modifiers (rolled again each time) to every saving throw entered,
+ * and keeps a log of the rolls made under them
+ */
+export class RecurringRollPanel {
+  constructor() {
+    this.container = null;
+    this.modifiers = [];
+    this.renderedKey = null;
+    // Roll type -> log entries, newest first
+    this.logs = new Map();
+  }
+
+  /**
+   * Finds the panel container
+   * @returns {boolean} True if the panel was found
+   */
+  setup() {
+    this.container = document.getElementById("recurring-rolls");
+    if (!this.container) {
+      console.error("Recurring roll panel not found");
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Shows a section for each kind of roll the modifiers apply to
+   * The panel is only rebuilt when the modifiers change, so typed results survive re-renders.
+   * @param {Array<Object>} modifiers - Active modifiers (see CardEffects.getRecurringModifiers)
+   */
+  render(modifiers) {
+    if (!this.container) return;
+    const key = JSON.stringify(modifiers);
+    if (key === this.renderedKey) return;
+    this.renderedKey = key;
+    this.modifiers = modifiers;
+
+    this.container.replaceChildren();
+    this.container.hidden = modifiers.length === 0;
+    const rolls = [...new Set(modifiers.map((modifier) => modifier.roll))];
+    rolls.forEach((roll) => {
+      this.container.appendChild(
+        this.createRollSection(
+          roll,
+          modifiers.filter((modifier) => modifier.roll === roll)
+        )
+      );
+    });
+  }
+
+  /**
+   * Forgets the logged rolls (a new spread was drawn)
+   */
+  clearLog() {
+    this.logs = new Map();
+    this.renderedKey = null;
+    this.render(this.modifiers);
+  }
+
+  /**
+   * Creates the widget for one kind of roll
+   * @param {string} roll - One of RECURRING_ROLLS
+   * @param {Array<Object>} modifiers - Modifiers applying to this roll
+   * @returns {HTMLElement} Section element
+   */
+  createRollSection(roll, modifiers) {
+    const labels = ROLL_LABELS[roll] ?? {
+      title: roll,
+      input: "Roll",
+      entry: "Roll",
+    };
+    const section = document.createElement("section");
+    section.className = "recurring-roll";
+
+    const title = document.createElement("h3");
+    title.textContent = labels.title;
+    const active = document.createElement("p");
+    active.className = "recurring-roll-active";
+    active.textContent = `Applied every time: ${modifiers
+      .map(
+        (modifier) =>
+          `${CardRegistry.getName(modifier.card)} ${modifier.modifier.replace("-", "−")}`
+      )
+      .join(", ")}`;
+
+    const controls = document.createElement("div");
+    controls.className = "recurring-roll-controls";
+    const label = document.createElement("label");
+    label.textContent = labels.input;
+    const input = document.createElement("input");
+    input.type = "number";
+    input.step = "1";
+    label.appendChild(input);
+    const d20Button = document.createElement("button");
+    d20Button.type = "button";
+    d20Button.textContent = "Roll d20";
+    const applyButton = document.createElement("button");
+    applyButton.type = "button";
+    applyButton.textContent = "Apply Modifiers";
+    controls.append(label, d20Button, applyButton);
+
+    const result = document.createElement("p");
+    result.className = "recurring-roll-result";
+    const log = document.createElement("ol");
+    log.className = "recurring-roll-log";
+
+    d20Button.addEventListener("click", () => {
+      input.value =
+        rollDice("1d20", getStream(RNG_STREAMS.COMPANION))?.total ?? "";
+    });
+    applyButton.addEventListener("click", () => {
+      const base = parseInt(input.value, 10);
+      if (!Number.isInteger(base)) {
+        result.textContent = `Enter the ${labels.input} first.`;
+        return;
+      }
+      const entry = this.applyModifiers(roll, base, modifiers);
+      result.textContent = entry.text;
+      this.renderLog(log, roll, labels);
+    });
+
+    section.append(title, active, controls, result, log);
+    this.renderLog(log, roll, labels);
+    return section;
+  }
+
+  /**
+   * Rolls the modifiers for one roll and logs the adjusted total
+   * Companion rolls have their own stream, so they don't shift the effects' dice.
+   * @param {string} roll - One of RECURRING_ROLLS
+   * @param {number} base - Result before the modifiers
+   * @param {Array<Object>} modifiers - Modifiers applying to this roll
+   * @returns {{base: number, parts: Array<Object>, total: number, text: string}} Log entry
+   */
+  applyModifiers(roll, base, modifiers) {
+    const parts = modifiers
+      .map((modifier) => ({
+        card: modifier.card,
+        result: rollDice(modifier.modifier, getStream(RNG_STREAMS.COMPANION)),
+      }))
+      .filter((part) => part.result);
+    const total = parts.reduce((sum, part) => sum + part.result.total, base);
+    const entry = {
+      base,
+      parts,
+      total,
+      text: `${base} ${parts.map(formatPart).join(" ")} = ${total}`,
+    };
+    this.logs.set(roll, [entry, ...(this.logs.get(roll) ?? [])]);
+    return entry;
+  }
+
+  /**
+   * Shows the rolls made under the modifiers, newest first
+   * @param {HTMLElement} log - List element
+   * @param {string} roll - One of RECURRING_ROLLS
+   * @param {Object} labels - Wording of the roll
+   */
+  renderLog(log, roll, labels) {
+    const entries = this.logs.get(roll) ?? [];
+    log.replaceChildren(
+      ...entries.map((entry, index) => {
+        const item = document.createElement("li");
+        item.textContent = `${labels.entry} ${entries.length - index}: ${entry.text}`;
+        return item;
+      })
+    );
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Manages the "Copy Link" control above the effects, which shares the shown draw
+ * as a link (see utils/permalink.js)
+ */
+export class SharePanel {
+  constructor() {
+    this.button = null;
+    this.output = null;
+    this.statusElement = null;
+    this.getLinkCallback = null;
+  }
+
+  /**
+   * Initializes panel elements and event listeners
+   * @param {Function} getLink - Callback returning the link to the shown draw, or null
+   * @returns {boolean} True if the panel was found
+   */
+  setup(getLink) {
+    this.getLinkCallback = getLink;
+    this.button = document.getElementById("share-link-button");
+    this.output = document.getElementById("share-link-output");
+    this.statusElement = document.getElementById("share-status");
+
+    if (!this.button || !this.output || !this.statusElement) {
+      console.error("Share panel elements not found");
+      return false;
+    }
+
+    this.button.addEventListener("click", () => this.copyLink());
+    this.output.addEventListener("focus", () => this.output.select());
+    this.setEnabled(false);
+    return true;
+  }
+
+  /**
+   * Enables "Copy Link" while there is a draw to share
+   * A link shown earlier is hidden, as the draw it was made from may have changed.
+   * @param {boolean} enabled - Whether a draw is shown
+   */
+  setEnabled(enabled) {
+    if (!this.button) return;
+    this.button.disabled = !enabled;
+    this.output.hidden = true;
+    this.setStatus("");
+  }
+
+  /**
+   * Copies the link to the clipboard, or shows it to copy by hand when the
+   * browser doesn't allow it
+   * @returns {Promise<void>}
+   */
+  async copyLink() {
+    const link = this.getLinkCallback?.();
+    if (!link) {
+      return;
+    }
+    this.output.value = link;
+    try {
+      await navigator.clipboard.writeText(link);
+      this.output.hidden = true;
+      this.setStatus("Link copied.");
+    } catch (error) {
+      console.error("Failed to copy the link:", error);
+      this.output.hidden = false;
+      this.output.focus();
+      this.setStatus("Copy the link below.");
+    }
+  }
+
+  /**
+   * Shows a status message
+   * @param {string} text - Message
+   */
+  setStatus(text) {
+    if (this.statusElement) {
+      this.statusElement.textContent = text;
+    }
+  }
+}
@@ -0,0 +1,246 @@
+import { DECK_CONFIG, SIMULATION_CONFIG, WORKER_TASKS } from "../constants.js";
+import { CardEffects } from "../models/CardEffects.js";
+import { CardRegistry } from "../models/CardRegistry.js";
+import { generateSeed } from "../utils/rng.js";
+import { formatPercent } from "../utils/stringUtils.js";
+
+/**
+ * Manages the Monte Carlo simulator panel
+ * Simulations run in a Web Worker so large runs never block the page
+ */
+export class SimulatorPanel {
+  constructor() {
+    this.countInput = null;
+    this.iterationsInput = null;
+    this.mischiefCheckbox = null;
+    this.runButton = null;
+    this.statusElement = null;
+    this.resultsElement = null;
+    this.getDeckCallback = null;
+    this.worker = null;
+  }
+
+  /**
+   * Initializes panel elements and event listeners
+   * @param {Function} getDeck - Returns the card names of the currently selected deck
+   * @returns {boolean} True if the panel was found
+   */
+  setup(getDeck) {
+    this.getDeckCallback = getDeck;
+    this.countInput = document.getElementById("simulator-count");
+    this.iterationsInput = document.getElementById("simulator-iterations");
+    this.mischiefCheckbox = document.getElementById("simulator-mischief");
+    this.runButton = document.getElementById("simulator-run-button");
+    this.statusElement = document.getElementById("simulator-status");
+    this.resultsElement = document.getElementById("simulator-results");
+
+    if (!this.countInput || !this.iterationsInput || !this.runButton) {
+      console.error("Simulator panel elements not found");
+      return false;
+    }
+
+    this.countInput.max = DECK_CONFIG.MAX_DRAW;
+    this.iterationsInput.max = SIMULATION_CONFIG.MAX_ITERATIONS;
+    this.iterationsInput.value = SIMULATION_CONFIG.DEFAULT_ITERATIONS;
+    this.runButton.addEventListener("click", () => this.run());
+    return true;
+  }
+
+  /**
+   * Starts a simulation with the current panel settings
+   */
+  run() {
+    const deck = this.getDeckCallback ? this.getDeckCallback() : [];
+    const count = parseInt(this.countInput.value, 10);
+    const iterations = parseInt(this.iterationsInput.value, 10);
+
+    if (deck.length === 0) {
+      this.setStatus("The selected deck is empty.");
+      return;
+    }
+    if (!Number.isInteger(count) || count < 1 || count > DECK_CONFIG.MAX_DRAW) {
+      this.setStatus(
+        `Declared draws must be between 1 and ${DECK_CONFIG.MAX_DRAW}.`
+      );
+      return;
+    }
+    if (
+      !Number.isInteger(iterations) ||
+      iterations < 1 ||
+      iterations > SIMULATION_CONFIG.MAX_ITERATIONS
+    ) {
+      this.setStatus(
+        `Simulations must be between 1 and ${SIMULATION_CONFIG.MAX_ITERATIONS}.`
+      );
+      return;
+    }
+
+    this.cancel();
+    this.worker = new Worker(
+      new URL("../workers/simulationWorker.js", import.meta.url),
+      { type: "module" }
+    );
+    this.worker.addEventListener("message", (event) => {
+      this.cancel();
+      this.runButton.disabled = false;
+      if (event.data.error) {
+        this.setStatus(`Simulation failed: ${event.data.error}`);
+        return;
+      }
+      this.setStatus(
+        `${iterations} simulated draws of ${count} from a ${deck.length}-card deck.`
+      );
+      this.renderResults(event.data.stats);
+    });
+    this.worker.addEventListener("error", (error) => {
+      console.error("Simulation worker error:", error);
+      this.cancel();
+      this.runButton.disabled = false;
+      this.setStatus("Simulation failed.");
+    });
+
+    this.runButton.disabled = true;
+    this.setStatus("Simulating…");
+    this.worker.postMessage({
+      task: WORKER_TASKS.SIMULATE,
+      deck,
+      definitions: CardRegistry.getWorkerDefinitions(deck),
+      count,
+      iterations,
+      seed: generateSeed(),
+      useMischief: Boolean(this.mischiefCheckbox?.checked),
+    });
+  }
+
+  /**
+   * Stops any running simulation
+   */
+  cancel() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+
+  /**
+   * Sets the status line text
+   * @param {string} text - Status text
+   */
+  setStatus(text) {
+    if (this.statusElement) {
+      this.statusElement.textContent = text;
+    }
+  }
+
+  /**
+   * Renders simulation statistics
+   * @param {Object} stats - Statistics from OutcomeSimulator.simulate
+   */
+  renderResults(stats) {
+    if (!this.resultsElement) return;
+    this.resultsElement.innerHTML = "";
+
+    const stopCards =
+      CardRegistry.getStopCardNames(Object.keys(stats.cards)).join(" or ") ||
+      "A card that stops drawing";
+    const summary = document.createElement("ul");
+    summary.className = "simulator-summary";
+    [
+      [
+        "At least one curse",
+        formatPercent(stats.curseDraws / stats.iterations),
+      ],
+      [`${stopCards} drawn`, formatPercent(stats.stopDraws / stats.iterations)],
+      [
+        `${stopCards} cuts the draw short`,
+        formatPercent(stats.stopCuts / stats.iterations),
+      ],
+    ].forEach(([label, value]) => {
+      const item = document.createElement("li");
+      item.textContent = `${label}: ${value}`;
+      summary.appendChild(item);
+    });
+    this.resultsElement.appendChild(summary);
+
+    this.resultsElement.appendChild(this.createCardTable(stats));
+    this.resultsElement.appendChild(this.createTotalsChart(stats));
+  }
+
+  /**
+   * Creates the per-card frequency table
+   * @param {Object} stats - Simulation statistics
+   * @returns {HTMLElement} Table element
+   */
+  createCardTable(stats) {
+    const table = document.createElement("table");
+    table.className = "simulator-table";
+    table.innerHTML =
+      "<thead><tr><th>Card</th><th>In draws</th><th>Avg copies</th></tr></thead>";
+
+    const body = document.createElement("tbody");
+    Object.entries(stats.cards)
+      .sort(([, a], [, b]) => b.draws - a.draws)
+      .forEach(([card, { copies, draws }]) => {
+        const row = document.createElement("tr");
+        if (CardEffects.isCurse(card)) {
+          row.className = "curse-row";
+        }
+        [
+          CardRegistry.getName(card),
+          formatPercent(draws / stats.iterations),
+          (copies / stats.iterations).toFixed(2),
+        ].forEach((text) => {
+          const cell = document.createElement("td");
+          cell.textContent = text;
+          row.appendChild(cell);
+        });
+        body.appendChild(row);
+      });
+    table.appendChild(body);
+    return table;
+  }
+
+  /**
+   * Creates the distribution chart of total cards received
+   * @param {Object} stats - Simulation statistics
+   * @returns {HTMLElement} Chart element
+   */
+  createTotalsChart(stats) {
+    const chart = document.createElement("div");
+    chart.className = "simulator-totals";
+
+    const title = document.createElement("p");
+    title.textContent = "Total cards received";
+    chart.appendChild(title);
+
+    const entries = Object.entries(stats.totals).sort(
+      ([a], [b]) => Number(a) - Number(b)
+    );
+    const maxDraws = Math.max(...entries.map(([, draws]) => draws));
+    entries.forEach(([total, draws]) => {
+      const row = document.createElement("div");
+      row.className = "simulator-total-row";
+
+      const label = document.createElement("span");
+      label.className = "simulator-total-label";
+      label.textContent = total;
+
+      const track = document.createElement("span");
+      track.className = "simulator-total-track";
+      const bar = document.createElement("span");
+      bar.className = "simulator-total-bar";
+      bar.style.width = `${(draws / maxDraws) * 100}%`;
+      track.appendChild(bar);
+
+      const value = document.createElement("span");
+      value.className = "simulator-total-value";
+      value.textContent = formatPercent(draws / stats.iterations);
+
+      row.appendChild(label);
+      row.appendChild(track);
+      row.appendChild(value);
+      chart.appendChild(row);
+    });
+    return chart;
+  }
+}
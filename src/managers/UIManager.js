@@ -1,4 +1,17 @@
-import { DECK_SIZES, DECK_CONFIG, TAROT_CARDS } from "../constants.js";
+import {
+  DECK_SIZES,
+  DECK_CONFIG,
+  DECK_FAMILY_CARDS,
+  DRAW_ODDS_CONFIG,
+} from "../constants.js";
+import { generateSeed, isValidSeed } from "../utils/rng.js";
+import { CardRegistry } from "../models/CardRegistry.js";
+import { formatPercent } from "../utils/stringUtils.js";
+
+/**
+ * Probabilities below this are left out of the exact odds lists
+ */
+const MIN_DISPLAYED_PROBABILITY = 0.0005;
 
 /**
  * Manages UI interactions
@@ -8,34 +21,59 @@ export class UIManager {
     this.drawButton = null;
     this.cardCountInput = null;
     this.deckSizeRadios = null;
+    this.deckFamilyRadios = null;
     this.customDeckSection = null;
     this.customDeckCardsContainer = null;
+    this.seedInput = null;
+    this.reseedButton = null;
+    this.lastSeedContainer = null;
+    this.lastSeedValue = null;
+    this.reuseSeedButton = null;
+    this.drawOddsSummary = null;
+    this.drawOddsDetails = null;
+    this.drawOddsMischiefCheckbox = null;
     this.onDrawCardsCallback = null;
     this.onDeckSizeChangeCallback = null;
+    this.onDrawOddsChangeCallback = null;
     this.isCustomMode = false;
   }
 
   /**
    * Initializes UI elements and event listeners
-   * @param {Function} onDrawCards - Callback for draw button click
-   * @param {Function} onDeckSizeChange - Callback for deck size change (size, selectedCards)
+   * @param {Function} onDrawCards - Callback for draw button click (count, seed)
+   * @param {Function} onDeckSizeChange - Callback for deck size or family change (size, cardCounts, family)
+   * @param {Function} onDrawOddsChange - Callback when the draw count or odds settings change
    */
-  setup(onDrawCards, onDeckSizeChange) {
+  setup(onDrawCards, onDeckSizeChange, onDrawOddsChange) {
     this.onDrawCardsCallback = onDrawCards;
     this.onDeckSizeChangeCallback = onDeckSizeChange;
+    this.onDrawOddsChangeCallback = onDrawOddsChange;
 
     this.drawButton = document.getElementById("draw-button");
     this.cardCountInput = document.getElementById("card-count");
     this.deckSizeRadios = document.querySelectorAll('input[name="deck-size"]');
+    this.deckFamilyRadios = document.querySelectorAll(
+      'input[name="deck-family"]'
+    );
     this.customDeckSection = document.getElementById("custom-deck-section");
     this.customDeckCardsContainer = document.getElementById("custom-deck-cards");
+    this.seedInput = document.getElementById("seed-input");
+    this.reseedButton = document.getElementById("reseed-button");
+    this.lastSeedContainer = document.getElementById("last-seed");
+    this.lastSeedValue = document.getElementById("last-seed-value");
+    this.reuseSeedButton = document.getElementById("reuse-seed-button");
+    this.drawOddsSummary = document.getElementById("draw-odds-summary");
+    this.drawOddsDetails = document.getElementById("draw-odds-details");
+    this.drawOddsMischiefCheckbox =
+      document.getElementById("draw-odds-mischief");
 
     if (!this.drawButton || !this.cardCountInput || this.deckSizeRadios.length === 0) {
       console.error("Required UI elements not found");
       return false;
     }
 
-    this.buildCustomDeckCheckboxes();
+    this.buildCustomDeckCounters();
+    this.setSeed(generateSeed());
 
     // Set initial max draw based on checked radio
     const checkedRadio = document.querySelector('input[name="deck-size"]:checked');
@@ -49,25 +87,111 @@ export class UIManager {
   }
 
   /**
-   * Builds checkbox list for custom deck card selection
+   * Builds the copy counters for custom deck card selection
+   * Lists the selected family's cards and the homebrew cards. Built-in cards start
+   * at one copy; homebrew cards start at zero unless they already had copies
+   * before a rebuild
    */
-  buildCustomDeckCheckboxes() {
+  buildCustomDeckCounters() {
     if (!this.customDeckCardsContainer) return;
 
+    const previous = new Map(
+      Array.from(
+        this.customDeckCardsContainer.querySelectorAll(
+          'input[name="custom-deck-card"]'
+        ),
+        (counter) => [counter.dataset.card, this.readCopyCount(counter)]
+      )
+    );
+    const homebrewCards = CardRegistry.getHomebrew().map((card) => card.id);
+
     this.customDeckCardsContainer.innerHTML = "";
-    for (const cardName of TAROT_CARDS.FULL) {
+    const familyCards = DECK_FAMILY_CARDS[this.getDeckFamily()].FULL;
+    for (const cardName of [...familyCards, ...homebrewCards]) {
       const label = document.createElement("label");
-      const checkbox = document.createElement("input");
-      checkbox.type = "checkbox";
-      checkbox.name = "custom-deck-card";
-      checkbox.value = cardName;
-      checkbox.checked = true;
       const span = document.createElement("span");
-      span.textContent = cardName.charAt(0).toUpperCase() + cardName.slice(1);
-      label.appendChild(checkbox);
+      span.textContent = CardRegistry.getName(cardName);
+      const counter = document.createElement("input");
+      counter.type = "number";
+      counter.name = "custom-deck-card";
+      counter.dataset.card = cardName;
+      counter.min = 0;
+      counter.max = DECK_CONFIG.MAX_CARD_COPIES;
+      counter.value =
+        previous.get(cardName) ?? (homebrewCards.includes(cardName) ? 0 : 1);
+      const chance = document.createElement("span");
+      chance.className = "custom-deck-chance";
       label.appendChild(span);
+      label.appendChild(counter);
+      label.appendChild(chance);
       this.customDeckCardsContainer.appendChild(label);
     }
+    this.updateCustomDeckChances();
+  }
+
+  /**
+   * Reads a copy counter, clamped to 0..MAX_CARD_COPIES
+   * @param {HTMLInputElement} counter - Copy count input
+   * @returns {number} Number of copies
+   */
+  readCopyCount(counter) {
+    const copies = parseInt(counter.value, 10);
+    if (Number.isNaN(copies) || copies < 0) return 0;
+    return Math.min(copies, DECK_CONFIG.MAX_CARD_COPIES);
+  }
+
+  /**
+   * Shows each card's chance of being drawn next to its counter
+   */
+  updateCustomDeckChances() {
+    if (!this.customDeckCardsContainer) return;
+    const counters = this.customDeckCardsContainer.querySelectorAll(
+      'input[name="custom-deck-card"]'
+    );
+    const total = Array.from(counters).reduce(
+      (sum, counter) => sum + this.readCopyCount(counter),
+      0
+    );
+    counters.forEach((counter) => {
+      const copies = this.readCopyCount(counter);
+      const label = counter.closest("label");
+      label?.classList.toggle("excluded", copies === 0);
+      const chance = label?.querySelector(".custom-deck-chance");
+      if (chance) {
+        chance.textContent = total > 0 ? formatPercent(copies / total) : "–";
+      }
+    });
+  }
+
+  /**
+   * Rebuilds the custom deck picker after homebrew cards change
+   * and updates the custom deck if it is in use and lost a card
+   */
+  refreshCustomDeckCards() {
+    const countsBefore = JSON.stringify(this.getCustomDeckCounts());
+    this.buildCustomDeckCounters();
+    const countsChanged =
+      JSON.stringify(this.getCustomDeckCounts()) !== countsBefore;
+    if (countsChanged && this.isCustomMode && this.onDeckSizeChangeCallback) {
+      this.onDeckSizeChangeCallback(
+        DECK_SIZES.CUSTOM,
+        this.getCustomDeckCounts(),
+        this.getDeckFamily()
+      );
+    }
+  }
+
+  /**
+   * Gets the selected deck family
+   * @returns {string} One of DECK_FAMILIES
+   */
+  getDeckFamily() {
+    const checked = Array.from(this.deckFamilyRadios ?? []).find(
+      (radio) => radio.checked
+    );
+    return checked && DECK_FAMILY_CARDS[checked.value]
+      ? checked.value
+      : DECK_CONFIG.DEFAULT_FAMILY;
   }
 
   /**
@@ -81,28 +205,70 @@ export class UIManager {
       this.customDeckSection?.classList.add("visible");
       this.customDeckSection?.setAttribute("aria-hidden", "false");
       if (this.onDeckSizeChangeCallback) {
-        this.onDeckSizeChangeCallback(DECK_SIZES.CUSTOM, this.getSelectedCustomCards());
+        this.onDeckSizeChangeCallback(
+          DECK_SIZES.CUSTOM,
+          this.getCustomDeckCounts(),
+          this.getDeckFamily()
+        );
       }
     } else {
       this.isCustomMode = false;
       this.customDeckSection?.classList.remove("visible");
       this.customDeckSection?.setAttribute("aria-hidden", "true");
       if (this.onDeckSizeChangeCallback) {
-        this.onDeckSizeChangeCallback(parseInt(value, 10), null);
+        this.onDeckSizeChangeCallback(
+          parseInt(value, 10),
+          null,
+          this.getDeckFamily()
+        );
       }
     }
   }
 
   /**
-   * Gets the list of selected card names for custom deck
-   * @returns {string[]} Array of selected card names
+   * Gets the copy count of each card in the custom deck picker
+   * @returns {Object<string, number>} Card name -> copies (cards with 0 copies are left out)
+   */
+  getCustomDeckCounts() {
+    const counts = {};
+    if (!this.customDeckCardsContainer) return counts;
+    this.customDeckCardsContainer
+      .querySelectorAll('input[name="custom-deck-card"]')
+      .forEach((counter) => {
+        const copies = this.readCopyCount(counter);
+        if (copies > 0) {
+          counts[counter.dataset.card] = copies;
+        }
+      });
+    return counts;
+  }
+
+  /**
+   * Switches to a custom deck of the given family and copy counts (e.g. a preset)
+   * Cards the picker doesn't list are left out; cards not in the counts get 0 copies.
+   * @param {string} family - One of DECK_FAMILIES
+   * @param {Object<string, number>} counts - Card name -> copies
    */
-  getSelectedCustomCards() {
-    if (!this.customDeckCardsContainer) return [];
-    const checkboxes = this.customDeckCardsContainer.querySelectorAll(
-      'input[name="custom-deck-card"]:checked'
+  setCustomDeck(family, counts) {
+    this.deckFamilyRadios?.forEach((radio) => {
+      radio.checked = radio.value === family;
+    });
+    this.buildCustomDeckCounters();
+    this.customDeckCardsContainer
+      ?.querySelectorAll('input[name="custom-deck-card"]')
+      .forEach((counter) => {
+        counter.value = counts[counter.dataset.card] ?? 0;
+      });
+    this.updateCustomDeckChances();
+
+    const customRadio = Array.from(this.deckSizeRadios ?? []).find(
+      (radio) => radio.value === DECK_SIZES.CUSTOM
     );
-    return Array.from(checkboxes).map((cb) => cb.value);
+    if (customRadio) {
+      customRadio.checked = true;
+      this.handleDeckSizeRadioChange(customRadio);
+      this.updateMaxDrawLimit();
+    }
   }
 
   /**
@@ -114,8 +280,36 @@ export class UIManager {
       if (!this.isValidCardCount(count)) {
         return;
       }
+      const seed = this.getSeed();
+      if (seed === null) {
+        this.seedInput?.classList.add("invalid");
+        return;
+      }
       if (this.onDrawCardsCallback) {
-        this.onDrawCardsCallback(count);
+        this.onDrawCardsCallback(count, seed);
+      }
+    });
+
+    this.cardCountInput.addEventListener("input", () => {
+      this.onDrawOddsChangeCallback?.();
+    });
+
+    this.drawOddsMischiefCheckbox?.addEventListener("change", () => {
+      this.onDrawOddsChangeCallback?.();
+    });
+
+    this.seedInput?.addEventListener("input", () => {
+      this.seedInput.classList.toggle("invalid", this.getSeed() === null);
+    });
+
+    this.reseedButton?.addEventListener("click", () => {
+      this.setSeed(generateSeed());
+    });
+
+    this.reuseSeedButton?.addEventListener("click", () => {
+      const lastSeed = parseInt(this.lastSeedValue?.textContent, 10);
+      if (isValidSeed(lastSeed)) {
+        this.setSeed(lastSeed);
       }
     });
 
@@ -128,14 +322,172 @@ export class UIManager {
       });
     });
 
-    // Listen for custom deck checkbox changes
+    // A new family changes both the built-in deck and the custom deck picker
+    this.deckFamilyRadios?.forEach((radio) => {
+      radio.addEventListener("change", (event) => {
+        if (!event.target.checked) return;
+        this.buildCustomDeckCounters();
+        const checkedSize = document.querySelector(
+          'input[name="deck-size"]:checked'
+        );
+        if (checkedSize) {
+          this.handleDeckSizeRadioChange(checkedSize);
+        }
+      });
+    });
+
+    // Chances update while typing; the deck is rebuilt once a count is committed
+    this.customDeckCardsContainer?.addEventListener("input", () => {
+      this.updateCustomDeckChances();
+    });
     this.customDeckCardsContainer?.addEventListener("change", () => {
       if (this.isCustomMode && this.onDeckSizeChangeCallback) {
-        this.onDeckSizeChangeCallback(DECK_SIZES.CUSTOM, this.getSelectedCustomCards());
+        this.onDeckSizeChangeCallback(
+          DECK_SIZES.CUSTOM,
+          this.getCustomDeckCounts(),
+          this.getDeckFamily()
+        );
       }
     });
   }
 
+  /**
+   * Reads the seed for the next draw from the seed input
+   * Without a seed input, a fresh seed is generated for every draw
+   * @returns {number|null} Seed, or null if the input is not a valid seed
+   */
+  getSeed() {
+    if (!this.seedInput) {
+      return generateSeed();
+    }
+    const value = this.seedInput.value.trim();
+    if (!/^\d+$/.test(value)) {
+      return null;
+    }
+    const seed = Number(value);
+    return isValidSeed(seed) ? seed : null;
+  }
+
+  /**
+   * Writes a seed into the seed input
+   * @param {number} seed - Seed to display
+   */
+  setSeed(seed) {
+    if (!this.seedInput) return;
+    this.seedInput.value = String(seed);
+    this.seedInput.classList.remove("invalid");
+  }
+
+  /**
+   * Shows the seed used by the last draw and prepares a fresh one for the next
+   * @param {number} seed - Seed used by the last draw
+   */
+  showLastSeed(seed) {
+    if (this.lastSeedContainer && this.lastSeedValue) {
+      this.lastSeedValue.textContent = String(seed);
+      this.lastSeedContainer.hidden = false;
+    }
+    this.setSeed(generateSeed());
+  }
+
+  /**
+   * Gets the settings the draw odds are calculated for
+   * @returns {{count: number, useMischief: boolean}} Declared count and Mischief policy
+   */
+  getDrawOddsSettings() {
+    return {
+      count: parseInt(this.cardCountInput?.value, 10),
+      useMischief: Boolean(this.drawOddsMischiefCheckbox?.checked),
+    };
+  }
+
+  /**
+   * Renders exact draw odds next to the deck selector
+   * Expected values are left out, with a warning, when too many outcomes are endless
+   * Mischief chains to count (see DRAW_ODDS_CONFIG.MAX_TRUNCATED).
+   * @param {Object|null} odds - Result of DrawProbability.calculate, or null to clear
+   */
+  renderDrawOdds(odds) {
+    if (!this.drawOddsSummary || !this.drawOddsDetails) return;
+    this.drawOddsDetails.innerHTML = "";
+
+    if (!odds || odds.totals.size === 0) {
+      this.drawOddsSummary.textContent =
+        "Choose a deck and a number of cards to see the odds.";
+      return;
+    }
+
+    this.drawOddsSummary.innerHTML = "";
+    const curseOdds = document.createElement("span");
+    curseOdds.className = "curse-odds";
+    curseOdds.textContent = `Any curse: ${formatPercent(odds.anyCurse)}`;
+    this.drawOddsSummary.appendChild(curseOdds);
+    const stopCards =
+      CardRegistry.getStopCardNames(odds.expectedCards.keys()).join(" or ") ||
+      "Stop cards";
+    const uncounted = odds.truncated > DRAW_ODDS_CONFIG.MAX_TRUNCATED;
+    this.drawOddsSummary.append(
+      ` · ${stopCards}: ${formatPercent(odds.isolation)}${uncounted ? "" : ` · Expected cards: ${odds.expectedTotal.toFixed(2)}`}`
+    );
+    if (uncounted) {
+      const warning = document.createElement("span");
+      warning.className = "draw-odds-warning";
+      warning.textContent = ` · ${formatPercent(odds.truncated)} of outcomes are endless Mischief chains; expected cards can't be estimated`;
+      this.drawOddsSummary.appendChild(warning);
+    } else if (odds.truncated >= MIN_DISPLAYED_PROBABILITY) {
+      this.drawOddsSummary.append(
+        ` · ${formatPercent(odds.truncated)} of outcomes are endless Mischief chains and not counted`
+      );
+    }
+
+    const totals = [...odds.totals.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([total, probability]) => [`${total} cards`, probability]);
+    const curses = [...odds.curses.entries()].map(([card, probability]) => [
+      CardRegistry.getName(card),
+      probability,
+    ]);
+    const expected = [...odds.expectedCards.entries()].map(([card, copies]) => [
+      CardRegistry.getName(card),
+      copies,
+    ]);
+
+    this.appendDrawOddsSection("Cards received", totals, formatPercent);
+    this.appendDrawOddsSection("Curse chances", curses, formatPercent);
+    if (!uncounted) {
+      this.appendDrawOddsSection("Expected copies", expected, (copies) =>
+        copies.toFixed(2)
+      );
+    }
+  }
+
+  /**
+   * Appends one labelled list to the exact odds details
+   * @param {string} title - Section title
+   * @param {Array<[string, number]>} entries - Label and value pairs
+   * @param {Function} formatValue - Formats a value for display
+   */
+  appendDrawOddsSection(title, entries, formatValue) {
+    const visibleEntries = entries.filter(
+      ([, value]) => value >= MIN_DISPLAYED_PROBABILITY
+    );
+    if (visibleEntries.length === 0) return;
+
+    const section = document.createElement("div");
+    section.className = "draw-odds-section";
+    const heading = document.createElement("h3");
+    heading.textContent = title;
+    const list = document.createElement("ul");
+    visibleEntries.forEach(([label, value]) => {
+      const item = document.createElement("li");
+      item.textContent = `${label}: ${formatValue(value)}`;
+      list.appendChild(item);
+    });
+    section.appendChild(heading);
+    section.appendChild(list);
+    this.drawOddsDetails.appendChild(section);
+  }
+
   /**
    * Updates the max attribute of the card count input
    */
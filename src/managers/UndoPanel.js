@@ -0,0 +1,73 @@
+/**
+ * Manages the Undo and Redo buttons under the draw button, and their shortcuts
+ * (Ctrl+Z and Ctrl+Shift+Z, or Cmd on a Mac)
+ */
+export class UndoPanel {
+  constructor() {
+    this.undoButton = null;
+    this.redoButton = null;
+    this.onUndoCallback = null;
+    this.onRedoCallback = null;
+  }
+
+  /**
+   * Initializes panel elements and event listeners
+   * @param {Function} onUndo - Callback for undo
+   * @param {Function} onRedo - Callback for redo
+   * @returns {boolean} True if the panel was found
+   */
+  setup(onUndo, onRedo) {
+    this.onUndoCallback = onUndo;
+    this.onRedoCallback = onRedo;
+    this.undoButton = document.getElementById("undo-button");
+    this.redoButton = document.getElementById("redo-button");
+
+    if (!this.undoButton || !this.redoButton) {
+      console.error("Undo panel elements not found");
+      return false;
+    }
+
+    this.undoButton.addEventListener("click", () => this.onUndoCallback?.());
+    this.redoButton.addEventListener("click", () => this.onRedoCallback?.());
+    document.addEventListener("keydown", (event) => this.handleKeyDown(event));
+    this.render(null, null);
+    return true;
+  }
+
+  /**
+   * Runs undo or redo for their shortcuts
+   * Text fields keep their own undo.
+   * @param {KeyboardEvent} event - Key press
+   */
+  handleKeyDown(event) {
+    if (
+      !(event.ctrlKey || event.metaKey) ||
+      event.altKey ||
+      event.key.toLowerCase() !== "z" ||
+      event.target.closest?.("input, textarea, select, [contenteditable]")
+    ) {
+      return;
+    }
+    event.preventDefault();
+    if (event.shiftKey) {
+      this.onRedoCallback?.();
+    } else {
+      this.onUndoCallback?.();
+    }
+  }
+
+  /**
+   * Enables the buttons that have a step to take, naming the step in their tooltip
+   * @param {string|null} undoLabel - Change undo takes back, or null if none
+   * @param {string|null} redoLabel - Change redo makes again, or null if none
+   */
+  render(undoLabel, redoLabel) {
+    if (!this.undoButton) return;
+    this.undoButton.disabled = !undoLabel;
+    this.undoButton.title = undoLabel ? `Undo: ${undoLabel} (Ctrl+Z)` : "";
+    this.redoButton.disabled = !redoLabel;
+    this.redoButton.title = redoLabel
+      ? `Redo: ${redoLabel} (Ctrl+Shift+Z)`
+      : "";
+  }
+}
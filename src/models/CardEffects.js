@@ -1,160 +1,393 @@
+import { CardRegistry } from "./CardRegistry.js";
+import {
+  STACKING,
+  EFFECT_TYPES,
+  CHOICE_TYPES,
+  EXTRA_DRAW_DECISIONS,
+} from "../data/cardTypes.js";
+import { EFFECT_LINES } from "../constants.js";
+import { describeRecord, describeDuration } from "../utils/effectText.js";
+import { containsDice, findDice } from "../utils/diceRoller.js";
+import { findDuration } from "../utils/durations.js";
+import { capitalizeFirst } from "../utils/stringUtils.js";
+
+/**
+ * Gets the dice "Roll Dice" rolls for an effect record
+ * Recurring modifiers are rolled on every saving throw instead (see RecurringRollPanel).
+ * @param {Object} record - Filled effect record
+ * @returns {string|null} Dice expression, or null if the record has nothing to roll
+ */
+function getRecordDice(record) {
+  if (record.recurring) {
+    return null;
+  }
+  if (record.type === EFFECT_TYPES.GRANT) {
+    return typeof record.uses === "string" && containsDice(record.uses)
+      ? record.uses
+      : null;
+  }
+  return record.dice ?? null;
+}
+
 /**
- * Card effects definitions and calculation
- * Effects stack when the same card is drawn multiple times
+ * Splits generated text around the dice it shows
+ * @param {string} text - Text, e.g. "+2d10 to hit point maximum"
+ * @param {string} dice - Dice expression written in the text
+ * @param {number} roll - Index of the roll the dice get
+ * @returns {Array<string|Object>} Text and the dice slot ({dice, roll})
+ */
+function markDice(text, dice, roll) {
+  const index = text.indexOf(dice);
+  if (index === -1) {
+    return [text];
+  }
+  return [
+    text.slice(0, index),
+    { dice, roll },
+    text.slice(index + dice.length),
+  ].filter((segment) => segment !== "");
+}
+
+/**
+ * Counts the rolls the dice slots of some lines need
+ * @param {Array<{segments: Array}>} lines - Effect lines (see CardEffects.getLines)
+ * @returns {number} One more than the highest roll index, 0 without dice
+ */
+function countRolls(lines) {
+  return lines
+    .flatMap((line) => line.segments)
+    .reduce(
+      (count, segment) =>
+        typeof segment === "object" ? Math.max(count, segment.roll + 1) : count,
+      0
+    );
+}
+
+/**
+ * Card effect calculation from the card definitions in CardRegistry
+ * Effects stack when the same card is drawn multiple times. An effect is modeled by
+ * structured records (modifiers, damage, grants, choices) and its duration; the lines
+ * players see are generated from them, followed by the card's own rules text. Cards
+ * without records (homebrew) get their dice and duration from that text instead.
  */
 export class CardEffects {
   /**
-   * Get the effect description for a card
+   * Get the effect of a card
    * @param {string} cardName - Name of the card
    * @param {number} count - Number of times this card was drawn
-   * @returns {string|null} Effect description, or null if card has no effect
+   * @returns {{text: string|null, isCurse: boolean, choice: Object|null, records: Array<Object>,
+   *   duration: Object|null, lines: Array<Object>}|null} Effect, or null if card has no
+   *   effect; `lines` are the records, the duration and the text (see getLines)
    */
   static getEffect(cardName, count) {
     if (count === 0) {
       return null;
     }
 
-    switch (cardName) {
-      case "beginning": {
-        const d10Count = 2 * count; // Stack: 2d10 per card
-        return `Your hit point maximum and current hit points increase by ${d10Count}d10. Your hit point maximum remains increased in this way for the next 8 hours.`;
-      }
-      case "champion": {
-        const bonus = count; // Stack: +1 per card
-        return `You gain a +${bonus} bonus to weapon attack and damage rolls. This bonus lasts for 8 hours.`;
-      }
-      case "chancellor": {
-        // Does not stack - one use regardless of count
-        return `Within 8 hours of drawing this card, you can cast Augury once as an action, requiring no material components. Use your Intelligence, Wisdom, or Charisma as the spellcasting ability (your choice).`;
-      }
-      case "chaos": {
-        // Special handling - returns object instead of string to indicate dropdowns needed
-        return {
-          type: "chaos",
-          count: count,
-          damageTypes: ["acid", "cold", "fire", "lightning", "thunder"],
-        };
-      }
-      case "coin": {
-        // Special handling - returns object for choice between jewelry and gemstones
-        return {
-          type: "coin",
-          count: count,
-          choices: [
-            { value: "jewelry", label: "Jewelry", quantity: 5, worth: 100 },
-            { value: "gemstones", label: "Gemstones", quantity: 10, worth: 50 },
-          ],
-        };
-      }
-      case "crown": {
-        // Does not stack - one effect regardless of count
-        return `You learn the Friends cantrip. Use your Intelligence, Wisdom, or Charisma as the spellcasting ability (your choice). If you already know this cantrip, the card has no effect.`;
-      }
-      case "dawn": {
-        // Does not stack - one effect regardless of count
-        return `This card invigorates you. For the next 8 hours, you can add your proficiency bonus to your initiative rolls.`;
-      }
-      case "day": {
-        const bonus = count; // Stack: +1 per card
-        return `You gain a +${bonus} bonus to saving throws. This benefit lasts until you finish a long rest.`;
-      }
-      case "destiny": {
-        // Does not stack - one effect regardless of count
-        return `This card protects you against an untimely demise. The first time after drawing this card that you would drop to 0 hit points from taking damage, you instead drop to 1 hit point.`;
-      }
-      case "dusk": {
-        // Does not stack - one effect regardless of count, marked as curse
-        return {
-          text: `This card supernaturally saps your energy. You have disadvantage on initiative rolls. This effect lasts until you finish a long rest, but it can be ended early by a Remove Curse spell or similar magic.`,
-          isCurse: true,
-        };
-      }
-      case "end": {
-        // Stack: 2d10 per card, marked as curse
-        const d10Count = 2 * count;
-        return {
-          text: `This card is an omen of death. You take ${d10Count}d10 necrotic damage, and your hit point maximum is reduced by an amount equal to the damage taken. This effect can't reduce your hit point maximum below 10 hit points. This reduction lasts until you finish a long rest, but it can be ended early by a Remove Curse spell or similar magic.`,
-          isCurse: true,
-        };
-      }
-      case "isolation": {
-        // Does not stack - one effect regardless of count, marked as curse
-        return {
-          text: `You disappear, along with anything you are wearing or carrying, and become trapped in a harmless extradimensional space for 1d4 minutes. You draw no more cards. You then reappear in the space you left or the nearest unoccupied space. When you reappear, you must succeed on a DC 11 Constitution saving throw or have the poisoned condition for 1 hour as your body reels from the extradimensional travel.`,
-          isCurse: true,
-        };
-      }
-      case "justice": {
-        // Does not stack - one effect regardless of count
-        return `You momentarily gain the ability to balance the scales of fate. For the next 8 hours, whenever you or a creature within 60 feet of you is about to roll a d20 with advantage or disadvantage, you can use your reaction to prevent the roll from being affected by advantage or disadvantage.`;
-      }
-      case "knife": {
-        // Stacks - one weapon per card
-        const weaponCount = count === 1 ? "An" : count;
-        const weaponText = count === 1 ? "weapon" : "weapons";
-        return `${weaponCount} uncommon magic ${weaponText} you're proficient with ${count === 1 ? "appears" : "appear"} in your hands. The DM chooses the ${weaponText}.`;
-      }
-      case "lock": {
-        // Stacks: 1d3 per card
-        const d3Count = count;
-        return `You gain the ability to cast Knock ${d3Count}d3 times. Use your Intelligence, Wisdom, or Charisma as the spellcasting ability (your choice).`;
-      }
-      case "monster": {
-        // Stacks: 1d4 per card
-        const d4Count = count;
-        return {
-          text: `This card's monstrous visage curses you. While cursed in this way, whenever you make a saving throw, you must roll ${d4Count}d4 and subtract the number rolled from the total. The curse lasts until you finish a long rest, but it can be ended early with a Remove Curse spell or similar magic.`,
-          isCurse: true,
-        };
-      }
-      case "mystery": {
-        // Stacks: 1 additional card per card (does not stack in effect description, but multiple cards trigger multiple draws)
-        return {
-          text: `You have disadvantage on Intelligence saving throws for 1 hour. Discard this card and draw from the deck again; together, the two draws count as one of your declared draws.`,
-          isCurse: true,
-        };
+    const definition = CardRegistry.get(cardName);
+    if (!definition) {
+      return null;
+    }
+
+    const records = this.getRecords(definition, count);
+    const lines = records.map((record) => ({
+      kind: EFFECT_LINES.RECORD,
+      segments:
+        record.roll === undefined
+          ? [record.text]
+          : markDice(record.text, getRecordDice(record), record.roll),
+    }));
+
+    let duration = this.getDuration(definition, count);
+    if (duration) {
+      if (typeof duration.amount === "string") {
+        duration.roll = countRolls(lines);
       }
-      case "night": {
-        // Does not stack - one effect regardless of count
-        return `You gain darkvision within a range of 300 feet. This darkvision lasts for 8 hours.`;
+      lines.push({
+        kind: EFFECT_LINES.DURATION,
+        segments:
+          duration.roll === undefined
+            ? [capitalizeFirst(duration.text)]
+            : markDice(
+                capitalizeFirst(duration.text),
+                duration.amount,
+                duration.roll
+              ),
+        duration,
+      });
+    }
+
+    const text = this.formatText(definition, count);
+    if (text) {
+      // Dice in the text get the rolls after the records'
+      let nextRoll = countRolls(lines);
+      const segments = findDice(text).map((segment) =>
+        typeof segment === "string" ? segment : { ...segment, roll: nextRoll++ }
+      );
+      const line = { kind: EFFECT_LINES.TEXT, segments };
+      if (!duration) {
+        const found = findDuration(segments);
+        if (found) {
+          duration = { ...found, text: describeDuration(found) };
+          line.duration = duration;
+        }
       }
-      case "order": {
-        // Special handling - returns object instead of string to indicate dropdowns needed
-        return {
-          type: "order",
-          count: count,
-          damageTypes: ["force", "necrotic", "poison", "psychic", "radiant"],
-        };
+      lines.push(line);
+    }
+
+    return {
+      text,
+      isCurse: definition.isCurse,
+      choice: definition.choice,
+      records,
+      duration,
+      lines,
+    };
+  }
+
+  /**
+   * Fills a card's effect records for a number of copies
+   * Numeric fields become numbers; a MODIFIER gets `amount` (signed number) or `dice`
+   * (unsigned expression, with `sign`) when its value is one of those. Records with
+   * dice to roll get the index of their roll as `roll`; records with the same dice share
+   * one roll.
+   * @param {Object} definition - Card definition
+   * @param {number} count - Number of copies drawn
+   * @returns {Array<Object>} Records (see EFFECT_TYPES), each with its generated `text`
+   */
+  static getRecords(definition, count) {
+    const values = this.getRecordValues(definition, count);
+    const records = (definition.effects ?? []).map((template) => {
+      const record = { ...template };
+      for (const field of ["value", "dice", "quantity", "uses"]) {
+        if (typeof record[field] === "string") {
+          const filled = this.fillTemplate(record[field], values);
+          record[field] = /^\d+$/.test(filled) ? Number(filled) : filled;
+        }
       }
-      case "student": {
-        // Does not stack - one effect regardless of count
-        return `You gain proficiency in Wisdom saving throws. If you already have this proficiency, you instead gain proficiency in Intelligence or Charisma saving throws (your choice).`;
+      if (record.type === EFFECT_TYPES.MODIFIER && record.value !== undefined) {
+        const value = String(record.value);
+        // A sign and a number, or dice, e.g. "-2d10" or "-(1d4+1)"
+        const signed = /^([+-])\(?(.+?)\)?$/.exec(value);
+        if (/^[+-]\d+$/.test(value)) {
+          record.amount = Number(value);
+        } else if (signed && containsDice(signed[2])) {
+          record.dice = signed[2];
+          record.sign = signed[1] === "-" ? -1 : 1;
+        }
       }
-      case "vulture": {
-        // Stacks: 1 item per card
-        const itemText =
-          count === 1
-            ? "item or piece of equipment"
-            : "items or pieces of equipment";
-        const numberText = count === 1 ? "One" : count;
-        return {
-          text: `${numberText} nonmagical ${itemText} in your possession (chosen by the DM) ${count === 1 ? "disappears" : "disappear"}. The ${count === 1 ? "item" : "items"} remain nearby but concealed for a short time, so ${count === 1 ? "it can" : "they can"} be found with a successful DC 15 Wisdom (Perception) check. If the ${count === 1 ? "item isn't" : "items aren't"} recovered within 1 hour, ${count === 1 ? "it disappears" : "they disappear"} forever.`,
-          isCurse: true,
-        };
+      return record;
+    });
+
+    const rolls = new Map();
+    records.forEach((record) => {
+      const dice = getRecordDice(record);
+      if (dice) {
+        if (!rolls.has(dice)) {
+          rolls.set(dice, rolls.size);
+        }
+        record.roll = rolls.get(dice);
       }
-      case "mischief": {
-        // Stacks: 1 item or 2 additional cards per card
-        const additionalCards = count * 2;
-        const itemText = count === 1 ? "item" : "items";
-        return {
-          type: "mischief",
-          count: count,
-          text: `You receive ${count === 1 ? "an" : count} uncommon wondrous ${itemText} (chosen by the DM), or you can draw ${additionalCards} additional card${additionalCards === 1 ? "" : "s"} beyond your declared draws.`,
-        };
+    });
+
+    const { choice } = definition;
+    if (choice) {
+      records.push(
+        choice.type === CHOICE_TYPES.RESISTANCE
+          ? {
+              type: EFFECT_TYPES.CHOICE,
+              choice: choice.type,
+              count,
+              options: choice.options,
+              duration: {
+                amount: `1d${choice.durationDie}`,
+                unit: choice.durationUnit,
+              },
+            }
+          : {
+              type: EFFECT_TYPES.CHOICE,
+              choice: choice.type,
+              options: choice.options.map((option) => ({
+                ...option,
+                quantity: option.quantity * count,
+              })),
+            }
+      );
+    }
+    return records.map((record) => ({
+      ...record,
+      text: describeRecord(record),
+    }));
+  }
+
+  /**
+   * Lists the lines an effect shows, in order, as text and dice slots
+   * The lines are the effect's (see getEffect), then the chosen resistances or reward.
+   * Copies of an extra-draw card spent on extra draws no longer give their effect.
+   * Each slot is {dice, roll}: the rolls of an effect are a list (see
+   * utils/diceRoller.js rollSlots), and `roll` is the slot's index in it.
+   * @param {Object} effect - Effect object from calculateEffects
+   * @param {Array<string|null>} selections - The card's selections
+   * @returns {Array<{kind: string, segments: Array<string|Object>, duration?: Object}>}
+   *   Lines (see EFFECT_LINES); lines that set how long the effect lasts carry the
+   *   duration, with the index of its roll when the amount is dice
+   */
+  static getLines(effect, selections) {
+    const { card, count } = effect;
+    const remaining = effect.effect.isCurse
+      ? count
+      : this.countUnspentCopies(card, count, selections);
+    let lines = [];
+    if (remaining === count) {
+      lines = effect.effect.lines;
+    } else if (remaining > 0) {
+      lines = this.getEffect(card, remaining).lines;
+    }
+
+    const choice = effect.effect.isCurse ? null : effect.effect.choice;
+    if (choice?.type === CHOICE_TYPES.RESISTANCE) {
+      let nextRoll = countRolls(lines);
+      const resistances = this.getResistances(choice, selections).map(
+        (resistance) => {
+          const roll = nextRoll++;
+          return {
+            kind: EFFECT_LINES.RESISTANCE,
+            segments: markDice(resistance.text, resistance.dice, roll),
+            duration: {
+              amount: resistance.dice,
+              unit: resistance.unit,
+              roll,
+            },
+          };
+        }
+      );
+      return [...lines, ...resistances];
+    }
+    if (choice?.type === CHOICE_TYPES.REWARD) {
+      const reward = this.getReward(choice, selections[0] ?? null, count);
+      if (reward) {
+        return [
+          ...lines,
+          { kind: EFFECT_LINES.REWARD, segments: [reward.text] },
+        ];
       }
-      default:
-        return null;
     }
+    return lines;
+  }
+
+  /**
+   * Fills a card's duration
+   * @param {Object} definition - Card definition
+   * @param {number} count - Number of copies drawn
+   * @returns {Object|null} {amount, unit, text} (amount a number or dice) or
+   *   {untilLongRest, text}, or null if the card defines none
+   */
+  static getDuration(definition, count) {
+    if (!definition.duration) {
+      return null;
+    }
+    const duration = { ...definition.duration };
+    if (typeof duration.amount === "string") {
+      const filled = this.fillTemplate(
+        duration.amount,
+        this.getRecordValues(definition, count)
+      );
+      duration.amount = /^\d+$/.test(filled) ? Number(filled) : filled;
+    }
+    return { ...duration, text: describeDuration(duration) };
+  }
+
+  /**
+   * Gets how many loot table results a card's effect gives (see a card's `loot`)
+   * @param {string} cardName - Card id
+   * @param {number} count - Number of copies drawn (not spent)
+   * @returns {number} Number of results, 0 for cards without a loot table
+   */
+  static getLootQuantity(cardName, count) {
+    const definition = CardRegistry.get(cardName);
+    if (!definition?.loot || count <= 0) {
+      return 0;
+    }
+    const quantity = Number(
+      this.fillTemplate(
+        String(definition.loot.quantity ?? 1),
+        this.getRecordValues(definition, count)
+      )
+    );
+    return Number.isInteger(quantity) && quantity > 0 ? quantity : 0;
+  }
+
+  /**
+   * Gets placeholder values for effect records: like the text's, with plain numbers
+   * @param {Object} definition - Card definition
+   * @param {number} count - Number of copies drawn
+   * @returns {Object} Values for {count}, {amount}, {dice} and {extraDraws}
+   */
+  static getRecordValues(definition, count) {
+    const values = this.getTemplateValues(definition, count);
+    // Amounts are formatted for text ("1,000"), records need plain digits
+    return { ...values, amount: values.amount.replace(/,/g, "") };
+  }
+
+  /**
+   * Fills a card's text template for a number of copies
+   * @param {Object} definition - Card definition
+   * @param {number} count - Number of copies drawn
+   * @returns {string|null} Effect text, or null if the card has no text
+   */
+  static formatText(definition, count) {
+    const template =
+      definition.text && typeof definition.text === "object"
+        ? count === 1
+          ? definition.text.one
+          : definition.text.many
+        : definition.text;
+    if (!template) {
+      return null;
+    }
+    return this.fillTemplate(
+      template,
+      this.getTemplateValues(definition, count)
+    );
+  }
+
+  /**
+   * Gets placeholder values for a card's stacking rule
+   * @param {Object} definition - Card definition
+   * @param {number} count - Number of copies drawn
+   * @returns {Object} Values for {count}, {amount}, {dice} and {extraDraws}
+   */
+  static getTemplateValues(definition, count) {
+    const { rule, perCopy = 1, die } = definition.stacking;
+    // Cards that don't stack apply a single copy's effect
+    const copies = rule === STACKING.NONE ? 1 : count;
+    return {
+      count,
+      amount: (perCopy * copies).toLocaleString("en-US"),
+      dice: die ? `${perCopy * copies}d${die}` : "",
+      extraDraws: CardRegistry.getExtraDraws(definition.id) * count,
+    };
+  }
+
+  /**
+   * Replaces {placeholders} in a template
+   * @param {string} template - Template text
+   * @param {Object} values - Placeholder values
+   * @returns {string} Filled text (unknown placeholders are kept)
+   */
+  static fillTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) =>
+      values[key] !== undefined ? String(values[key]) : match
+    );
+  }
+
+  /**
+   * Checks whether a card is a curse
+   * @param {string} cardName - Name of the card
+   * @returns {boolean} True if the card's effect is marked as a curse
+   */
+  static isCurse(cardName) {
+    return Boolean(CardRegistry.get(cardName)?.isCurse);
   }
 
   /**
@@ -193,12 +426,8 @@ export class CardEffects {
           effect: effect,
         };
 
-        // Check if effect is a curse
-        if (typeof effect === "object" && effect.isCurse) {
-          curseEffects.push({
-            ...effectData,
-            effect: effect.text, // Use the text property for curses
-          });
+        if (effect.isCurse) {
+          curseEffects.push(effectData);
         } else {
           regularEffects.push(effectData);
         }
@@ -209,28 +438,133 @@ export class CardEffects {
   }
 
   /**
-   * Calculate Chaos resistances durations based on damage type selections
-   * @param {Array<string>} selections - Array of selected damage types (one per Chaos card)
-   * @returns {Map<string, number>} Map of damage type to d12 count
+   * Gets the recurring modifiers of the drawn cards (MODIFIER records with `recurring`)
+   * @param {Array<string>} drawnCards - Array of card names
+   * @returns {Array<{card: string, count: number, roll: string, modifier: string}>} One entry per
+   *   recurring record, with its stacked modifier as a dice expression (e.g. "-2d4", "+1")
    */
-  static calculateChaosDurations(selections) {
-    const durations = new Map();
-    for (const damageType of selections) {
-      durations.set(damageType, (durations.get(damageType) || 0) + 1);
+  static getRecurringModifiers(drawnCards) {
+    const modifiers = [];
+    for (const [cardName, count] of this.countCards(drawnCards ?? [])) {
+      const definition = CardRegistry.get(cardName);
+      if (!definition?.effects?.some((record) => record.recurring)) continue;
+      this.getRecords(definition, count)
+        .filter((record) => record.recurring)
+        .forEach((record) => {
+          modifiers.push({
+            card: cardName,
+            count,
+            roll: record.recurring,
+            modifier: String(record.value),
+          });
+        });
     }
-    return durations;
+    return modifiers;
   }
 
   /**
-   * Calculate Order resistances durations based on damage type selections
-   * @param {Array<string>} selections - Array of selected damage types (one per Order card)
-   * @returns {Map<string, number>} Map of damage type to d12 count
+   * Calculate resistance durations based on damage type selections
+   * Each copy choosing the same damage type adds one duration die
+   * @param {Array<string|null>} selections - Array of selected damage types (one per card
+   *   copy); undecided copies are skipped
+   * @returns {Map<string, number>} Map of damage type to duration dice count
    */
-  static calculateOrderDurations(selections) {
+  static calculateResistanceDurations(selections) {
     const durations = new Map();
     for (const damageType of selections) {
+      if (!damageType) continue;
       durations.set(damageType, (durations.get(damageType) || 0) + 1);
     }
     return durations;
   }
+
+  /**
+   * Gets the resistances chosen for a RESISTANCE choice, with their duration dice
+   * @param {Object} choice - RESISTANCE choice of the effect
+   * @param {Array<string|null>} selections - Selected damage type of each copy
+   * @returns {Array<{damageType: string, dice: string, unit: string, text: string}>} One entry
+   *   per chosen damage type, e.g. text "Fire: 2d12kh1 days"
+   */
+  static getResistances(choice, selections) {
+    return Array.from(
+      this.calculateResistanceDurations(selections),
+      ([damageType, diceCount]) => {
+        const dice =
+          diceCount === 1
+            ? `${diceCount}d${choice.durationDie}`
+            : `${diceCount}d${choice.durationDie}kh1`;
+        return {
+          damageType,
+          dice,
+          unit: choice.durationUnit,
+          text: `${capitalizeFirst(damageType)}: ${dice} ${choice.durationUnit}`,
+        };
+      }
+    );
+  }
+
+  /**
+   * Gets the reward chosen for a REWARD choice (Coin), for every copy drawn
+   * @param {Object} choice - REWARD choice of the effect
+   * @param {string|null} selection - Selected reward type
+   * @param {number} count - Number of copies drawn
+   * @returns {{type: string, label: string, quantity: number, worth: number, total: number,
+   *   text: string}|null} Reward with its total worth in gp, or null while undecided
+   */
+  static getReward(choice, selection, count) {
+    const option = choice.options.find((entry) => entry.value === selection);
+    if (!option) {
+      return null;
+    }
+    const quantity = option.quantity * count;
+    const total = quantity * option.worth;
+    return {
+      type: option.value,
+      label: option.label,
+      quantity,
+      worth: option.worth,
+      total,
+      text: this.fillTemplate(choice.text, {
+        quantity,
+        label: option.label.toLowerCase(),
+        worth: option.worth,
+        total,
+      }),
+    };
+  }
+
+  /**
+   * Counts the copies of a card that still give their effect
+   * Copies of an extra-draw card spent on its extra draws don't.
+   * @param {string} cardName - Card id
+   * @param {number} count - Number of copies drawn
+   * @param {Array<string|null>} selections - The card's selections
+   * @returns {number} Copies not spent
+   */
+  static countUnspentCopies(cardName, count, selections) {
+    if (CardRegistry.getExtraDraws(cardName) === 0) {
+      return count;
+    }
+    return (
+      count -
+      selections.filter((decision) => decision === EXTRA_DRAW_DECISIONS.DRAW)
+        .length
+    );
+  }
+
+  /**
+   * Describes the decision made for one copy of an extra-draw card
+   * @param {string} cardName - Card id
+   * @param {string|null} decision - EXTRA_DRAW_DECISIONS value, or null while undecided
+   * @returns {string} E.g. "Spent on 2 extra draws", "Took the item" or "Undecided"
+   */
+  static describeExtraDrawDecision(cardName, decision) {
+    if (decision === EXTRA_DRAW_DECISIONS.DRAW) {
+      return `Spent on ${CardRegistry.getExtraDraws(cardName)} extra draws`;
+    }
+    if (decision === EXTRA_DRAW_DECISIONS.REWARD) {
+      return `Took the ${CardRegistry.getExtraDrawReward(cardName)}`;
+    }
+    return "Undecided";
+  }
 }
@@ -0,0 +1,167 @@
+import { STACKING, DRAW_BEHAVIORS } from "../data/cardTypes.js";
+import { WONDER_CARDS } from "../data/wonderCards.js";
+import { MANY_THINGS_CARDS } from "../data/manyThingsCards.js";
+import { capitalizeFirst } from "../utils/stringUtils.js";
+
+/**
+ * Registry of declarative card definitions
+ * Decks, effects and renderers all read cards from here, so adding or changing a
+ * card only means editing its definition.
+ */
+export class CardRegistry {
+  static cards = new Map();
+
+  /**
+   * Registers (or replaces) a card definition, filling in defaults
+   * An `image` of null means the card has no art and gets a placeholder
+   * @param {Object} definition - Card definition (see src/data/wonderCards.js)
+   * @returns {Object} Normalized definition
+   */
+  static register(definition) {
+    if (!definition || typeof definition.id !== "string" || !definition.id) {
+      throw new Error("Card definition requires an id");
+    }
+    const normalized = {
+      name: capitalizeFirst(definition.id),
+      image: `/assets/images/${definition.id}.png`,
+      isCurse: false,
+      stacking: { rule: STACKING.NONE },
+      text: null,
+      choice: null,
+      draw: null,
+      effects: null,
+      duration: null,
+      resolutions: null,
+      loot: null,
+      ...definition,
+    };
+    this.cards.set(normalized.id, Object.freeze(normalized));
+    return normalized;
+  }
+
+  /**
+   * Removes a card definition
+   * @param {string} cardId - Card id
+   * @returns {boolean} True if the card was registered
+   */
+  static unregister(cardId) {
+    return this.cards.delete(cardId);
+  }
+
+  /**
+   * Gets a card definition
+   * @param {string} cardId - Card id
+   * @returns {Object|null} Definition, or null if unknown
+   */
+  static get(cardId) {
+    return this.cards.get(cardId) || null;
+  }
+
+  /**
+   * Checks whether a card is registered
+   * @param {string} cardId - Card id
+   * @returns {boolean} True if the card is known
+   */
+  static has(cardId) {
+    return this.cards.has(cardId);
+  }
+
+  /**
+   * Gets all registered definitions in registration order
+   * @returns {Array<Object>} Card definitions
+   */
+  static getAll() {
+    return [...this.cards.values()];
+  }
+
+  /**
+   * Gets the homebrew card definitions in registration order
+   * @returns {Array<Object>} Definitions created in the homebrew editor
+   */
+  static getHomebrew() {
+    return this.getAll().filter((definition) => definition.homebrew);
+  }
+
+  /**
+   * Gets the definitions a worker needs for some cards: the homebrew ones, which its
+   * own registry doesn't know, without their images
+   * @param {Array<string>} cardIds - Card ids (duplicates are fine)
+   * @returns {Array<Object>} Homebrew card definitions
+   */
+  static getWorkerDefinitions(cardIds) {
+    return [...new Set(cardIds)]
+      .map((cardId) => this.get(cardId))
+      .filter((definition) => definition?.homebrew)
+      .map((definition) => ({ ...definition, image: null }));
+  }
+
+  /**
+   * Gets a card's display name
+   * @param {string} cardId - Card id
+   * @returns {string} Display name (falls back to the capitalized id)
+   */
+  static getName(cardId) {
+    return this.get(cardId)?.name ?? capitalizeFirst(cardId);
+  }
+
+  /**
+   * Gets a card's special draw behavior type
+   * @param {string} cardId - Card id
+   * @returns {string|null} One of DRAW_BEHAVIORS, or null
+   */
+  static getDrawBehavior(cardId) {
+    return this.get(cardId)?.draw?.type ?? null;
+  }
+
+  /**
+   * Checks whether drawing a card stops all further draws
+   * @param {string} cardId - Card id
+   * @returns {boolean} True for STOP cards such as Isolation
+   */
+  static stopsDrawing(cardId) {
+    return this.getDrawBehavior(cardId) === DRAW_BEHAVIORS.STOP;
+  }
+
+  /**
+   * Gets the display names of the STOP cards among some cards
+   * @param {Iterable<string>} cardIds - Card ids (duplicates allowed)
+   * @returns {Array<string>} Unique names, e.g. ["Void", "Donjon"]
+   */
+  static getStopCardNames(cardIds) {
+    return [...new Set(cardIds)]
+      .filter((cardId) => this.stopsDrawing(cardId))
+      .map((cardId) => this.getName(cardId));
+  }
+
+  /**
+   * Checks whether a card is replaced by a redraw
+   * @param {string} cardId - Card id
+   * @returns {boolean} True for REDRAW cards such as Mystery
+   */
+  static redraws(cardId) {
+    return this.getDrawBehavior(cardId) === DRAW_BEHAVIORS.REDRAW;
+  }
+
+  /**
+   * Gets the number of extra draws a card can be spent for
+   * @param {string} cardId - Card id
+   * @returns {number} Extra draws for EXTRA cards such as Mischief, otherwise 0
+   */
+  static getExtraDraws(cardId) {
+    const draw = this.get(cardId)?.draw;
+    return draw?.type === DRAW_BEHAVIORS.EXTRA ? draw.extraDraws : 0;
+  }
+
+  /**
+   * Gets what an EXTRA card gives when it isn't spent on extra draws
+   * @param {string} cardId - Card id
+   * @returns {string} Reward name, e.g. "item" for Mischief
+   */
+  static getExtraDrawReward(cardId) {
+    return this.get(cardId)?.draw?.reward ?? "reward";
+  }
+}
+
+[...WONDER_CARDS, ...MANY_THINGS_CARDS].forEach((definition) =>
+  CardRegistry.register(definition)
+);
@@ -0,0 +1,264 @@
+import { CardEffects } from "./CardEffects.js";
+import {
+  CHARACTER_STATS,
+  EFFECT_TYPES,
+  GRANT_TYPES,
+} from "../data/cardTypes.js";
+
+// Saving throw abilities, in sheet order
+export const ABILITIES = ["str", "dex", "con", "int", "wis", "cha"];
+
+// Number fields of a character and their labels
+const NUMBER_FIELDS = {
+  hp: "HP",
+  hpMax: "HP max",
+  proficiencyBonus: "Proficiency bonus",
+  initiative: "Initiative",
+  weaponBonus: "Weapon attack and damage",
+};
+
+/**
+ * Checks whether an effect record changes a character sheet
+ * Recurring modifiers (rolled on each save) and disadvantage aren't values on the sheet.
+ * @param {Object} record - Effect record
+ * @returns {boolean} True if CharacterSheet.applyRecord changes something for it
+ */
+function changesSheet(record) {
+  switch (record.type) {
+    case EFFECT_TYPES.DAMAGE:
+      return true;
+    case EFFECT_TYPES.MODIFIER:
+      return (
+        record.value !== undefined &&
+        !record.recurring &&
+        (record.target === CHARACTER_STATS.SAVES ||
+          record.target in NUMBER_FIELDS)
+      );
+    case EFFECT_TYPES.GRANT:
+      return (
+        record.grant === GRANT_TYPES.PROFICIENCY && Boolean(record.abilities)
+      );
+    default:
+      return false;
+  }
+}
+
+/**
+ * Reads an integer field of imported character data
+ * @param {*} value - Imported value
+ * @param {string} label - Field name for the error message
+ * @returns {number} The integer
+ * @throws {Error} If the value is not an integer
+ */
+function readInteger(value, label) {
+  if (!Number.isInteger(value)) {
+    throw new Error(`${label} must be a whole number`);
+  }
+  return value;
+}
+
+/**
+ * Character sheet values and how drawn cards change them
+ *
+ * A character is a plain object (so it can be exported as JSON):
+ * {name, hp, hpMax, proficiencyBonus, initiative, weaponBonus,
+ *  saves: {str, dex, ...} save modifiers, saveProficiencies: ["wis", ...]}.
+ * Cards change it through their effect records (see EFFECT_TYPES): modifiers of the
+ * values above, damage, and saving throw proficiencies.
+ */
+export class CharacterSheet {
+  /**
+   * Creates a blank character
+   * @returns {Object} Character
+   */
+  static create() {
+    return {
+      name: "",
+      hp: 10,
+      hpMax: 10,
+      proficiencyBonus: 2,
+      initiative: 0,
+      weaponBonus: 0,
+      saves: Object.fromEntries(ABILITIES.map((ability) => [ability, 0])),
+      saveProficiencies: [],
+    };
+  }
+
+  /**
+   * Validates character data (e.g. an imported JSON file), filling in missing fields
+   * @param {Object} data - Character data
+   * @returns {Object} Character
+   * @throws {Error} If a field has the wrong type
+   */
+  static normalize(data) {
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new Error("A character must be a JSON object");
+    }
+    const character = this.create();
+    if (data.name !== undefined) {
+      character.name = String(data.name);
+    }
+    for (const [field, label] of Object.entries(NUMBER_FIELDS)) {
+      if (data[field] !== undefined) {
+        character[field] = readInteger(data[field], label);
+      }
+    }
+    for (const ability of ABILITIES) {
+      if (data.saves?.[ability] !== undefined) {
+        character.saves[ability] = readInteger(
+          data.saves[ability],
+          `${ability.toUpperCase()} save`
+        );
+      }
+    }
+    if (data.saveProficiencies !== undefined) {
+      if (
+        !Array.isArray(data.saveProficiencies) ||
+        !data.saveProficiencies.every((ability) => ABILITIES.includes(ability))
+      ) {
+        throw new Error(
+          `Save proficiencies must be a list of ${ABILITIES.join(", ")}`
+        );
+      }
+      character.saveProficiencies = [...new Set(data.saveProficiencies)];
+    }
+    return character;
+  }
+
+  /**
+   * Gets the drawn cards that change a character sheet
+   * @param {Array<string>} drawnCards - Array of card names
+   * @returns {Array<string>} Card ids with records that change the sheet, once each
+   */
+  static getModifierCards(drawnCards) {
+    return [...CardEffects.countCards(drawnCards ?? [])]
+      .filter(([card, count]) =>
+        CardEffects.getEffect(card, count)?.records.some(changesSheet)
+      )
+      .map(([card]) => card);
+  }
+
+  /**
+   * Applies the effects of drawn cards to a character
+   * @param {Object} character - Character before the draw
+   * @param {Array<string>} drawnCards - Array of card names
+   * @param {Function} rollCardDice - (cardId, record) => rolled total of the record's dice,
+   *   so the sheet can use the rolls shown with the effects (see the record's `roll`)
+   * @returns {{character: Object, changes: Array<Object>}} Character after the draw and each
+   *   change as {card, label, before, after}
+   */
+  static applyEffects(character, drawnCards, rollCardDice) {
+    const after = structuredClone(character);
+    const changes = [];
+    const hpBefore = after.hp;
+
+    for (const [card, count] of CardEffects.countCards(drawnCards ?? [])) {
+      const records = (
+        CardEffects.getEffect(card, count)?.records ?? []
+      ).filter(changesSheet);
+      // Records with the same roll index share it (End's damage and HP max loss)
+      const rolls = new Map();
+      const roll = (record) => {
+        if (!rolls.has(record.roll)) {
+          rolls.set(record.roll, rollCardDice(card, record));
+        }
+        return rolls.get(record.roll);
+      };
+      for (const record of records) {
+        changes.push(
+          ...this.applyRecord(after, record, roll).map((change) => ({
+            card,
+            ...change,
+          }))
+        );
+      }
+    }
+
+    // Current hit points stay between 0 and the (possibly changed) maximum
+    const hp = Math.max(0, Math.min(after.hp, after.hpMax));
+    if (hp !== after.hp) {
+      const hpChange = changes.findLast((change) => change.label === "HP");
+      after.hp = hp;
+      if (hpChange) {
+        hpChange.after = hp;
+      } else {
+        changes.push({ card: null, label: "HP", before: hpBefore, after: hp });
+      }
+    }
+    return { character: after, changes };
+  }
+
+  /**
+   * Gets the number a MODIFIER record adds
+   * @param {Object} record - MODIFIER record
+   * @param {Object} character - Character (for its proficiency bonus)
+   * @param {Function} roll - Gets the rolled total of a record's dice
+   * @returns {number} Signed amount, or NaN if the value can't be worked out
+   */
+  static getModifierAmount(record, character, roll) {
+    if (record.amount !== undefined) {
+      return record.amount;
+    }
+    if (record.dice) {
+      return record.sign * roll(record);
+    }
+    return Number(
+      CardEffects.fillTemplate(String(record.value), {
+        proficiency: character.proficiencyBonus,
+      })
+    );
+  }
+
+  /**
+   * Applies one effect record to a character
+   * @param {Object} character - Character, changed in place
+   * @param {Object} record - Effect record that changes the sheet
+   * @param {Function} roll - Gets the rolled total of a record's dice
+   * @returns {Array<{label: string, before: *, after: *}>} Changed values
+   */
+  static applyRecord(character, record, roll) {
+    if (record.type === EFFECT_TYPES.GRANT) {
+      const ability = record.abilities.find(
+        (candidate) => !character.saveProficiencies.includes(candidate)
+      );
+      if (!ability) return [];
+      const label = `${ability.toUpperCase()} save`;
+      const before = character.saves[ability];
+      character.saveProficiencies.push(ability);
+      character.saves[ability] += character.proficiencyBonus;
+      return [
+        { label: `${label} proficiency`, before: "no", after: "yes" },
+        { label, before, after: character.saves[ability] },
+      ];
+    }
+
+    const amount =
+      record.type === EFFECT_TYPES.DAMAGE
+        ? -roll(record)
+        : this.getModifierAmount(record, character, roll);
+    if (!Number.isFinite(amount) || amount === 0) return [];
+
+    if (record.target === CHARACTER_STATS.SAVES) {
+      const abilities = record.ability ? [record.ability] : ABILITIES;
+      return abilities.map((ability) => {
+        const before = character.saves[ability];
+        character.saves[ability] += amount;
+        return {
+          label: `${ability.toUpperCase()} save`,
+          before,
+          after: character.saves[ability],
+        };
+      });
+    }
+
+    // Damage comes off current hit points
+    const field = record.target ?? CHARACTER_STATS.HP;
+    const before = character[field];
+    let value = before + amount;
+    if (record.min !== undefined) {
+      value = Math.max(value, Math.min(record.min, before));
+    }
+    character[field] = value;
+    return [{ label: NUMBER_FIELDS[field], before, after: value }];
+  }
+}
@@ -0,0 +1,95 @@
+import { CardRegistry } from "./CardRegistry.js";
+import { DURATION_TYPES } from "../constants.js";
+
+/**
+ * Resolution of curses through their card's `resolutions` (see CURSE_RESOLUTIONS)
+ *
+ * The state of a curse is a plain object (so it can be stored with the draw):
+ * {resolved, success, text, attempts: [{total, success}]}, where text says how it was
+ * resolved, or the outcome of the last failed attempt of a check that can be retried.
+ */
+export class CurseResolver {
+  /**
+   * Gets the ways a card's curse can be resolved
+   * @param {string} cardId - Card id
+   * @returns {Array<Object>} Resolutions from the card definition
+   */
+  static getResolutions(cardId) {
+    return CardRegistry.get(cardId)?.resolutions ?? [];
+  }
+
+  /**
+   * Describes a check, e.g. "DC 11 Constitution saving throw"
+   * @param {Object} resolution - CHECK resolution
+   * @returns {string} Check description
+   */
+  static describeCheck(resolution) {
+    return `DC ${resolution.dc} ${resolution.check}`;
+  }
+
+  /**
+   * Ends a curse with Remove Curse
+   * @param {Object|null} state - Current state of the curse
+   * @returns {Object} Resolved state
+   */
+  static removeCurse(state) {
+    return {
+      resolved: true,
+      success: true,
+      text: "Ended by Remove Curse",
+      attempts: state?.attempts ?? [],
+    };
+  }
+
+  /**
+   * Records the result of a check against a curse
+   * @param {Object} resolution - CHECK resolution
+   * @param {number} total - Check total (d20 + modifier)
+   * @param {Object|null} state - Current state of the curse
+   * @returns {Object} New state; a failed check that can be retried leaves it unresolved
+   */
+  static applyCheck(resolution, total, state) {
+    const success = total >= resolution.dc;
+    const attempts = [...(state?.attempts ?? []), { total, success }];
+    const text = `${success ? "Passed" : "Failed"} the ${this.describeCheck(resolution)} with ${total}: ${success ? resolution.success : resolution.failure}`;
+    return {
+      resolved: success || !resolution.retry,
+      success,
+      text,
+      attempts,
+    };
+  }
+
+  /**
+   * Gets how long is left to pass a check with a deadline
+   * @param {Object} resolution - CHECK resolution
+   * @param {GameClock} clock - In-game clock
+   * @param {{minutes: number, longRests: number}} start - Time the curse was drawn
+   * @returns {{expired: boolean, remaining: number|null}|null} Deadline status, or null
+   *   if the check has no deadline
+   */
+  static getDeadline(resolution, clock, start) {
+    if (!resolution.deadline) {
+      return null;
+    }
+    return clock.getStatus(
+      { type: DURATION_TYPES.TIME, minutes: resolution.deadline },
+      start
+    );
+  }
+
+  /**
+   * Resolves a curse whose check wasn't passed before its deadline
+   * @param {Object} resolution - CHECK resolution
+   * @param {Object|null} state - Current state of the curse
+   * @returns {Object} Resolved state
+   */
+  static miss(resolution, state) {
+    return {
+      resolved: true,
+      success: false,
+      text: resolution.missed,
+      attempts: state?.attempts ?? [],
+    };
+  }
+}
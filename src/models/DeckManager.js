@@ -1,67 +1,253 @@
-import { TAROT_CARDS, DECK_SIZES, DECK_CONFIG } from "../constants.js";
-import { randomInt } from "../utils/rng.js";
+import { DECK_FAMILY_CARDS, DECK_SIZES, DECK_CONFIG } from "../constants.js";
+import { getStream, RNG_STREAMS } from "../utils/rng.js";
 
 /**
  * Manages deck operations: creation, shuffling, and drawing cards
+ *
+ * By default cards are drawn with replacement. In physical deck mode drawn cards
+ * leave the deck for the discard pile, and the discards are shuffled back in
+ * whenever the deck runs out, so the number of draws is never capped.
  */
 export class DeckManager {
   constructor() {
     this.deck = [];
+    this.cardSet = [];
+    this.discardPile = [];
+    this.physical = false;
+    this.autoReshuffles = 0;
     this.deckSize = DECK_CONFIG.DEFAULT_SIZE;
+    this.family = DECK_CONFIG.DEFAULT_FAMILY;
+    // Copies per card of a custom deck, null for a built-in deck
+    this.customCounts = null;
     this.createDeck();
   }
 
   /**
    * Creates a tarot card deck from available card images
    * @param {number|string} size - Deck size (13, 22) or DECK_SIZES.CUSTOM
-   * @param {string[]} [customCards] - Array of card names for custom deck (required when size is CUSTOM)
+   * @param {string[]|Object<string, number>} [customCards] - Card names, or copy counts per card,
+   *   for a custom deck (required when size is CUSTOM)
+   * @param {string} [family] - Deck family (DECK_FAMILIES), defaults to the current one
    */
-  createDeck(size = null, customCards = null) {
+  createDeck(size = null, customCards = null, family = null) {
+    if (family) {
+      if (DECK_FAMILY_CARDS[family]) {
+        this.family = family;
+      } else {
+        console.error("Unknown deck family:", family);
+      }
+    }
+
     let cardSet;
     if (size === DECK_SIZES.CUSTOM) {
-      cardSet = customCards && customCards.length > 0 ? [...customCards] : [];
+      cardSet = DeckManager.expandCustomCards(customCards);
       this.deckSize = cardSet.length;
+      this.customCounts = {};
+      cardSet.forEach((card) => {
+        this.customCounts[card] = (this.customCounts[card] ?? 0) + 1;
+      });
     } else {
+      this.customCounts = null;
       const targetSize = size ?? this.deckSize;
+      const familyCards = DECK_FAMILY_CARDS[this.family];
       cardSet =
         targetSize === DECK_SIZES.REDUCED
-          ? TAROT_CARDS.REDUCED
-          : TAROT_CARDS.FULL;
-      this.deckSize = typeof targetSize === "number" ? targetSize : cardSet.length;
+          ? familyCards.REDUCED
+          : familyCards.FULL;
+      this.deckSize =
+        typeof targetSize === "number" ? targetSize : cardSet.length;
     }
-    this.deck = [...cardSet];
+    this.cardSet = [...cardSet];
+    this.reset();
+  }
+
+  /**
+   * Builds a custom deck's card list
+   * Copy counts make a weighted deck: a card with 3 copies is 3 times as likely as one with 1
+   * @param {string[]|Object<string, number>|null} customCards - Card names, or copy counts per card
+   * @returns {Array<string>} Card names, repeated once per copy
+   */
+  static expandCustomCards(customCards) {
+    if (!customCards) {
+      return [];
+    }
+    if (Array.isArray(customCards)) {
+      return [...customCards];
+    }
+    return Object.entries(customCards).flatMap(([card, copies]) =>
+      Number.isInteger(copies) && copies > 0 ? new Array(copies).fill(card) : []
+    );
+  }
+
+  /**
+   * Restores the deck to its card set order and shuffles it
+   * Called before a seeded draw so the result only depends on the seed
+   * (except in physical deck mode, where the deck carries over between draws)
+   */
+  reset() {
+    this.deck = [...this.cardSet];
+    this.discardPile = [];
+    this.autoReshuffles = 0;
     this.shuffleDeck();
   }
 
+  /**
+   * Turns physical deck mode on or off, starting again from a full deck
+   * @param {boolean} enabled - Whether drawn cards leave the deck
+   */
+  setPhysical(enabled) {
+    this.physical = Boolean(enabled);
+    this.reset();
+  }
+
+  /**
+   * Checks whether physical deck mode is on
+   * @returns {boolean} True if drawn cards leave the deck
+   */
+  isPhysical() {
+    return this.physical;
+  }
+
+  /**
+   * Shuffles the discard pile back into the deck
+   * @param {{randomInt: Function}} [rng] - Random generator (defaults to the draw stream)
+   */
+  reshuffle(rng = getStream(RNG_STREAMS.DRAW)) {
+    this.deck.push(...this.discardPile);
+    this.discardPile = [];
+    this.shuffleDeck(rng);
+  }
+
   /**
    * Shuffles the deck using Fisher-Yates algorithm
+   * @param {{randomInt: Function}} [rng] - Random generator (defaults to the draw stream)
    */
-  shuffleDeck() {
+  shuffleDeck(rng = getStream(RNG_STREAMS.DRAW)) {
     for (let i = this.deck.length - 1; i > 0; i--) {
-      const j = randomInt(0, i);
+      const j = rng.randomInt(0, i);
       [this.deck[i], this.deck[j]] = [this.deck[j], this.deck[i]];
     }
   }
 
+  /**
+   * Draws one card
+   * Normally a random card is picked and stays in the deck; in physical deck mode the
+   * top card moves to the discard pile, reshuffling the discards in when the deck is empty
+   * @param {{randomInt: Function}} [rng] - Random generator for the pick or the reshuffle
+   *   (defaults to the draw stream)
+   * @returns {string|null} Drawn card name, or null if there are no cards at all
+   */
+  drawCard(rng = getStream(RNG_STREAMS.DRAW)) {
+    if (this.isEmpty()) {
+      return null;
+    }
+    if (!this.physical) {
+      return this.deck[rng.randomInt(0, this.deck.length - 1)];
+    }
+    if (this.deck.length === 0) {
+      this.reshuffle(rng);
+      this.autoReshuffles++;
+    }
+    const card = this.deck.pop();
+    this.discardPile.push(card);
+    return card;
+  }
+
   /**
    * Draws a specified number of cards from the deck
-   * Cards are not removed from the deck and can be drawn multiple times
+   * Cards can be drawn multiple times (see drawCard)
    * @param {number} count - Number of cards to draw
-   * @returns {Array} Array of drawn cards (randomly selected)
+   * @returns {Array} Array of drawn cards
    */
   drawCards(count) {
-    if (this.deck.length === 0) {
+    if (this.isEmpty()) {
       return null;
     }
-    // Randomly select cards without removing them from the deck (cards are reinserted after each draw)
     const drawn = [];
     for (let i = 0; i < count; i++) {
-      const randomIndex = randomInt(0, this.deck.length - 1);
-      drawn.push(this.deck[randomIndex]);
+      drawn.push(this.drawCard());
     }
     return drawn;
   }
 
+  /**
+   * Gets the cards currently in the deck
+   * @returns {Array<string>} Copy of the deck's card names
+   */
+  getCards() {
+    return [...this.deck];
+  }
+
+  /**
+   * Gets every card the deck is made of, including discarded ones
+   * @returns {Array<string>} Card names in card set order
+   */
+  getCardSet() {
+    return [...this.cardSet];
+  }
+
+  /**
+   * Gets the physical deck's discard pile
+   * @returns {Array<string>} Discarded card names, oldest first
+   */
+  getDiscardPile() {
+    return [...this.discardPile];
+  }
+
+  /**
+   * Gets how many times the deck ran out and reshuffled its discards since the last reset
+   * @returns {number} Automatic reshuffle count
+   */
+  getAutoReshuffleCount() {
+    return this.autoReshuffles;
+  }
+
+  /**
+   * Saves the deck order, discard pile and reshuffle count (for undo)
+   * @returns {{deck: Array<string>, discardPile: Array<string>, autoReshuffles: number}}
+   *   Deck state
+   */
+  getSnapshot() {
+    return {
+      deck: [...this.deck],
+      discardPile: [...this.discardPile],
+      autoReshuffles: this.autoReshuffles,
+    };
+  }
+
+  /**
+   * Puts the deck back to a saved state of the same card set
+   * @param {Object} snapshot - State from getSnapshot
+   */
+  restoreSnapshot(snapshot) {
+    this.deck = [...snapshot.deck];
+    this.discardPile = [...snapshot.discardPile];
+    this.autoReshuffles = snapshot.autoReshuffles;
+  }
+
+  /**
+   * Describes how the deck was built, so it can be shown or rebuilt later
+   * @returns {{family: string, size: number|string, cards: Object<string, number>|null, physical: boolean}}
+   *   Deck family, size (13, 22 or DECK_SIZES.CUSTOM), copies per card of a custom deck and
+   *   whether physical deck mode is on
+   */
+  getConfig() {
+    return {
+      family: this.family,
+      size: this.customCounts ? DECK_SIZES.CUSTOM : this.deckSize,
+      cards: this.customCounts ? { ...this.customCounts } : null,
+      physical: this.physical,
+    };
+  }
+
+  /**
+   * Gets the current deck family
+   * @returns {string} One of DECK_FAMILIES
+   */
+  getFamily() {
+    return this.family;
+  }
+
   /**
    * Gets the current deck size
    * @returns {number} Number of cards in deck
@@ -72,9 +258,10 @@ export class DeckManager {
 
   /**
    * Checks if deck is empty
-   * @returns {boolean} True if deck is empty
+   * A physical deck with discards is not empty: they get reshuffled in
+   * @returns {boolean} True if there is no card to draw
    */
   isEmpty() {
-    return this.deck.length === 0;
+    return this.deck.length === 0 && this.discardPile.length === 0;
   }
 }
@@ -0,0 +1,219 @@
+import { DECK_CONFIG, DECK_FAMILY_CARDS, PRESET_CONFIG } from "../constants.js";
+import { CardRegistry } from "./CardRegistry.js";
+import { getStorage } from "../utils/storage.js";
+
+/**
+ * Named custom decks, persisted in localStorage
+ * A preset is {name, family, cards: {card: copies}}. Card ids are kept as saved, even
+ * ones this browser doesn't know (e.g. a deleted homebrew card); they are reported by
+ * getUnknownCards when the preset is loaded.
+ */
+export class DeckPresets {
+  constructor() {
+    this.presets = this.load();
+  }
+
+  /**
+   * Reads the stored presets, dropping them all if the data is corrupt
+   * @returns {Array<Object>} Presets
+   */
+  load() {
+    const storage = getStorage();
+    if (!storage) {
+      return [];
+    }
+    try {
+      const stored = storage.getItem(PRESET_CONFIG.STORAGE_KEY);
+      return stored ? DeckPresets.normalizeAll(JSON.parse(stored)) : [];
+    } catch (error) {
+      console.error("Failed to read deck presets:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Writes the presets to localStorage
+   */
+  persist() {
+    const storage = getStorage();
+    if (!storage) {
+      return;
+    }
+    try {
+      storage.setItem(PRESET_CONFIG.STORAGE_KEY, JSON.stringify(this.presets));
+    } catch (error) {
+      console.error("Failed to save deck presets:", error);
+    }
+  }
+
+  /**
+   * Gets all presets, sorted by name
+   * @returns {Array<Object>} Presets
+   */
+  getPresets() {
+    return [...this.presets].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Gets one preset
+   * @param {string} name - Preset name
+   * @returns {Object|null} Preset, or null if not found
+   */
+  get(name) {
+    return this.presets.find((preset) => preset.name === name) ?? null;
+  }
+
+  /**
+   * Saves a preset (replacing the one with its name)
+   * @param {Object} preset - Preset to save
+   * @returns {Object} The validated preset
+   * @throws {Error} If the preset is invalid or there are too many presets
+   */
+  save(preset) {
+    const normalized = DeckPresets.normalize(preset);
+    this.merge([normalized]);
+    this.persist();
+    return normalized;
+  }
+
+  /**
+   * Deletes a preset
+   * @param {string} name - Preset name
+   * @returns {boolean} True if the preset existed
+   */
+  remove(name) {
+    const index = this.presets.findIndex((preset) => preset.name === name);
+    if (index < 0) {
+      return false;
+    }
+    this.presets.splice(index, 1);
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Adds the presets of an imported file; presets with the same name are replaced
+   * @param {*} data - Parsed JSON: an array of presets
+   * @returns {Array<Object>} The imported presets
+   * @throws {Error} If a preset is invalid or there would be too many presets
+   */
+  importPresets(data) {
+    const imported = DeckPresets.normalizeAll(data);
+    this.merge(imported);
+    this.persist();
+    return imported;
+  }
+
+  /**
+   * Adds or replaces presets by name
+   * @param {Array<Object>} presets - Validated presets
+   * @throws {Error} If there would be more than MAX_PRESETS presets (nothing is changed)
+   */
+  merge(presets) {
+    const merged = [...this.presets];
+    presets.forEach((preset) => {
+      const index = merged.findIndex((entry) => entry.name === preset.name);
+      if (index >= 0) {
+        merged[index] = preset;
+      } else {
+        merged.push(preset);
+      }
+    });
+    if (merged.length > PRESET_CONFIG.MAX_PRESETS) {
+      throw new Error(
+        `There can be at most ${PRESET_CONFIG.MAX_PRESETS} presets`
+      );
+    }
+    this.presets = merged;
+  }
+
+  /**
+   * Serializes the presets for export
+   * @returns {string} Pretty-printed JSON
+   */
+  toJSON() {
+    return JSON.stringify(this.getPresets(), null, 2);
+  }
+
+  /**
+   * Validates a list of presets
+   * @param {*} data - Candidate presets
+   * @returns {Array<Object>} Validated presets
+   * @throws {Error} If the list or one of its presets is invalid
+   */
+  static normalizeAll(data) {
+    if (!Array.isArray(data)) {
+      throw new Error("Deck presets must be a JSON array");
+    }
+    const presets = data.map((preset) => DeckPresets.normalize(preset));
+    const names = new Set(presets.map((preset) => preset.name));
+    if (names.size !== presets.length) {
+      throw new Error("Preset names must be unique");
+    }
+    return presets;
+  }
+
+  /**
+   * Validates a preset's shape; card ids are checked separately (see getUnknownCards)
+   * @param {*} data - Candidate preset
+   * @returns {Object} {name, family, cards: {card: copies}}
+   * @throws {Error} If the preset is invalid
+   */
+  static normalize(data) {
+    if (!data || typeof data !== "object") {
+      throw new Error("A deck preset must be an object");
+    }
+    const name = typeof data.name === "string" ? data.name.trim() : "";
+    if (!name) {
+      throw new Error("A deck preset needs a name");
+    }
+    if (name.length > PRESET_CONFIG.MAX_NAME_LENGTH) {
+      throw new Error(
+        `Preset names can be at most ${PRESET_CONFIG.MAX_NAME_LENGTH} characters`
+      );
+    }
+    if (!DECK_FAMILY_CARDS[data.family]) {
+      throw new Error(`${name} has an unknown deck family`);
+    }
+    if (
+      !data.cards ||
+      typeof data.cards !== "object" ||
+      Array.isArray(data.cards)
+    ) {
+      throw new Error(`${name} needs its cards`);
+    }
+    const cards = {};
+    Object.entries(data.cards).forEach(([card, copies]) => {
+      if (
+        !Number.isInteger(copies) ||
+        copies < 0 ||
+        copies > DECK_CONFIG.MAX_CARD_COPIES
+      ) {
+        throw new Error(
+          `${name}: copies of ${card} must be a whole number from 0 to ${DECK_CONFIG.MAX_CARD_COPIES}`
+        );
+      }
+      if (copies > 0) {
+        cards[card] = copies;
+      }
+    });
+    if (Object.keys(cards).length === 0) {
+      throw new Error(`${name} needs at least one card`);
+    }
+    return { name, family: data.family, cards };
+  }
+
+  /**
+   * Gets the cards of a preset that the custom deck picker doesn't list: cards outside
+   * the preset's family, and homebrew cards that no longer exist
+   * @param {Object} preset - Validated preset
+   * @returns {Array<string>} Card ids
+   */
+  static getUnknownCards(preset) {
+    const known = new Set([
+      ...DECK_FAMILY_CARDS[preset.family].FULL,
+      ...CardRegistry.getHomebrew().map((card) => card.id),
+    ]);
+    return Object.keys(preset.cards).filter((card) => !known.has(card));
+  }
+}
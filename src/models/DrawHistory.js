@@ -0,0 +1,157 @@
+import { HISTORY_CONFIG } from "../constants.js";
+import { CardRegistry } from "./CardRegistry.js";
+import { DrawSession } from "./DrawSession.js";
+import { getStorage } from "../utils/storage.js";
+import { upgradeRolls } from "../utils/diceRoller.js";
+
+/**
+ * Keeps a persistent log of past draws in localStorage
+ *
+ * Each entry stores everything needed to show the draw again without redrawing:
+ * {id, timestamp, deck (DeckManager.getConfig), seed, count, cards, events,
+ * selections (card id -> selected values), dice (card id -> rolls of its effect's dice
+ * slots, or null),
+ * resolutions (curse states), loot (rolled items)}.
+ * Draws opened from a shared link (see utils/permalink.js) are also marked shared.
+ * Card ids are kept as drawn, even ones this browser no longer knows (a deleted
+ * homebrew card); getUnknownCards reports them. Newest entries come first.
+ */
+export class DrawHistory {
+  constructor() {
+    this.entries = this.load();
+    this.recordedCount = this.loadRecordedCount();
+  }
+
+  /**
+   * Reads the stored entries, ignoring missing or corrupt data
+   * Events and rolls of older entries get their current form (see
+   * DrawSession.upgradeEvents and utils/diceRoller.js upgradeRolls).
+   * @returns {Array<Object>} Stored entries, newest first
+   */
+  load() {
+    const storage = getStorage();
+    if (!storage) {
+      return [];
+    }
+    try {
+      const entries = JSON.parse(storage.getItem(HISTORY_CONFIG.STORAGE_KEY));
+      if (!Array.isArray(entries)) {
+        return [];
+      }
+      return entries.map((entry) =>
+        Array.isArray(entry?.events)
+          ? {
+              ...entry,
+              events: DrawSession.upgradeEvents(entry.events),
+              dice: upgradeRolls(entry.dice ?? null),
+            }
+          : entry
+      );
+    } catch (error) {
+      console.error("Failed to read draw history:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Reads how many entries were ever recorded
+   * @returns {number} Stored count, or 0 if missing or corrupt
+   */
+  loadRecordedCount() {
+    const count = Number(getStorage()?.getItem(HISTORY_CONFIG.COUNTER_KEY));
+    return Number.isSafeInteger(count) && count > 0 ? count : 0;
+  }
+
+  /**
+   * Writes the entries and the recorded count to localStorage
+   */
+  persist() {
+    const storage = getStorage();
+    if (!storage) {
+      return;
+    }
+    try {
+      storage.setItem(HISTORY_CONFIG.STORAGE_KEY, JSON.stringify(this.entries));
+      storage.setItem(HISTORY_CONFIG.COUNTER_KEY, String(this.recordedCount));
+    } catch (error) {
+      console.error("Failed to save draw history:", error);
+    }
+  }
+
+  /**
+   * Gets all entries
+   * @returns {Array<Object>} Entries, newest first
+   */
+  getEntries() {
+    return this.entries;
+  }
+
+  /**
+   * Gets one entry
+   * @param {string} id - Entry id
+   * @returns {Object|null} Entry, or null if not found
+   */
+  get(id) {
+    return this.entries.find((entry) => entry.id === id) ?? null;
+  }
+
+  /**
+   * Adds a draw to the history, dropping the oldest entries beyond the limit
+   * Ids end with the recorded count, which only grows, so they stay unique once the
+   * history is full or cleared.
+   * @param {Object} draw - Entry fields except id and timestamp
+   * @returns {string} Id of the new entry
+   */
+  record(draw) {
+    const timestamp = Date.now();
+    const id = `${timestamp.toString(36)}-${this.recordedCount.toString(36)}`;
+    this.recordedCount++;
+    this.entries.unshift({ id, timestamp, ...draw });
+    this.entries.length = Math.min(
+      this.entries.length,
+      HISTORY_CONFIG.MAX_ENTRIES
+    );
+    this.persist();
+    return id;
+  }
+
+  /**
+   * Updates an entry after a Mischief draw, a choice or a dice roll
+   * @param {string} id - Entry id
+   * @param {Object} changes - Fields to replace
+   */
+  update(id, changes) {
+    const entry = this.get(id);
+    if (!entry) {
+      return;
+    }
+    Object.assign(entry, changes);
+    this.persist();
+  }
+
+  /**
+   * Removes one entry
+   * @param {string} id - Entry id
+   */
+  remove(id) {
+    this.entries = this.entries.filter((entry) => entry.id !== id);
+    this.persist();
+  }
+
+  /**
+   * Removes every entry
+   */
+  clear() {
+    this.entries = [];
+    this.persist();
+  }
+
+  /**
+   * Gets the cards of a draw that aren't registered, such as deleted homebrew cards
+   * @param {Array<string>} cards - Drawn card ids
+   * @returns {Array<string>} Unknown card ids, each listed once
+   */
+  static getUnknownCards(cards) {
+    return [...new Set(cards)].filter((card) => !CardRegistry.get(card));
+  }
+}
@@ -0,0 +1,256 @@
+import { CardEffects } from "./CardEffects.js";
+import { CardRegistry } from "./CardRegistry.js";
+
+/**
+ * Upper bound on chain steps; only reachable when Mischief draws chain endlessly
+ * (e.g. a deck made mostly of Mischief). Remaining mass is reported as truncated.
+ */
+const MAX_CHAIN_STEPS = 500;
+
+/**
+ * States below this probability are dropped (and reported as truncated) to keep
+ * long Mischief chains fast enough for live updates
+ */
+const MIN_STATE_MASS = 1e-12;
+
+/**
+ * Exact draw outcome probabilities
+ * Models the draw as a Markov chain over the DrawSession rules: declared draws,
+ * Mystery redraws, optional Mischief draws and Isolation stops. Each draw samples
+ * the deck with replacement, like DeckManager.drawCards. Cards are grouped by
+ * their draw behavior, and every extra-draw card is assumed to grant as many
+ * draws as the deck's most generous one (2 for Mischief).
+ */
+export class DrawProbability {
+  /**
+   * Calculates outcome probabilities for a deck and declared count
+   * @param {Array<string>} deck - Card names in the deck (duplicates add weight)
+   * @param {number} count - Number of declared draws
+   * @param {Object} [options] - Calculation options
+   * @param {boolean} [options.useMischief=false] - Spend every extra-draw card (Mischief, Jester) on its extra draws
+   * @returns {Object} {totals, expectedCards, expectedTotal, curses, anyCurse, isolation, truncated}
+   */
+  static calculate(deck, count, { useMischief = false } = {}) {
+    const probabilities = this.cardProbabilities(deck);
+    const result = {
+      totals: new Map(), // cards received -> probability
+      expectedCards: new Map(), // card -> expected copies received
+      expectedTotal: 0,
+      curses: new Map(), // curse card -> probability of appearing
+      anyCurse: 0,
+      isolation: 0,
+      truncated: 0,
+    };
+    if (probabilities.size === 0 || count <= 0) {
+      return result;
+    }
+
+    const chain = this.runChain(probabilities, count, useMischief);
+    result.totals = chain.totals;
+    result.truncated = chain.truncated;
+
+    // Each draw is independent of whether it happens, so E[copies] = p * E[draws].
+    // Spent extra-draw cards aren't received, shared in proportion to their odds.
+    const extraDrawProbability = [...probabilities.entries()]
+      .filter(([card]) => CardRegistry.getExtraDraws(card) > 0)
+      .reduce((sum, [, probability]) => sum + probability, 0);
+    for (const [card, probability] of probabilities.entries()) {
+      let expected = probability * chain.expectedDraws;
+      if (CardRegistry.getExtraDraws(card) > 0) {
+        expected -=
+          (chain.expectedMischiefSpent * probability) / extraDrawProbability;
+      }
+      result.expectedCards.set(card, expected);
+      result.expectedTotal += expected;
+    }
+
+    const curseCards = [...probabilities.keys()].filter((card) =>
+      CardEffects.isCurse(card)
+    );
+    for (const card of curseCards) {
+      result.curses.set(
+        card,
+        this.appearanceProbability(probabilities, count, useMischief, [card])
+      );
+    }
+    result.anyCurse = this.appearanceProbability(
+      probabilities,
+      count,
+      useMischief,
+      curseCards
+    );
+    result.isolation = this.appearanceProbability(
+      probabilities,
+      count,
+      useMischief,
+      [...probabilities.keys()].filter((card) =>
+        CardRegistry.stopsDrawing(card)
+      )
+    );
+
+    return result;
+  }
+
+  /**
+   * Gets the probability of drawing each card on a single draw
+   * @param {Array<string>} deck - Card names in the deck
+   * @returns {Map<string, number>} Card name to probability
+   */
+  static cardProbabilities(deck) {
+    const probabilities = new Map();
+    if (!deck || deck.length === 0) {
+      return probabilities;
+    }
+    for (const [card, copies] of CardEffects.countCards(deck).entries()) {
+      probabilities.set(card, copies / deck.length);
+    }
+    return probabilities;
+  }
+
+  /**
+   * Probability that at least one of the given cards is received
+   * Runs the chain with those cards removed: the mass that survives never drew them
+   * @param {Map<string, number>} probabilities - Per-draw card probabilities
+   * @param {number} count - Number of declared draws
+   * @param {boolean} useMischief - Spend every Mischief on extra draws
+   * @param {Array<string>} cards - Cards to look for
+   * @returns {number} Probability of receiving at least one of them
+   */
+  static appearanceProbability(probabilities, count, useMischief, cards) {
+    if (cards.length === 0) {
+      return 0;
+    }
+    const avoided = this.runChain(
+      probabilities,
+      count,
+      useMischief,
+      new Set(cards)
+    );
+    let survivingMass = avoided.truncated;
+    for (const mass of avoided.totals.values()) {
+      survivingMass += mass;
+    }
+    return Math.min(1, Math.max(0, 1 - survivingMass));
+  }
+
+  /**
+   * Runs the draw Markov chain
+   * State: declared draws left, Mystery redraws owed, Mischief batch draws left,
+   * unspent Mischief cards, cards received so far
+   * @param {Map<string, number>} probabilities - Per-draw card probabilities
+   * @param {number} count - Number of declared draws
+   * @param {boolean} useMischief - Spend every Mischief on extra draws
+   * @param {Set<string>} [excluded] - Cards whose draws are dropped from the chain
+   * @returns {{totals: Map<number, number>, expectedDraws: number, expectedMischiefSpent: number, truncated: number}}
+   */
+  static runChain(probabilities, count, useMischief, excluded = new Set()) {
+    let pIsolation = 0;
+    let pMystery = 0;
+    let pMischief = 0;
+    let pOther = 0;
+    let mischiefExtraDraws = 0;
+    for (const [card, probability] of probabilities.entries()) {
+      if (excluded.has(card)) continue;
+      const extraDraws = CardRegistry.getExtraDraws(card);
+      if (CardRegistry.stopsDrawing(card)) {
+        pIsolation += probability;
+      } else if (CardRegistry.redraws(card)) {
+        pMystery += probability;
+      } else if (extraDraws > 0) {
+        pMischief += probability;
+        mischiefExtraDraws = Math.max(mischiefExtraDraws, extraDraws);
+      } else {
+        pOther += probability;
+      }
+    }
+
+    const totals = new Map();
+    let expectedDraws = 0;
+    let expectedMischiefSpent = 0;
+    let truncated = 0;
+    const finish = (received, mass) => {
+      if (mass <= 0) return;
+      totals.set(received, (totals.get(received) || 0) + mass);
+    };
+
+    let states = new Map();
+    const add = (map, state, mass) => {
+      if (mass < MIN_STATE_MASS) {
+        truncated += mass;
+        return;
+      }
+      const key = state.join(",");
+      const entry = map.get(key);
+      if (entry) {
+        entry.mass += mass;
+      } else {
+        map.set(key, { state, mass });
+      }
+    };
+    add(states, [count, 0, 0, 0, 0], 1);
+
+    for (let step = 0; step < MAX_CHAIN_STEPS && states.size > 0; step++) {
+      const next = new Map();
+      for (const { state, mass } of states.values()) {
+        const [, , , mischief, received] = state;
+        let [declared, mystery, batch] = state;
+        const isDeclaredDraw = declared > 0;
+
+        if (isDeclaredDraw) {
+          declared -= 1;
+        } else if (mystery > 0) {
+          mystery -= 1;
+        } else if (batch > 0) {
+          batch -= 1;
+        } else if (useMischief && mischief > 0) {
+          // A spent Mischief is no longer received, and opens a batch of two
+          expectedMischiefSpent += mass;
+          add(
+            next,
+            [0, 0, mischiefExtraDraws, mischief - 1, received - 1],
+            mass
+          );
+          continue;
+        } else {
+          finish(received, mass);
+          continue;
+        }
+
+        // One card is drawn from this state
+        expectedDraws += mass;
+        const drawn = received + 1;
+        finish(drawn, mass * pIsolation);
+        add(next, [declared, mystery, batch, mischief, drawn], mass * pOther);
+        add(
+          next,
+          [
+            declared,
+            isDeclaredDraw ? mystery + 1 : mystery,
+            batch,
+            mischief,
+            drawn,
+          ],
+          mass * pMystery
+        );
+        add(
+          next,
+          [
+            declared,
+            mystery,
+            batch,
+            useMischief ? mischief + 1 : mischief,
+            drawn,
+          ],
+          mass * pMischief
+        );
+      }
+      states = next;
+    }
+
+    for (const { mass } of states.values()) {
+      truncated += mass;
+    }
+
+    return { totals, expectedDraws, expectedMischiefSpent, truncated };
+  }
+}
@@ -0,0 +1,217 @@
+import { CardRegistry } from "./CardRegistry.js";
+
+/**
+ * Types of entries in a draw session event log
+ */
+export const DRAW_EVENTS = {
+  DECLARED: "declared", // One of the declared draws
+  MYSTERY: "mystery", // Extra card drawn to replace a Mystery (REDRAW card)
+  MISCHIEF: "mischief", // Extra card granted by spending a Mischief (EXTRA card); source is its index
+  STOP: "stop", // A STOP card (Isolation, the Void, Donjon) stopped the draw
+};
+
+// Event types of older history entries and links, by the type now used
+const LEGACY_EVENT_TYPES = {
+  isolation: DRAW_EVENTS.STOP,
+};
+
+/**
+ * Pure draw-resolution rules, free of DOM and rendering concerns
+ * Cards are sampled with replacement from a deck array using the given RNG, or taken
+ * from a deck object with drawCard(rng) and isEmpty() (a DeckManager in physical
+ * deck mode). Special behaviors come from the card definitions (see DRAW_BEHAVIORS).
+ */
+export class DrawSession {
+  /**
+   * Resolves a declared draw: truncation by STOP cards and Mystery redraws
+   * Mystery redraws ignore the max draw limit
+   * @param {Array<string>|Object} deck - Card names to sample from, or a deck object
+   * @param {number} count - Number of declared draws
+   * @param {{randomInt: Function}} rng - Random generator
+   * @returns {{cards: Array<string>, events: Array<Object>}} Final cards and ordered event log
+   */
+  static resolveDraw(deck, count, rng) {
+    const cards = [];
+    const events = [];
+    if (this.isEmptyDeck(deck)) {
+      return { cards, events };
+    }
+
+    for (let draw = 1; draw <= count; draw++) {
+      const card = this.drawCard(deck, rng);
+      cards.push(card);
+      events.push({ type: DRAW_EVENTS.DECLARED, card, draw });
+      if (CardRegistry.stopsDrawing(card)) {
+        events.push({ type: DRAW_EVENTS.STOP, skipped: count - draw });
+        return { cards, events };
+      }
+    }
+
+    // Each Mystery from the declared draws is replaced by one extra draw
+    const mysteryIndexes = [];
+    cards.forEach((card, index) => {
+      if (CardRegistry.redraws(card)) {
+        mysteryIndexes.push(index);
+      }
+    });
+
+    for (let i = 0; i < mysteryIndexes.length; i++) {
+      const card = this.drawCard(deck, rng);
+      cards.push(card);
+      events.push({
+        type: DRAW_EVENTS.MYSTERY,
+        card,
+        source: mysteryIndexes[i],
+      });
+      if (CardRegistry.stopsDrawing(card)) {
+        events.push({
+          type: DRAW_EVENTS.STOP,
+          skipped: mysteryIndexes.length - i - 1,
+        });
+        break;
+      }
+    }
+
+    return { cards, events };
+  }
+
+  /**
+   * Resolves a Mischief draw: spends a Mischief and draws its extra cards
+   * The spent Mischief stays in the spread; the MISCHIEF events record its index.
+   * Nothing happens once a STOP card has been drawn, or if the Mischief is already spent.
+   * @param {Array<string>} cards - Cards drawn so far
+   * @param {Array<string>|Object} deck - Card names to sample from, or a deck object
+   * @param {{randomInt: Function}} rng - Random generator
+   * @param {Array<Object>} [events] - Events so far, to tell spent Mischief cards apart
+   * @param {number} [source] - Index of the Mischief to spend (defaults to the first unspent one)
+   * @returns {{cards: Array<string>, events: Array<Object>}} New card list and events of this step
+   */
+  static resolveMischiefDraw(cards, deck, rng, events = [], source = null) {
+    const unspent = this.getUnspentExtraDrawIndexes(cards, events);
+    const spentIndex = source ?? unspent[0];
+    if (
+      this.isStopped(cards) ||
+      !unspent.includes(spentIndex) ||
+      this.isEmptyDeck(deck)
+    ) {
+      return { cards: [...cards], events: [] };
+    }
+
+    const nextCards = [...cards];
+    const extraDraws = CardRegistry.getExtraDraws(nextCards[spentIndex]);
+
+    const newEvents = [];
+    for (let i = 0; i < extraDraws; i++) {
+      const card = this.drawCard(deck, rng);
+      nextCards.push(card);
+      newEvents.push({ type: DRAW_EVENTS.MISCHIEF, card, source: spentIndex });
+      if (CardRegistry.stopsDrawing(card)) {
+        newEvents.push({
+          type: DRAW_EVENTS.STOP,
+          skipped: extraDraws - i - 1,
+        });
+        break;
+      }
+    }
+
+    return { cards: nextCards, events: newEvents };
+  }
+
+  /**
+   * Checks whether a Mischief draw is still available
+   * @param {Array<string>} cards - Cards drawn so far
+   * @param {Array<Object>} [events] - Events so far, to tell spent Mischief cards apart
+   * @returns {boolean} True if an unspent Mischief can be spent on extra draws
+   */
+  static canMischiefDraw(cards, events = []) {
+    return (
+      !this.isStopped(cards) &&
+      this.getUnspentExtraDrawIndexes(cards, events).length > 0
+    );
+  }
+
+  /**
+   * Gets the indexes of the Mischief cards spent on extra draws
+   * @param {Array<Object>} events - Draw events
+   * @returns {Set<number>} Indexes into the drawn cards
+   */
+  static getSpentIndexes(events) {
+    return new Set(
+      events
+        .filter((event) => event.type === DRAW_EVENTS.MISCHIEF)
+        .map((event) => event.source)
+    );
+  }
+
+  /**
+   * Gets the indexes of the extra-draw cards not spent yet
+   * @param {Array<string>} cards - Cards drawn so far
+   * @param {Array<Object>} events - Draw events
+   * @returns {Array<number>} Indexes into the drawn cards, in draw order
+   */
+  static getUnspentExtraDrawIndexes(cards, events) {
+    const spent = this.getSpentIndexes(events);
+    return cards
+      .map((card, index) => index)
+      .filter(
+        (index) =>
+          CardRegistry.getExtraDraws(cards[index]) > 0 && !spent.has(index)
+      );
+  }
+
+  /**
+   * Gets the cards whose effects were received: all but the spent Mischief cards
+   * @param {Array<string>} cards - Drawn cards
+   * @param {Array<Object>} events - Draw events
+   * @returns {Array<string>} Received cards
+   */
+  static getReceivedCards(cards, events) {
+    const spent = this.getSpentIndexes(events);
+    return cards.filter((card, index) => !spent.has(index));
+  }
+
+  /**
+   * Checks whether drawing has been stopped by a STOP card
+   * @param {Array<string>} cards - Cards drawn so far
+   * @returns {boolean} True if a STOP card such as Isolation has been drawn
+   */
+  static isStopped(cards) {
+    return cards.some((card) => CardRegistry.stopsDrawing(card));
+  }
+
+  /**
+   * Renames the event types of stored draws to the current ones
+   * @param {Array<Object>} events - Draw events, possibly from an older version
+   * @returns {Array<Object>} Events with current types
+   */
+  static upgradeEvents(events) {
+    return events.map((event) =>
+      Object.hasOwn(LEGACY_EVENT_TYPES, event?.type)
+        ? { ...event, type: LEGACY_EVENT_TYPES[event.type] }
+        : event
+    );
+  }
+
+  /**
+   * Checks whether there is nothing to draw from
+   * @param {Array<string>|Object} deck - Card names, or a deck object
+   * @returns {boolean} True if no card can be drawn
+   */
+  static isEmptyDeck(deck) {
+    if (!deck) return true;
+    return Array.isArray(deck) ? deck.length === 0 : deck.isEmpty();
+  }
+
+  /**
+   * Draws one card (sampling with replacement from an array)
+   * @param {Array<string>|Object} deck - Card names to sample from, or a deck object
+   * @param {{randomInt: Function}} rng - Random generator
+   * @returns {string} Drawn card name
+   */
+  static drawCard(deck, rng) {
+    if (!Array.isArray(deck)) {
+      return deck.drawCard(rng);
+    }
+    return deck[rng.randomInt(0, deck.length - 1)];
+  }
+}
@@ -0,0 +1,267 @@
+import { CardEffects } from "./CardEffects.js";
+import { CardRegistry } from "./CardRegistry.js";
+import { CHOICE_TYPES } from "../data/cardTypes.js";
+import { EFFECT_LINES } from "../constants.js";
+import {
+  fillSlots,
+  formatRollFaces,
+  segmentsToText,
+} from "../utils/diceRoller.js";
+
+/**
+ * Exportable summary of a draw's effects for campaign notes
+ *
+ * The summary is built from the card definitions and the draw's state (choices, rolls,
+ * curse resolutions, loot), not from the effects panel, so the JSON document carries
+ * the structured records. Effect lines are the panel's (see CardEffects.getLines): dice
+ * are replaced by their totals once rolled.
+ */
+export class EffectsSummary {
+  /**
+   * Builds the summary of a draw
+   * @param {Object} draw - Cards and state, like a DrawHistory entry: {cards, seed,
+   *   selections, dice, resolutions, loot}
+   * @returns {{seed: number|null, cards: Array<string>, effects: Array<Object>,
+   *   curses: Array<Object>}} Card names in draw order, and one entry per effect
+   *   (see buildEntry)
+   */
+  static build(draw) {
+    const { regular, curses } = CardEffects.calculateEffects(draw.cards);
+    return {
+      seed: draw.seed ?? null,
+      cards: draw.cards.map((card) => CardRegistry.getName(card)),
+      effects: regular.map((effect) => this.buildEntry(effect, draw)),
+      curses: curses.map((effect) => this.buildEntry(effect, draw)),
+    };
+  }
+
+  /**
+   * Builds the summary of one effect
+   * @param {Object} effect - Effect object from CardEffects.calculateEffects
+   * @param {Object} draw - Draw state (see build)
+   * @returns {Object} {card, name, count, curse, lines, records, duration, rolls,
+   *   resistances, reward, extraDraws, loot, resolution}; fields a card doesn't use are
+   *   null (or empty)
+   */
+  static buildEntry(effect, draw) {
+    const { card, count } = effect;
+    const isCurse = effect.effect.isCurse;
+    const selections = draw.selections?.[card] ?? [];
+    const choice = isCurse ? null : effect.effect.choice;
+    const isExtraDraw = !isCurse && CardRegistry.getExtraDraws(card) > 0;
+    const remaining = CardEffects.countUnspentCopies(card, count, selections);
+    // Copies spent on extra draws no longer give their reward
+    const shown =
+      remaining > 0 && remaining < count
+        ? CardEffects.getEffect(card, remaining)
+        : effect.effect;
+
+    const resistances =
+      choice?.type === CHOICE_TYPES.RESISTANCE
+        ? CardEffects.getResistances(choice, selections)
+        : [];
+    const reward =
+      choice?.type === CHOICE_TYPES.REWARD
+        ? CardEffects.getReward(choice, selections[0] ?? null, count)
+        : null;
+
+    // The lines the panel shows for this effect; resistance lines follow the effect's
+    const lines = CardEffects.getLines(effect, selections);
+    const resistanceLines = lines.filter(
+      (line) => line.kind === EFFECT_LINES.RESISTANCE
+    );
+    const rolls = draw.dice?.[card] ?? null;
+    const lootQuantity = CardEffects.getLootQuantity(card, remaining);
+    const resolution = draw.resolutions?.[card] ?? null;
+
+    return {
+      card,
+      name: CardRegistry.getName(card),
+      count,
+      curse: isCurse,
+      lines: lines.map((line) =>
+        segmentsToText(fillSlots(line.segments, rolls))
+      ),
+      records: remaining > 0 ? shown.records : [],
+      duration: remaining > 0 ? shown.duration : null,
+      rolls: this.getRolls(rolls ?? []),
+      resistances: resistances.map((resistance, index) => ({
+        damageType: resistance.damageType,
+        dice: resistance.dice,
+        unit: resistance.unit,
+        rolled: rolls?.[resistanceLines[index].duration.roll]?.total ?? null,
+      })),
+      reward: reward && {
+        type: reward.type,
+        label: reward.label,
+        quantity: reward.quantity,
+        worth: reward.worth,
+        total: reward.total,
+      },
+      extraDraws: isExtraDraw
+        ? Array.from({ length: count }, (_, index) => ({
+            decision: selections[index] ?? null,
+            text: CardEffects.describeExtraDrawDecision(
+              card,
+              selections[index] ?? null
+            ),
+          }))
+        : null,
+      loot:
+        lootQuantity > 0
+          ? {
+              quantity: lootQuantity,
+              items: (draw.loot?.[card] ?? []).slice(0, lootQuantity),
+            }
+          : null,
+      resolution: resolution && {
+        resolved: resolution.resolved,
+        success: resolution.success,
+        text: resolution.text,
+      },
+    };
+  }
+
+  /**
+   * Lists the rolls made for an effect
+   * @param {Array<Object|null>} rolls - Rolls by slot index (see DiceRollHandler.rollEffect)
+   * @returns {Array<{expression: string, total: number, text: string}>} Rolls with their
+   *   breakdown, e.g. "4d10 → [7, 2, 9, 4] = 22"
+   */
+  static getRolls(rolls) {
+    return rolls.filter(Boolean).map((roll) => ({
+      expression: roll.expression,
+      total: roll.total,
+      text: `${formatRollFaces(roll)} = ${roll.total}`,
+    }));
+  }
+
+  /**
+   * Gets the title of an entry
+   * @param {Object} entry - Summary entry
+   * @returns {string} E.g. "Knife (x2)"
+   */
+  static getTitle(entry) {
+    return entry.count > 1 ? `${entry.name} (x${entry.count})` : entry.name;
+  }
+
+  /**
+   * Gets the details listed under an entry's lines
+   * @param {Object} entry - Summary entry
+   * @returns {Array<string>} E.g. "Rolls: 1d4 → [3] = 3", "Loot: Dagger (1 of 2 rolled)"
+   */
+  static getDetails(entry) {
+    const details = [];
+    entry.extraDraws?.forEach((copy, index) => {
+      details.push(`${entry.name} ${index + 1}: ${copy.text}`);
+    });
+    if (entry.loot) {
+      const { items, quantity } = entry.loot;
+      details.push(
+        items.length === quantity
+          ? `Loot: ${items.join(", ")}`
+          : `Loot: ${items.length > 0 ? `${items.join(", ")} ` : ""}(${items.length} of ${quantity} rolled)`
+      );
+    }
+    if (entry.rolls.length > 0) {
+      details.push(`Rolls: ${entry.rolls.map((roll) => roll.text).join("; ")}`);
+    }
+    if (entry.curse) {
+      details.push(
+        entry.resolution?.resolved
+          ? `Resolved: ${entry.resolution.text}`
+          : `Unresolved${entry.resolution ? ` (${entry.resolution.text})` : ""}`
+      );
+    }
+    return details;
+  }
+
+  /**
+   * Gets one caption per effect for the spread image
+   * @param {Object} summary - Summary from build
+   * @returns {Array<{title: string, text: string, curse: boolean}>} Effects, then curses;
+   *   the text is the effect lines with Mischief decisions, loot and how a curse ended
+   */
+  static toCaptions(summary) {
+    return [...summary.effects, ...summary.curses].map((entry) => ({
+      title: this.getTitle(entry),
+      curse: entry.curse,
+      text: [
+        ...entry.lines,
+        ...(entry.extraDraws ?? []).map(
+          (copy, index) => `${entry.name} ${index + 1}: ${copy.text}`
+        ),
+        entry.loot?.items.length > 0
+          ? `Loot: ${entry.loot.items.join(", ")}`
+          : null,
+        entry.resolution?.resolved ? entry.resolution.text : null,
+      ]
+        .filter(Boolean)
+        .join(" · "),
+    }));
+  }
+
+  /**
+   * Formats a summary as Markdown
+   * @param {Object} summary - Summary from build
+   * @returns {string} Markdown document
+   */
+  static toMarkdown(summary) {
+    const out = ["# Wonder Shuffle Effects", ""];
+    out.push(`**Cards drawn:** ${summary.cards.join(", ")}`);
+    if (summary.seed !== null) {
+      out.push(`**Seed:** ${summary.seed}`);
+    }
+    [
+      ["Effects", summary.effects],
+      ["Curses", summary.curses],
+    ].forEach(([heading, entries]) => {
+      if (entries.length === 0) return;
+      out.push("", `## ${heading}`);
+      entries.forEach((entry) => {
+        out.push("", `### ${this.getTitle(entry)}`, "");
+        entry.lines.forEach((line) => out.push(line, ""));
+        this.getDetails(entry).forEach((detail) => out.push(`- ${detail}`));
+      });
+    });
+    return `${out
+      .join("\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim()}\n`;
+  }
+
+  /**
+   * Formats a summary as plain text
+   * @param {Object} summary - Summary from build
+   * @returns {string} Plain text document
+   */
+  static toPlainText(summary) {
+    const out = ["WONDER SHUFFLE EFFECTS", ""];
+    out.push(`Cards drawn: ${summary.cards.join(", ")}`);
+    if (summary.seed !== null) {
+      out.push(`Seed: ${summary.seed}`);
+    }
+    [
+      ["EFFECTS", summary.effects],
+      ["CURSES", summary.curses],
+    ].forEach(([heading, entries]) => {
+      if (entries.length === 0) return;
+      out.push("", heading);
+      entries.forEach((entry) => {
+        out.push("", this.getTitle(entry));
+        entry.lines.forEach((line) => out.push(`  ${line}`));
+        this.getDetails(entry).forEach((detail) => out.push(`  * ${detail}`));
+      });
+    });
+    return `${out.join("\n")}\n`;
+  }
+
+  /**
+   * Formats a summary as a JSON document
+   * @param {Object} summary - Summary from build
+   * @returns {string} Indented JSON
+   */
+  static toJSON(summary) {
+    return `${JSON.stringify(summary, null, 2)}\n`;
+  }
+}
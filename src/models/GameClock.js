@@ -0,0 +1,93 @@
+import { CLOCK_CONFIG, DURATION_TYPES } from "../constants.js";
+
+/**
+ * In-game session clock: minutes elapsed and long rests taken
+ * Effects remember the time they started (see getTime) and expire against it.
+ */
+export class GameClock {
+  constructor() {
+    this.minutes = 0;
+    this.longRests = 0;
+  }
+
+  /**
+   * Gets the current time
+   * @returns {{minutes: number, longRests: number}} Minutes elapsed and long rests taken
+   */
+  getTime() {
+    return { minutes: this.minutes, longRests: this.longRests };
+  }
+
+  /**
+   * Moves the clock forward
+   * @param {number} minutes - Minutes to advance
+   * @returns {boolean} True if the time was advanced
+   */
+  advance(minutes) {
+    if (!Number.isInteger(minutes) || minutes <= 0) {
+      console.error(`Invalid time to advance: ${minutes}`);
+      return false;
+    }
+    this.minutes += minutes;
+    return true;
+  }
+
+  /**
+   * Takes a long rest, which also takes its time
+   */
+  longRest() {
+    this.longRests += 1;
+    this.minutes += CLOCK_CONFIG.LONG_REST_MINUTES;
+  }
+
+  /**
+   * Gets how an effect stands at the current time
+   * @param {Object} duration - Effect duration (see utils/durations.js)
+   * @param {{minutes: number, longRests: number}} start - Time the effect started
+   * @returns {{expired: boolean, remaining: number|null}} Whether it expired, and the
+   *   minutes left for timed effects
+   */
+  getStatus(duration, start) {
+    if (duration.type === DURATION_TYPES.TIME) {
+      const remaining = duration.minutes - (this.minutes - start.minutes);
+      return { expired: remaining <= 0, remaining: Math.max(remaining, 0) };
+    }
+    if (duration.type === DURATION_TYPES.LONG_REST) {
+      return { expired: this.longRests > start.longRests, remaining: null };
+    }
+    // Dice still to roll: the effect can't run out yet
+    return { expired: false, remaining: null };
+  }
+
+  /**
+   * Describes the current time
+   * @returns {string} E.g. "Day 2, 14:30 (1 long rest)"
+   */
+  format() {
+    const day = Math.floor(this.minutes / CLOCK_CONFIG.UNIT_MINUTES.day) + 1;
+    const minuteOfDay = this.minutes % CLOCK_CONFIG.UNIT_MINUTES.day;
+    const hours = String(Math.floor(minuteOfDay / 60)).padStart(2, "0");
+    const minutes = String(minuteOfDay % 60).padStart(2, "0");
+    const rests = `${this.longRests} long rest${this.longRests === 1 ? "" : "s"}`;
+    return `Day ${day}, ${hours}:${minutes} (${rests})`;
+  }
+
+  /**
+   * Formats a number of minutes
+   * @param {number} minutes - Minutes
+   * @returns {string} E.g. "1 day 2 hours 5 minutes"
+   */
+  static formatMinutes(minutes) {
+    const parts = [];
+    let rest = minutes;
+    for (const unit of ["day", "hour", "minute"]) {
+      const size = CLOCK_CONFIG.UNIT_MINUTES[unit];
+      const amount = Math.floor(rest / size);
+      rest -= amount * size;
+      if (amount > 0) {
+        parts.push(`${amount} ${unit}${amount === 1 ? "" : "s"}`);
+      }
+    }
+    return parts.length > 0 ? parts.join(" ") : "0 minutes";
+  }
+}
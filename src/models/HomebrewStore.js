@@ -0,0 +1,95 @@
+import { HOMEBREW_CONFIG } from "../constants.js";
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Persists homebrew card definitions in IndexedDB
+ * Images are stored inline as data URLs so a definition is self-contained.
+ */
+export class HomebrewStore {
+  static databasePromise = null;
+
+  /**
+   * Checks whether IndexedDB is available in this browser
+   * @returns {boolean} True if homebrew cards can be stored
+   */
+  static isAvailable() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  /**
+   * Opens (and creates or upgrades) the database once
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  static openDatabase() {
+    if (!this.databasePromise) {
+      const request = indexedDB.open(
+        HOMEBREW_CONFIG.DB_NAME,
+        HOMEBREW_CONFIG.DB_VERSION
+      );
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(HOMEBREW_CONFIG.STORE_NAME)) {
+          database.createObjectStore(HOMEBREW_CONFIG.STORE_NAME, {
+            keyPath: "id",
+          });
+        }
+      };
+      this.databasePromise = promisifyRequest(request).catch((error) => {
+        this.databasePromise = null;
+        throw error;
+      });
+    }
+    return this.databasePromise;
+  }
+
+  /**
+   * Runs one request against the card store
+   * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+   * @param {Function} makeRequest - Receives the object store and returns a request
+   * @returns {Promise<*>} Request result
+   */
+  static async run(mode, makeRequest) {
+    const database = await this.openDatabase();
+    const transaction = database.transaction(HOMEBREW_CONFIG.STORE_NAME, mode);
+    return promisifyRequest(
+      makeRequest(transaction.objectStore(HOMEBREW_CONFIG.STORE_NAME))
+    );
+  }
+
+  /**
+   * Loads all stored homebrew card definitions
+   * @returns {Promise<Array<Object>>} Card definitions
+   */
+  static async getAll() {
+    return this.run("readonly", (store) => store.getAll());
+  }
+
+  /**
+   * Saves (or replaces) a homebrew card definition
+   * @param {Object} definition - Card definition with an id
+   * @returns {Promise<void>}
+   */
+  static async save(definition) {
+    await this.run("readwrite", (store) => store.put(definition));
+  }
+
+  /**
+   * Deletes a homebrew card definition
+   * @param {string} cardId - Card id
+   * @returns {Promise<void>}
+   */
+  static async delete(cardId) {
+    await this.run("readwrite", (store) => store.delete(cardId));
+  }
+}
@@ -0,0 +1,183 @@
+import { LOOT_CONFIG } from "../constants.js";
+import { DEFAULT_LOOT_TABLES } from "../data/lootTables.js";
+import { getStorage } from "../utils/storage.js";
+
+/**
+ * Weighted loot tables the DM can edit, persisted in localStorage
+ * Tables start from DEFAULT_LOOT_TABLES; edited tables replace them by id.
+ */
+export class LootTables {
+  constructor() {
+    this.tables = this.load();
+  }
+
+  /**
+   * Reads the stored tables, falling back to the defaults for missing or corrupt data
+   * @returns {Array<Object>} Tables
+   */
+  load() {
+    const defaults = structuredClone(DEFAULT_LOOT_TABLES);
+    const storage = getStorage();
+    if (!storage) {
+      return defaults;
+    }
+    try {
+      const stored = storage.getItem(LOOT_CONFIG.STORAGE_KEY);
+      return stored ? LootTables.normalizeAll(JSON.parse(stored)) : defaults;
+    } catch (error) {
+      console.error("Failed to read loot tables:", error);
+      return defaults;
+    }
+  }
+
+  /**
+   * Writes the tables to localStorage
+   */
+  persist() {
+    const storage = getStorage();
+    if (!storage) {
+      return;
+    }
+    try {
+      storage.setItem(LOOT_CONFIG.STORAGE_KEY, JSON.stringify(this.tables));
+    } catch (error) {
+      console.error("Failed to save loot tables:", error);
+    }
+  }
+
+  /**
+   * Gets all tables
+   * @returns {Array<Object>} Tables
+   */
+  getTables() {
+    return this.tables;
+  }
+
+  /**
+   * Gets one table
+   * @param {string} id - Table id
+   * @returns {Object|null} Table, or null if not found
+   */
+  get(id) {
+    return this.tables.find((table) => table.id === id) ?? null;
+  }
+
+  /**
+   * Saves an edited table (replacing the one with its id)
+   * @param {Object} table - Table to save
+   * @returns {Object} The validated table
+   * @throws {Error} If the table is invalid
+   */
+  save(table) {
+    const normalized = LootTables.normalize(table);
+    const index = this.tables.findIndex((entry) => entry.id === normalized.id);
+    if (index >= 0) {
+      this.tables[index] = normalized;
+    } else {
+      this.tables.push(normalized);
+    }
+    this.persist();
+    return normalized;
+  }
+
+  /**
+   * Replaces every table (from an imported file)
+   * @param {*} data - Parsed JSON: an array of tables
+   * @throws {Error} If a table is invalid
+   */
+  replaceAll(data) {
+    this.tables = LootTables.normalizeAll(data);
+    this.persist();
+  }
+
+  /**
+   * Restores the default tables
+   */
+  reset() {
+    this.tables = structuredClone(DEFAULT_LOOT_TABLES);
+    this.persist();
+  }
+
+  /**
+   * Serializes the tables for export
+   * @returns {string} Pretty-printed JSON
+   */
+  toJSON() {
+    return JSON.stringify(this.tables, null, 2);
+  }
+
+  /**
+   * Validates a list of tables
+   * @param {*} data - Candidate tables
+   * @returns {Array<Object>} Validated tables
+   * @throws {Error} If the list or one of its tables is invalid
+   */
+  static normalizeAll(data) {
+    if (!Array.isArray(data)) {
+      throw new Error("Loot tables must be a JSON array");
+    }
+    const tables = data.map((table) => LootTables.normalize(table));
+    const ids = new Set(tables.map((table) => table.id));
+    if (ids.size !== tables.length) {
+      throw new Error("Loot table ids must be unique");
+    }
+    return tables;
+  }
+
+  /**
+   * Validates a table
+   * @param {*} data - Candidate table
+   * @returns {Object} {id, name, entries: [{item, weight}]}
+   * @throws {Error} If the table is invalid
+   */
+  static normalize(data) {
+    if (!data || typeof data !== "object") {
+      throw new Error("A loot table must be an object");
+    }
+    const id = typeof data.id === "string" ? data.id.trim() : "";
+    if (!id) {
+      throw new Error("A loot table needs an id");
+    }
+    const name =
+      typeof data.name === "string" && data.name.trim() ? data.name.trim() : id;
+    if (!Array.isArray(data.entries) || data.entries.length === 0) {
+      throw new Error(`${name} needs at least one entry`);
+    }
+    if (data.entries.length > LOOT_CONFIG.MAX_ENTRIES) {
+      throw new Error(
+        `${name} has more than ${LOOT_CONFIG.MAX_ENTRIES} entries`
+      );
+    }
+    const entries = data.entries.map((entry, index) => {
+      const item = typeof entry?.item === "string" ? entry.item.trim() : "";
+      if (!item) {
+        throw new Error(`${name}: entry ${index + 1} needs an item`);
+      }
+      if (!Number.isInteger(entry.weight) || entry.weight < 1) {
+        throw new Error(
+          `${name}: weight of ${item} must be a whole number of 1 or more`
+        );
+      }
+      return { item, weight: entry.weight };
+    });
+    return { id, name, entries };
+  }
+
+  /**
+   * Picks an entry of a table, weighted
+   * @param {Object} table - Loot table
+   * @param {{randomInt: Function}} rng - Random generator
+   * @returns {string} Picked item
+   */
+  static roll(table, rng) {
+    const total = table.entries.reduce((sum, entry) => sum + entry.weight, 0);
+    let pick = rng.randomInt(1, total);
+    for (const entry of table.entries) {
+      pick -= entry.weight;
+      if (pick <= 0) {
+        return entry.item;
+      }
+    }
+    return table.entries[table.entries.length - 1].item;
+  }
+}
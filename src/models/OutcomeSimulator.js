@@ -0,0 +1,116 @@
+import { DrawSession, DRAW_EVENTS } from "./DrawSession.js";
+import { CardEffects } from "./CardEffects.js";
+import { createStream, RNG_STREAMS } from "../utils/rng.js";
+
+/**
+ * Safety cap on Mischief draws per simulated draw (each one can chain into more)
+ */
+const MAX_MISCHIEF_DRAWS = 100;
+
+/**
+ * Monte Carlo simulation of draw outcomes for a deck configuration
+ * Uses the same rules as the game through DrawSession
+ */
+export class OutcomeSimulator {
+  /**
+   * Simulates many draws and aggregates their outcomes
+   * @param {Array<string>} deck - Card names to sample from
+   * @param {number} count - Number of declared draws
+   * @param {Object} options - Simulation options
+   * @param {number} options.iterations - Number of simulated draws
+   * @param {number} options.seed - Seed for the simulation stream
+   * @param {boolean} [options.useMischief=false] - Spend every extra-draw card (Mischief, Jester) on its extra draws
+   * @returns {Object} Aggregated statistics (see createStats)
+   */
+  static simulate(deck, count, { iterations, seed, useMischief = false }) {
+    const rng = createStream(seed, RNG_STREAMS.SIMULATION);
+    const stats = this.createStats(deck, count, iterations, useMischief);
+    if (!deck || deck.length === 0 || iterations <= 0) {
+      return stats;
+    }
+
+    const curses = new Set(deck.filter((card) => CardEffects.isCurse(card)));
+
+    for (let i = 0; i < iterations; i++) {
+      let { cards, events } = DrawSession.resolveDraw(deck, count, rng);
+
+      if (useMischief) {
+        for (let j = 0; j < MAX_MISCHIEF_DRAWS; j++) {
+          if (!DrawSession.canMischiefDraw(cards, events)) break;
+          const result = DrawSession.resolveMischiefDraw(
+            cards,
+            deck,
+            rng,
+            events
+          );
+          cards = result.cards;
+          events = [...events, ...result.events];
+        }
+      }
+
+      // Spent Mischief cards stay in the spread but aren't received, as in DrawProbability
+      this.recordOutcome(
+        stats,
+        DrawSession.getReceivedCards(cards, events),
+        events,
+        curses
+      );
+    }
+
+    return stats;
+  }
+
+  /**
+   * Creates an empty statistics object
+   * @param {Array<string>} deck - Card names to sample from
+   * @param {number} count - Number of declared draws
+   * @param {number} iterations - Number of simulated draws
+   * @param {boolean} useMischief - Whether Mischief draws were used
+   * @returns {Object} Statistics with zeroed counters
+   */
+  static createStats(deck, count, iterations, useMischief) {
+    const cards = {};
+    for (const card of new Set(deck || [])) {
+      cards[card] = { copies: 0, draws: 0 };
+    }
+    return {
+      count,
+      iterations,
+      useMischief,
+      cards, // per card: total copies received and number of draws containing it
+      curseDraws: 0, // draws with at least one curse
+      stopDraws: 0, // draws where a STOP card appeared
+      stopCuts: 0, // draws where a STOP card skipped remaining draws
+      totals: {}, // total cards received -> number of draws
+    };
+  }
+
+  /**
+   * Adds one simulated draw to the statistics
+   * @param {Object} stats - Statistics to update
+   * @param {Array<string>} cards - Final cards of the draw
+   * @param {Array<Object>} events - Event log of the draw
+   * @param {Set<string>} curses - Curse card names in the deck
+   */
+  static recordOutcome(stats, cards, events, curses) {
+    const counts = CardEffects.countCards(cards);
+    for (const [card, copies] of counts.entries()) {
+      stats.cards[card].copies += copies;
+      stats.cards[card].draws += 1;
+    }
+
+    if (cards.some((card) => curses.has(card))) {
+      stats.curseDraws += 1;
+    }
+
+    const stop = events.find((event) => event.type === DRAW_EVENTS.STOP);
+    if (stop) {
+      stats.stopDraws += 1;
+      if (stop.skipped > 0) {
+        stats.stopCuts += 1;
+      }
+    }
+
+    stats.totals[cards.length] = (stats.totals[cards.length] || 0) + 1;
+  }
+}
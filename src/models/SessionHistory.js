@@ -0,0 +1,80 @@
+import { UNDO_CONFIG } from "../constants.js";
+
+/**
+ * Undo and redo stacks of the live session
+ *
+ * A snapshot is whatever the caller needs to put the session back (see
+ * CardGame.captureSession); each one is labelled with the change made after it,
+ * e.g. "Mischief draw". Snapshots are kept in memory only.
+ */
+export class SessionHistory {
+  constructor() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Remembers the session before a change; the redo steps are dropped
+   * @param {string} label - Change about to be made
+   * @param {Object} snapshot - Session state before the change
+   */
+  record(label, snapshot) {
+    this.undoStack.push({ label, snapshot });
+    if (this.undoStack.length > UNDO_CONFIG.MAX_STEPS) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  /**
+   * Steps back to the snapshot before the last change
+   * @param {Object} current - Session state now, kept for redo
+   * @returns {Object|null} Snapshot to restore, or null if there is nothing to undo
+   */
+  undo(current) {
+    const step = this.undoStack.pop();
+    if (!step) {
+      return null;
+    }
+    this.redoStack.push({ label: step.label, snapshot: current });
+    return step.snapshot;
+  }
+
+  /**
+   * Makes the last undone change again
+   * @param {Object} current - Session state now, kept for undo
+   * @returns {Object|null} Snapshot to restore, or null if there is nothing to redo
+   */
+  redo(current) {
+    const step = this.redoStack.pop();
+    if (!step) {
+      return null;
+    }
+    this.undoStack.push({ label: step.label, snapshot: current });
+    return step.snapshot;
+  }
+
+  /**
+   * Gets the change the next undo takes back
+   * @returns {string|null} Label, or null if there is nothing to undo
+   */
+  getUndoLabel() {
+    return this.undoStack.at(-1)?.label ?? null;
+  }
+
+  /**
+   * Gets the change the next redo makes again
+   * @returns {string|null} Label, or null if there is nothing to redo
+   */
+  getRedoLabel() {
+    return this.redoStack.at(-1)?.label ?? null;
+  }
+
+  /**
+   * Forgets every step (e.g. after the deck changed)
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
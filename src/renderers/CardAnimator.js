@@ -1,5 +1,5 @@
 import { Graphics, Container } from "pixi.js";
-import { random } from "../utils/rng.js";
+import { getStream, RNG_STREAMS } from "../utils/rng.js";
 import { ANIMATION_CONSTANTS } from "../constants.js";
 
 /**
@@ -11,6 +11,15 @@ const ANIMATION_CONFIG = {
   GLITTER_COLORS: [0xffd700, 0xffed4e, 0xfff8dc, 0xffa500], // golden colors
 };
 
+/**
+ * Random number for purely visual purposes
+ * Uses its own stream so animations never shift the cards being drawn
+ * @returns {number} Random number between 0 and 1
+ */
+function random() {
+  return getStream(RNG_STREAMS.VISUAL).random();
+}
+
 /**
  * Handles card animation (flip, spin, glitter effects)
  */
@@ -76,6 +85,30 @@ export class CardAnimator {
     return container;
   }
 
+  /**
+   * Creates a card already face up at its resting place, without the flip animation
+   * @param {Sprite} frontSprite - Front card sprite
+   * @param {number} targetX - X position
+   * @param {number} targetY - Y position
+   * @param {number} targetScale - Scale (e.g., 0.25 for 25%)
+   * @returns {Container} Card container, hovering like an animated card once it lands
+   */
+  static createRestingCard(frontSprite, targetX, targetY, targetScale = 1.0) {
+    const container = new Container();
+    container.x = targetX;
+    container.y = targetY;
+    container.scale.set(targetScale);
+
+    const frontContainer = new Container();
+    frontContainer.addChild(frontSprite);
+    container.addChild(frontContainer);
+
+    container._animationComplete = true;
+    container._isAnimating = false;
+    this.startHoverAnimation(container);
+    return container;
+  }
+
   /**
    * Creates glitter particle graphics with starry, shiny appearance
    * @returns {Array<Graphics>} Array of glitter graphics
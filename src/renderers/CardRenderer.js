@@ -1,5 +1,11 @@
-import { Sprite, Container, Assets, SCALE_MODES } from "pixi.js";
+import { Sprite, Container, Assets, SCALE_MODES, Texture } from "pixi.js";
 import { CARD_CONFIG } from "../constants.js";
+import { CardRegistry } from "../models/CardRegistry.js";
+
+/**
+ * Placeholder art is drawn at this multiple of the card size so it stays sharp on hover
+ */
+const PLACEHOLDER_RESOLUTION = 2;
 
 /**
  * Handles rendering of individual tarot card images
@@ -120,7 +126,8 @@ export class CardRenderer {
   }
 
   /**
-   * Loads card texture from image file, using cache if available
+   * Loads card texture from image file (placeholder art for cards without one),
+   * using cache if available
    * @param {string} cardName - Name of the tarot card
    * @returns {Promise<Texture>} Loaded texture
    */
@@ -130,8 +137,17 @@ export class CardRenderer {
       return this.textureCache.get(cardName);
     }
 
+    const definition = CardRegistry.get(cardName);
+    const image = definition?.image;
+    // Cards without art, and unknown ones (a deleted homebrew card), get a placeholder
+    if (!definition || image === null) {
+      const texture = this.createPlaceholderTexture(cardName);
+      this.textureCache.set(cardName, texture);
+      return texture;
+    }
+
     try {
-      const imagePath = `/assets/images/${cardName}.png`;
+      const imagePath = image ?? `/assets/images/${cardName}.png`;
       const texture = await Assets.load(imagePath);
 
       // Enable linear filtering for smooth scaling (better anti-aliasing)
@@ -143,10 +159,54 @@ export class CardRenderer {
       return texture;
     } catch (error) {
       console.error(`Failed to load texture for card: ${cardName}`, error);
-      return null;
+      const texture = this.createPlaceholderTexture(cardName);
+      this.textureCache.set(cardName, texture);
+      return texture;
     }
   }
 
+  /**
+   * Draws placeholder art showing the card's name, for cards without an image
+   * @param {string} cardName - Name of the card
+   * @returns {Texture} Placeholder texture
+   */
+  createPlaceholderTexture(cardName) {
+    const width = this.cardWidth * PLACEHOLDER_RESOLUTION;
+    const height = this.cardHeight * PLACEHOLDER_RESOLUTION;
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext("2d");
+
+    const background = context.createLinearGradient(0, 0, width, height);
+    background.addColorStop(0, "#2b1d4a");
+    background.addColorStop(1, "#0d0a1a");
+    context.fillStyle = background;
+    context.fillRect(0, 0, width, height);
+
+    // Gold frame
+    const inset = width * 0.05;
+    context.strokeStyle = "#d4af37";
+    context.lineWidth = width * 0.012;
+    context.strokeRect(inset, inset, width - inset * 2, height - inset * 2);
+
+    context.fillStyle = "#f5e6b3";
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.font = `bold ${Math.round(width * 0.11)}px Georgia, serif`;
+    context.fillText(CardRegistry.getName(cardName), width / 2, height / 2);
+
+    return Texture.from(canvas);
+  }
+
+  /**
+   * Drops a cached card texture so the next load picks up a changed image
+   * @param {string} cardName - Name of the card
+   */
+  forgetCardTexture(cardName) {
+    this.textureCache.delete(cardName);
+  }
+
   /**
    * Preloads all card textures including backside
    * @returns {Promise<void>}
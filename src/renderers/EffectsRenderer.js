@@ -1,12 +1,26 @@
 import { CardEffects } from "../models/CardEffects.js";
+import { CardRegistry } from "../models/CardRegistry.js";
+import { CurseResolver } from "../models/CurseResolver.js";
+import { LootTables } from "../models/LootTables.js";
+import { DrawSession } from "../models/DrawSession.js";
+import { DrawHistory } from "../models/DrawHistory.js";
+import { CHOICE_TYPES, EXTRA_DRAW_DECISIONS } from "../data/cardTypes.js";
 import {
   renderStandardEffect,
-  renderChaosEffect,
-  renderOrderEffect,
-  renderCoinEffect,
-  renderMischiefEffect,
+  renderResistanceEffect,
+  renderRewardEffect,
+  renderExtraDrawEffect,
+  renderEffectDuration,
+  renderExpiredEffects,
+  renderCurseResolution,
+  renderPendingDecisions,
+  renderUnknownCards,
+  renderLootResults,
 } from "./effectRenderers/EffectRenderers.js";
 import { DiceRollHandler } from "./effectRenderers/DiceRollHandler.js";
+import { fromEffectDuration, combineDurations } from "../utils/durations.js";
+import { rollDiceExpression } from "../utils/diceRoller.js";
+import { getStream, RNG_STREAMS } from "../utils/rng.js";
 
 /**
  * Handles rendering of card effects in the DOM
@@ -15,22 +29,58 @@ export class EffectsRenderer {
   constructor() {
     this.effectsDisplay = null;
     this.effectsList = null;
-    this.chaosSelections = [];
-    this.orderSelections = [];
-    this.coinSelection = "jewelry";
+    // Card id -> selected option values (one per copy for RESISTANCE, one for REWARD,
+    // one EXTRA_DRAW_DECISIONS value per copy of an EXTRA card), null while undecided
+    this.selections = new Map();
+    // Card id -> resolution state of its curse (see CurseResolver)
+    this.resolutions = new Map();
+    // Card id -> items rolled on its loot table, and the tables to roll on
+    this.loot = new Map();
+    this.lootTables = null;
+    // Card id -> rolls of its effect's dice slots (see DiceRollHandler.rollEffect),
+    // null until dice are rolled
+    this.diceResults = null;
+    // Dice results before each roll, for undo
+    this.rollUndoStack = [];
+    // Card id -> copies in the live spread, to tell which rolls a Mischief draw keeps
+    this.cardCounts = new Map();
+    // Cards of the live (not read-only) effects, re-rendered after rolling
+    this.liveCards = [];
+    // Card id -> lines of its live effect (see CardEffects.getLines)
+    this.effectLines = new Map();
+    // In-game clock, the time the live effects started, and the cards whose effects
+    // expired or whose curses were cleared
+    this.clock = null;
+    this.effectStart = null;
+    this.endedCards = new Set();
+    // Card id -> time a Mischief draw last added copies of it; those effects start then
+    this.cardStarts = new Map();
     this.onUpdateCallback = null;
     this.onMischiefDrawCallback = null;
+    this.onDiceRolledCallback = null;
+    this.onBeforeChangeCallback = null;
     this.diceRollHandler = null;
   }
 
   /**
    * Initializes the effects renderer
    * @param {Function} onUpdate - Callback function to call when effects need re-rendering
-   * @param {Function} onMischiefDraw - Callback function to call when mischief draw button is clicked
+   * @param {Function} onMischiefDraw - Callback with the card id and copy index when a Mischief
+   *   copy is spent on its extra draws
+   * @param {Function} [onDiceRolled] - Callback function to call with the dice results after rolling or undoing
+   * @param {Function} [onBeforeChange] - Callback with a label ("Dice roll", "Loot roll", ...)
+   *   just before a choice, roll or curse resolution changes the live effects
    */
-  initialize(onUpdate, onMischiefDraw) {
+  initialize(
+    onUpdate,
+    onMischiefDraw,
+    onDiceRolled = null,
+    onBeforeChange = null
+  ) {
     this.onUpdateCallback = onUpdate;
     this.onMischiefDrawCallback = onMischiefDraw;
+    this.onDiceRolledCallback = onDiceRolled;
+    this.onBeforeChangeCallback = onBeforeChange;
     this.effectsDisplay = document.getElementById("effects-display");
     this.effectsList = document.getElementById("effects-list");
 
@@ -47,122 +97,689 @@ export class EffectsRenderer {
     return true;
   }
 
+  /**
+   * Sets the clock that live effects count down against
+   * @param {GameClock} clock - In-game clock
+   */
+  setClock(clock) {
+    this.clock = clock;
+  }
+
+  /**
+   * Sets the loot tables rolled on by cards with a `loot` table
+   * @param {LootTables} lootTables - Loot tables
+   */
+  setLootTables(lootTables) {
+    this.lootTables = lootTables;
+  }
+
+  /**
+   * Starts the live effects' durations at the current time (a new draw was made)
+   */
+  startClock() {
+    this.effectStart = this.clock?.getTime() ?? null;
+    this.cardStarts = new Map();
+  }
+
+  /**
+   * Gets when a live card's effect started: the draw, or the Mischief draw that last
+   * added copies of it
+   * @param {string} cardName - Card id
+   * @returns {Object|null} Clock time (see GameClock.getTime), or null before a draw
+   */
+  getEffectStart(cardName) {
+    return this.cardStarts.get(cardName) ?? this.effectStart;
+  }
+
+  /**
+   * Gets the cards whose live effects have expired or whose curses were cleared
+   * @returns {Set<string>} Card ids
+   */
+  getEndedCards() {
+    return this.endedCards;
+  }
+
   /**
    * Resets selections when new cards are drawn
+   * Every choice starts undecided
    * @param {Array<string>} drawnCards - Array of drawn card names
    */
   resetSelections(drawnCards) {
-    const chaosCount = drawnCards.filter((card) => card === "chaos").length;
-    this.chaosSelections = new Array(chaosCount).fill("acid");
-    const orderCount = drawnCards.filter((card) => card === "order").length;
-    this.orderSelections = new Array(orderCount).fill("force");
-    this.coinSelection = "jewelry";
+    this.clearSelections();
+    this.keepSelections(drawnCards);
+  }
+
+  /**
+   * Fits the selections to cards added or removed by a Mischief draw
+   * Choices and loot rolls already made are kept; new copies start undecided, and cards
+   * no longer drawn lose their choices, loot and curse resolutions. Rolled effects stay
+   * rolled unless the card's copy count changed (its dice stack differently now); the
+   * effects of those cards start again at the current time.
+   * @param {Array<string>} drawnCards - Array of drawn card names
+   */
+  keepSelections(drawnCards) {
+    const counts = CardEffects.countCards(drawnCards);
+    const selections = new Map();
+    for (const [cardName, count] of counts) {
+      const choice = CardRegistry.get(cardName)?.choice;
+      const isExtraDraw = CardRegistry.getExtraDraws(cardName) > 0;
+      if (!choice && !isExtraDraw) continue;
+      const selectionCount =
+        isExtraDraw || choice.type === CHOICE_TYPES.RESISTANCE ? count : 1;
+      const kept = this.selections.get(cardName) ?? [];
+      selections.set(
+        cardName,
+        Array.from({ length: selectionCount }, (_, i) => kept[i] ?? null)
+      );
+    }
+    this.selections = selections;
+    this.resolutions = new Map(
+      [...this.resolutions].filter(([cardName]) => counts.has(cardName))
+    );
+    this.loot = new Map(
+      [...this.loot].filter(([cardName]) => counts.has(cardName))
+    );
+    const unchanged = (cardName) =>
+      counts.get(cardName) === this.cardCounts.get(cardName);
+    this.cardStarts = new Map(
+      [...this.cardStarts].filter(([cardName]) => counts.has(cardName))
+    );
+    if (this.clock && this.effectStart) {
+      [...counts.keys()]
+        .filter((cardName) => !unchanged(cardName))
+        .forEach((cardName) =>
+          this.cardStarts.set(cardName, this.clock.getTime())
+        );
+    }
+    this.diceResults = this.keepRolls(this.diceResults, unchanged);
+    this.rollUndoStack = this.rollUndoStack.map((results) =>
+      this.keepRolls(results, unchanged)
+    );
+    this.cardCounts = counts;
+  }
+
+  /**
+   * Keeps the rolled effects of some cards
+   * @param {Object|null} results - Card id -> rolled lines, or null if nothing was rolled
+   * @param {Function} keep - Whether a card's rolls are kept
+   * @returns {Object|null} The kept rolls, or null if none are left
+   */
+  keepRolls(results, keep) {
+    const kept = Object.entries(results ?? {}).filter(([cardName]) =>
+      keep(cardName)
+    );
+    return kept.length > 0 ? Object.fromEntries(kept) : null;
+  }
+
+  /**
+   * Records a copy of an extra-draw card as spent on its extra draws
+   * Fewer copies now give their reward, so the card's effect is rolled again.
+   * @param {string} cardName - Card id
+   * @param {number} copyIndex - Which copy was spent
+   */
+  markSpent(cardName, copyIndex) {
+    this.getSelections(cardName)[copyIndex] = EXTRA_DRAW_DECISIONS.DRAW;
+    this.diceResults = this.keepRolls(
+      this.diceResults,
+      (card) => card !== cardName
+    );
+  }
+
+  /**
+   * Lists the choices of the live effects that haven't been made
+   * @returns {Array<{card: string, text: string}>} Card id and description of each
+   *   pending decision, e.g. "Chaos: resistance 2"
+   */
+  getPendingDecisions() {
+    const pending = [];
+    for (const [cardName, values] of this.selections) {
+      const text = this.describeDecision(cardName);
+      values.forEach((value, index) => {
+        if (!value) {
+          pending.push({ card: cardName, text: text(index) });
+        }
+      });
+    }
+    return pending;
+  }
+
+  /**
+   * Gets how a card's decisions are listed in the pending decisions
+   * @param {string} cardName - Card id
+   * @returns {Function} (copy index) => description
+   */
+  describeDecision(cardName) {
+    const name = CardRegistry.getName(cardName);
+    const extraDraws = CardRegistry.getExtraDraws(cardName);
+    if (extraDraws > 0) {
+      const reward = CardRegistry.getExtraDrawReward(cardName);
+      return (index) =>
+        `${name} ${index + 1}: take ${reward} or draw ${extraDraws}`;
+    }
+    if (CardRegistry.get(cardName)?.choice?.type === CHOICE_TYPES.RESISTANCE) {
+      return (index) => `${name}: resistance ${index + 1}`;
+    }
+    return () => `${name}: reward type`;
   }
 
   /**
    * Clears all selections
    */
   clearSelections() {
-    this.chaosSelections = [];
-    this.orderSelections = [];
-    this.coinSelection = "jewelry";
+    this.selections = new Map();
+    this.resolutions = new Map();
+    this.loot = new Map();
+    this.diceResults = null;
+    this.rollUndoStack = [];
+    this.cardCounts = new Map();
+    this.cardStarts = new Map();
+  }
+
+  /**
+   * Gets the choices, dice results, curse resolutions and loot of the current effects, in
+   * a form that can be stored
+   * @returns {{selections: Object<string, Array<string>>, dice: Object|null,
+   *   resolutions: Object<string, Object>, loot: Object<string, Array<string>>}} Effects state
+   */
+  getState() {
+    return {
+      selections: Object.fromEntries(
+        Array.from(this.selections, ([card, values]) => [card, [...values]])
+      ),
+      dice: this.diceResults,
+      resolutions: Object.fromEntries(this.resolutions),
+      loot: Object.fromEntries(
+        Array.from(this.loot, ([card, items]) => [card, [...items]])
+      ),
+    };
+  }
+
+  /**
+   * Saves the live effects' state, including what "Undo Roll" can take back and when
+   * the effects started, for undo
+   * @returns {Object} Snapshot for restoreSnapshot
+   */
+  getSnapshot() {
+    return structuredClone({
+      selections: this.selections,
+      resolutions: this.resolutions,
+      loot: this.loot,
+      diceResults: this.diceResults,
+      rollUndoStack: this.rollUndoStack,
+      cardCounts: this.cardCounts,
+      effectStart: this.effectStart,
+      cardStarts: this.cardStarts,
+    });
+  }
+
+  /**
+   * Puts the live effects back to a saved state; call renderEffects afterwards
+   * @param {Object} snapshot - Snapshot from getSnapshot (copied, so it can be restored again)
+   */
+  restoreSnapshot(snapshot) {
+    const state = structuredClone(snapshot);
+    this.selections = state.selections;
+    this.resolutions = state.resolutions;
+    this.loot = state.loot;
+    this.diceResults = state.diceResults;
+    this.rollUndoStack = state.rollUndoStack;
+    this.cardCounts = state.cardCounts;
+    this.effectStart = state.effectStart;
+    this.cardStarts = state.cardStarts;
+  }
+
+  /**
+   * Gets the selections made for a card
+   * @param {string} cardName - Card id
+   * @returns {Array<string>} Selected option values
+   */
+  getSelections(cardName) {
+    if (!this.selections.has(cardName)) {
+      this.selections.set(cardName, []);
+    }
+    return this.selections.get(cardName);
+  }
+
+  /**
+   * Stores a selection and re-renders the effects
+   * @param {string} cardName - Card id
+   * @param {number} index - Copy index of the selection
+   * @param {string} value - Selected option value
+   */
+  updateSelection(cardName, index, value) {
+    this.onBeforeChangeCallback?.("Choice");
+    this.getSelections(cardName)[index] = value;
+    if (this.onUpdateCallback) {
+      this.onUpdateCallback();
+    }
   }
 
   /**
    * Updates the effects display with current drawn cards
+   * Passing a stored state (see getState) shows those choices and rolls read-only,
+   * for draws from the history
    * @param {Array<string>} drawnCards - Array of drawn card names
+   * @param {Object} [storedState] - Selections and dice results to show instead of the live ones
    */
-  renderEffects(drawnCards) {
+  renderEffects(drawnCards, storedState = null) {
     if (!this.effectsDisplay || !this.effectsList) {
       return;
     }
 
+    this.endedCards = new Set();
     if (!drawnCards || drawnCards.length === 0) {
       this.effectsDisplay.classList.add("empty");
       return;
     }
 
     const { regular, curses } = CardEffects.calculateEffects(drawnCards);
+    const unknownCards = DrawHistory.getUnknownCards(drawnCards);
 
-    if (regular.length === 0 && curses.length === 0) {
+    if (
+      regular.length === 0 &&
+      curses.length === 0 &&
+      unknownCards.length === 0
+    ) {
       this.effectsDisplay.classList.add("empty");
       return;
     }
 
+    const readOnly = Boolean(storedState);
+    const selections = readOnly
+      ? new Map(Object.entries(storedState.selections ?? {}))
+      : this.selections;
+    const diceResults = readOnly ? storedState.dice : this.diceResults;
+    const resolutions = readOnly
+      ? new Map(Object.entries(storedState.resolutions ?? {}))
+      : this.resolutions;
+    const loot = readOnly
+      ? new Map(Object.entries(storedState.loot ?? {}))
+      : this.loot;
+
+    const effectLines = new Map(
+      [...regular, ...curses].map((effect) => [
+        effect.card,
+        CardEffects.getLines(effect, selections.get(effect.card) ?? []),
+      ])
+    );
+    if (!readOnly) {
+      this.liveCards = drawnCards;
+      this.effectLines = effectLines;
+    }
+
     this.effectsDisplay.classList.remove("empty");
+    this.effectsDisplay.classList.toggle("read-only", readOnly);
     this.effectsList.innerHTML = "";
 
-    // Ensure roll dice button exists
-    if (this.diceRollHandler) {
-      this.diceRollHandler.ensureRollDiceButton(() => {
-        if (this.diceRollHandler) {
-          this.diceRollHandler.rollAllDice();
-        }
+    // Render regular effects
+    const stopped = DrawSession.isStopped(drawnCards);
+    regular.forEach((effect) => {
+      this.renderEffect(
+        effect,
+        effectLines.get(effect.card),
+        stopped,
+        selections,
+        readOnly
+      );
+      this.renderLoot(effect, selections, loot, readOnly);
+    });
+
+    // Render curse effects
+    curses.forEach((effect) => {
+      renderStandardEffect(
+        effect,
+        effectLines.get(effect.card),
+        this.effectsList,
+        true
+      );
+      this.renderLoot(effect, selections, loot, readOnly);
+      this.renderCurseResolution(effect.card, resolutions, readOnly);
+    });
+    renderUnknownCards(this.effectsList, unknownCards);
+
+    if (!this.diceRollHandler) {
+      return;
+    }
+    // Rolled or stored effects can't be changed any more
+    this.diceRollHandler.applyRolls(diceResults ?? {}, effectLines);
+    if (readOnly) {
+      this.diceRollHandler.convertDropdownsToText();
+      this.diceRollHandler.removeRollDiceButton();
+      this.diceRollHandler.removeUndoRollButton();
+    } else {
+      renderPendingDecisions(
+        this.effectsList,
+        this.getPendingDecisions().map((decision) => decision.text)
+      );
+      this.renderRollControls();
+      this.renderDurations();
+    }
+  }
+
+  /**
+   * Shows the time left on each live effect with a duration and moves expired ones
+   * to the "Expired" section
+   */
+  renderDurations() {
+    if (!this.clock || !this.effectStart) {
+      return;
+    }
+    const expiredItems = [];
+    this.diceRollHandler.getEffectItems().forEach((effectItem) => {
+      const card = effectItem.dataset.card;
+      // The card's duration, or the durations of its chosen resistances
+      const duration = combineDurations(
+        (this.effectLines.get(card) ?? [])
+          .filter((line) => line.duration)
+          .map((line) =>
+            fromEffectDuration(
+              line.duration,
+              this.getRoll(card, line.duration.roll)?.total
+            )
+          )
+      );
+      if (!duration) return;
+      const status = this.clock.getStatus(duration, this.getEffectStart(card));
+      renderEffectDuration(effectItem, duration, status);
+      if (status.expired) {
+        this.endedCards.add(card);
+        expiredItems.push(effectItem);
+      }
+    });
+    renderExpiredEffects(this.effectsList, expiredItems);
+  }
+
+  /**
+   * Shows the Roll Dice and Undo Roll buttons and a roll button on each unrolled effect with dice
+   * Roll Dice stays disabled, and undecided effects get no roll button, until every
+   * choice is made
+   */
+  renderRollControls() {
+    const rolled = this.diceResults ?? {};
+    const undecided = new Set(
+      this.getPendingDecisions().map((decision) => decision.card)
+    );
+    const unrolledItems = this.diceRollHandler
+      .getEffectItems()
+      .filter((effectItem) => !(effectItem.dataset.card in rolled));
+
+    if (unrolledItems.length > 0) {
+      this.diceRollHandler.ensureRollDiceButton(() =>
+        this.rollEffects(unrolledItems.map((item) => item.dataset.card))
+      );
+      this.diceRollHandler.setRollDiceEnabled(undecided.size === 0);
+    } else {
+      this.diceRollHandler.removeRollDiceButton();
+    }
+    unrolledItems
+      .filter(
+        (effectItem) =>
+          !undecided.has(effectItem.dataset.card) &&
+          this.diceRollHandler.hasDice(
+            this.effectLines.get(effectItem.dataset.card) ?? []
+          )
+      )
+      .forEach((effectItem) => {
+        this.diceRollHandler.addEffectRollButton(effectItem, () =>
+          this.rollEffects([effectItem.dataset.card])
+        );
       });
+
+    if (this.rollUndoStack.length > 0) {
+      this.diceRollHandler.ensureUndoRollButton(() => this.undoRoll());
+    } else {
+      this.diceRollHandler.removeUndoRollButton();
     }
+  }
 
-    // Render regular effects
-    if (regular.length > 0) {
-      const hasIsolation = drawnCards.includes("isolation");
-      regular.forEach((effect) => {
-        if (effect.effect && typeof effect.effect === "object") {
-          if (effect.effect.type === "chaos") {
-            renderChaosEffect(
-              effect,
-              this.effectsList,
-              this.chaosSelections,
-              (index, value) => {
-                this.chaosSelections[index] = value;
-                if (this.onUpdateCallback) {
-                  this.onUpdateCallback();
-                }
-              }
-            );
-          } else if (effect.effect.type === "coin") {
-            renderCoinEffect(
-              effect,
-              this.effectsList,
-              this.coinSelection,
-              (value) => {
-                this.coinSelection = value;
-                if (this.onUpdateCallback) {
-                  this.onUpdateCallback();
-                }
-              }
-            );
-          } else if (effect.effect.type === "order") {
-            renderOrderEffect(
-              effect,
-              this.effectsList,
-              this.orderSelections,
-              (index, value) => {
-                this.orderSelections[index] = value;
-                if (this.onUpdateCallback) {
-                  this.onUpdateCallback();
-                }
-              }
-            );
-          } else if (effect.effect.type === "mischief") {
-            renderMischiefEffect(
-              effect,
-              this.effectsList,
-              hasIsolation,
-              this.onMischiefDrawCallback
-            );
-          } else {
-            renderStandardEffect(effect, this.effectsList, false);
-          }
-        } else {
-          renderStandardEffect(effect, this.effectsList, false);
+  /**
+   * Rolls the dice of some effects; their choices are locked in once rolled
+   * Nothing is rolled while one of the cards has a choice to make.
+   * @param {Array<string>} cardIds - Cards whose effects to roll
+   */
+  rollEffects(cardIds) {
+    if (!this.diceRollHandler) {
+      return;
+    }
+    if (
+      this.getPendingDecisions().some((decision) =>
+        cardIds.includes(decision.card)
+      )
+    ) {
+      return;
+    }
+    const results = { ...(this.diceResults ?? {}) };
+    const unrolledItems = this.diceRollHandler
+      .getEffectItems()
+      .filter(
+        (effectItem) =>
+          cardIds.includes(effectItem.dataset.card) &&
+          !(effectItem.dataset.card in results)
+      );
+    if (unrolledItems.length === 0) {
+      return;
+    }
+    this.onBeforeChangeCallback?.("Dice roll");
+    unrolledItems.forEach((effectItem) => {
+      const card = effectItem.dataset.card;
+      results[card] = this.diceRollHandler.rollEffect(
+        this.effectLines.get(card) ?? []
+      );
+    });
+    this.rollUndoStack.push(this.diceResults);
+    this.diceResults = results;
+    this.onDiceRolledCallback?.(this.diceResults);
+    this.renderEffects(this.liveCards);
+  }
+
+  /**
+   * Gets one roll of a card's effect
+   * @param {string} cardName - Card id
+   * @param {number|undefined} index - Roll index of a dice slot, record or duration (see
+   *   CardEffects.getLines)
+   * @returns {Object|null} The roll result (see rollDice), or null if not rolled
+   */
+  getRoll(cardName, index) {
+    if (index === undefined) {
+      return null;
+    }
+    return this.diceResults?.[cardName]?.[index] ?? null;
+  }
+
+  /**
+   * Takes back the last roll, bringing back the dice expressions and dropdowns
+   */
+  undoRoll() {
+    if (this.rollUndoStack.length === 0) {
+      return;
+    }
+    this.onBeforeChangeCallback?.("Undo Roll");
+    this.diceResults = this.rollUndoStack.pop();
+    this.onDiceRolledCallback?.(this.diceResults);
+    this.renderEffects(this.liveCards);
+  }
+
+  /**
+   * Adds the resolution actions (or how it was resolved) to the curse just rendered
+   * A check with a deadline that passed resolves the curse with its `missed` outcome.
+   * @param {string} cardName - Card id
+   * @param {Map<string, Object>} resolutions - Card id -> resolution state
+   * @param {boolean} readOnly - Whether the effect is shown from the history
+   */
+  renderCurseResolution(cardName, resolutions, readOnly) {
+    const cardResolutions = CurseResolver.getResolutions(cardName);
+    const effectItem = this.effectsList.lastElementChild;
+    if (cardResolutions.length === 0 || !effectItem) {
+      return;
+    }
+
+    let state = resolutions.get(cardName) ?? null;
+    const deadlines = new Map();
+    if (!readOnly && this.clock && this.effectStart) {
+      cardResolutions.forEach((resolution) => {
+        const deadline = CurseResolver.getDeadline(
+          resolution,
+          this.clock,
+          this.getEffectStart(cardName)
+        );
+        if (deadline?.expired && !state?.resolved) {
+          state = CurseResolver.miss(resolution, state);
+        } else if (deadline) {
+          deadlines.set(resolution, deadline);
         }
       });
     }
+    if (state?.resolved) {
+      this.endedCards.add(cardName);
+    }
 
-    // Render curse effects
-    if (curses.length > 0) {
-      curses.forEach((effect) => {
-        renderStandardEffect(effect, this.effectsList, true);
-      });
+    const current = resolutions.get(cardName) ?? null;
+    renderCurseResolution(
+      effectItem,
+      cardResolutions,
+      state,
+      readOnly
+        ? null
+        : {
+            deadlines,
+            onRemoveCurse: () =>
+              this.resolveCurse(cardName, () =>
+                CurseResolver.removeCurse(current)
+              ),
+            onRollCheck: (resolution, modifier) =>
+              this.resolveCurse(cardName, () =>
+                CurseResolver.applyCheck(
+                  resolution,
+                  rollDiceExpression("1d20") + modifier,
+                  current
+                )
+              ),
+            onCheck: (resolution, total) =>
+              this.resolveCurse(cardName, () =>
+                CurseResolver.applyCheck(resolution, total, current)
+              ),
+          }
+    );
+  }
+
+  /**
+   * Adds the loot table results (and a "Roll on table" button) to the effect just rendered
+   * @param {Object} effect - Effect object from CardEffects.calculateEffects
+   * @param {Map<string, Array<string>>} selections - Card id -> selected option values
+   * @param {Map<string, Array<string>>} loot - Card id -> rolled items
+   * @param {boolean} readOnly - Whether the effect is shown from the history
+   */
+  renderLoot(effect, selections, loot, readOnly) {
+    const tableId = CardRegistry.get(effect.card)?.loot?.table;
+    const effectItem = this.effectsList.lastElementChild;
+    if (!tableId || !effectItem) {
+      return;
+    }
+    const quantity = CardEffects.getLootQuantity(
+      effect.card,
+      CardEffects.countUnspentCopies(
+        effect.card,
+        effect.count,
+        selections.get(effect.card) ?? []
+      )
+    );
+    const table = this.lootTables?.get(tableId) ?? null;
+    const items = loot.get(effect.card) ?? [];
+    renderLootResults(
+      effectItem,
+      effect.card,
+      items.slice(0, quantity),
+      readOnly || !table || items.length >= quantity
+        ? null
+        : {
+            tableName: table.name,
+            onRoll: () => this.rollLoot(effect.card, table),
+          }
+    );
+  }
+
+  /**
+   * Rolls a card's loot table with the app RNG (reproducible from the draw's seed)
+   * and re-renders the effects
+   * @param {string} cardName - Card id
+   * @param {Object} table - Loot table
+   */
+  rollLoot(cardName, table) {
+    this.onBeforeChangeCallback?.("Loot roll");
+    const items = this.loot.get(cardName) ?? [];
+    this.loot.set(cardName, [
+      ...items,
+      LootTables.roll(table, getStream(RNG_STREAMS.LOOT)),
+    ]);
+    if (this.onUpdateCallback) {
+      this.onUpdateCallback();
+    }
+  }
+
+  /**
+   * Stores the new resolution state of a curse and re-renders the effects
+   * @param {string} cardName - Card id
+   * @param {Function} resolve - Returns the new resolution state (see CurseResolver); it is
+   *   called after onBeforeChange, so a check's roll can be undone with it
+   */
+  resolveCurse(cardName, resolve) {
+    this.onBeforeChangeCallback?.("Curse resolution");
+    this.resolutions.set(cardName, resolve());
+    if (this.onUpdateCallback) {
+      this.onUpdateCallback();
+    }
+  }
+
+  /**
+   * Renders one regular effect with the renderer matching its card definition
+   * @param {Object} effect - Effect object from CardEffects.calculateEffects
+   * @param {Array<Object>} lines - Its lines (see CardEffects.getLines)
+   * @param {boolean} stopped - Whether drawing has been stopped
+   * @param {Map<string, Array<string>>} selections - Card id -> selected option values
+   * @param {boolean} readOnly - Whether the effect is shown from the history
+   */
+  renderEffect(effect, lines, stopped, selections, readOnly) {
+    const choiceType = effect.effect.choice?.type;
+    const cardSelections = selections.get(effect.card) ?? [];
+    if (choiceType === CHOICE_TYPES.RESISTANCE) {
+      renderResistanceEffect(
+        effect,
+        lines,
+        this.effectsList,
+        cardSelections,
+        (index, value) => this.updateSelection(effect.card, index, value)
+      );
+    } else if (choiceType === CHOICE_TYPES.REWARD) {
+      renderRewardEffect(
+        effect,
+        lines,
+        this.effectsList,
+        cardSelections[0],
+        (value) => this.updateSelection(effect.card, 0, value)
+      );
+    } else if (CardRegistry.getExtraDraws(effect.card) > 0) {
+      // Copies spent on extra draws no longer give their reward (see CardEffects.getLines)
+      renderExtraDrawEffect(
+        effect,
+        lines,
+        this.effectsList,
+        cardSelections,
+        stopped,
+        readOnly
+          ? null
+          : {
+              onReward: (index) =>
+                this.updateSelection(
+                  effect.card,
+                  index,
+                  EXTRA_DRAW_DECISIONS.REWARD
+                ),
+              onDraw: (index) =>
+                this.onMischiefDrawCallback?.(effect.card, index),
+            }
+      );
+    } else {
+      renderStandardEffect(effect, lines, this.effectsList, false);
     }
   }
 }
@@ -1,7 +1,10 @@
+import { Rectangle } from "pixi.js";
 import {
+  CANVAS_CONFIG,
   CARD_CONFIG,
   ANIMATION_CONSTANTS,
   LAYOUT_CONSTANTS,
+  IMAGE_EXPORT_CONFIG,
 } from "../constants.js";
 import { CardAnimator } from "./CardAnimator.js";
 import { ScrollManager } from "./ScrollManager.js";
@@ -16,6 +19,8 @@ export class GameRenderer {
     this.app = app;
     this.cardRenderer = cardRenderer;
     this.cardSprites = [];
+    // Number of cards of the last render, to know when they are all dealt
+    this.renderedCount = 0;
     // Cards displayed at 40% size
     this.cardScale = 0.4;
     this.cardWidth = CARD_CONFIG.WIDTH * this.cardScale;
@@ -49,9 +54,18 @@ export class GameRenderer {
   /**
    * Renders cards on the canvas with animations
    * @param {Array} cardNames - Array of card name strings to render
+   * @param {Set<number>} [spentIndexes] - Indexes of Mischief cards spent on extra draws,
+   *   shown dimmed
+   * @param {Object} [options] - Render options
+   * @param {boolean} [options.animate=true] - Whether cards flip in one by one; otherwise
+   *   they are placed at once in their resting layout
    * @returns {Promise<void>}
    */
-  async renderCards(cardNames) {
+  async renderCards(
+    cardNames,
+    spentIndexes = new Set(),
+    { animate = true } = {}
+  ) {
     if (!this.isValidApp()) {
       console.error("Cannot render cards: PixiJS application not initialized");
       return;
@@ -60,6 +74,7 @@ export class GameRenderer {
     this.clearCards();
     this.scrollManager.resetPosition();
     this.hoverManager.reset();
+    this.renderedCount = cardNames?.length ?? 0;
 
     if (!cardNames || cardNames.length === 0) {
       return;
@@ -121,7 +136,9 @@ export class GameRenderer {
           // Track timeouts so they can be cancelled if needed
           for (let i = 0; i < cardNames.length; i++) {
             const cardName = cardNames[i];
-            const delay = i * ANIMATION_CONSTANTS.CARD_ANIMATION_DELAY;
+            const delay = animate
+              ? i * ANIMATION_CONSTANTS.CARD_ANIMATION_DELAY
+              : 0;
 
             const timeoutId = setTimeout(async () => {
               // Remove from active timeouts when executed
@@ -134,12 +151,11 @@ export class GameRenderer {
                 cardName,
                 false
               );
-              const backSprite = await this.cardRenderer.createCardSprite(
-                cardName,
-                true
-              );
+              const backSprite = animate
+                ? await this.cardRenderer.createCardSprite(cardName, true)
+                : null;
 
-              if (!frontSprite || !backSprite) {
+              if (!frontSprite || (animate && !backSprite)) {
                 console.warn("Failed to create card sprites at index", i);
                 return;
               }
@@ -160,19 +176,29 @@ export class GameRenderer {
               const currentCenterX = canvasWidth / 2;
               const currentCenterY = gridCenterY;
 
-              const animatedCard = CardAnimator.createAnimatedCard(
-                frontSprite,
-                backSprite,
-                currentCenterX,
-                currentCenterY,
-                targetX,
-                targetY,
-                this.cardScale
-              );
+              const animatedCard = animate
+                ? CardAnimator.createAnimatedCard(
+                    frontSprite,
+                    backSprite,
+                    currentCenterX,
+                    currentCenterY,
+                    targetX,
+                    targetY,
+                    this.cardScale
+                  )
+                : CardAnimator.createRestingCard(
+                    frontSprite,
+                    targetX,
+                    targetY,
+                    this.cardScale
+                  );
 
               // Store original position (target position is where card will end up after animation)
               animatedCard.originalX = targetX;
               animatedCard.originalY = targetY;
+              if (spentIndexes.has(i)) {
+                animatedCard.alpha = CARD_CONFIG.SPENT_ALPHA;
+              }
 
               if (this.scrollContainer) {
                 this.scrollContainer.addChild(animatedCard);
@@ -190,6 +216,80 @@ export class GameRenderer {
     }
   }
 
+  /**
+   * Renders the spread in its resting layout to a high-resolution canvas
+   * Hover and bobbing animations are paused while the cards are extracted.
+   * @param {number} [resolution] - Image pixels per canvas pixel
+   * @returns {HTMLCanvasElement|null} Image of the cards, or null if there are none or
+   *   they are still being dealt
+   */
+  extractSpread(resolution = IMAGE_EXPORT_CONFIG.RESOLUTION) {
+    if (
+      !this.isValidApp() ||
+      this.cardSprites.length === 0 ||
+      this.cardSprites.length < this.renderedCount ||
+      this.cardSprites.some((cardContainer) => cardContainer._isAnimating)
+    ) {
+      return null;
+    }
+
+    this.pauseAnimations();
+    // The viewport mask would crop cards scrolled out of view
+    const mask = this.scrollContainer.mask;
+    this.scrollContainer.mask = null;
+    try {
+      return this.app.renderer.extract.canvas({
+        target: this.scrollContainer,
+        frame: this.getSpreadFrame(),
+        resolution,
+        clearColor: CANVAS_CONFIG.BACKGROUND_COLOR,
+      });
+    } finally {
+      this.scrollContainer.mask = mask;
+      this.resumeAnimations();
+    }
+  }
+
+  /**
+   * Gets the area of the cards in their resting layout, with a margin
+   * @returns {Rectangle} Area in scroll container coordinates
+   */
+  getSpreadFrame() {
+    const padding = IMAGE_EXPORT_CONFIG.PADDING;
+    const xs = this.cardSprites.map((cardContainer) => cardContainer.originalX);
+    const ys = this.cardSprites.map((cardContainer) => cardContainer.originalY);
+    const left = Math.min(...xs) - this.cardWidth / 2 - padding;
+    const top = Math.min(...ys) - this.cardHeight / 2 - padding;
+    const right = Math.max(...xs) + this.cardWidth / 2 + padding;
+    const bottom = Math.max(...ys) + this.cardHeight / 2 + padding;
+    return new Rectangle(left, top, right - left, bottom - top);
+  }
+
+  /**
+   * Stops the hover and bobbing animations and puts every card at rest
+   */
+  pauseAnimations() {
+    this.app.ticker.remove(this.hoverUpdateCallback);
+    this.hoverManager.reset();
+    this.cardSprites.forEach((cardContainer) => {
+      CardAnimator.stopHoverAnimation(cardContainer);
+      cardContainer.x = cardContainer.originalX;
+      cardContainer.y = cardContainer.originalY;
+      cardContainer.scale.set(this.cardScale);
+      cardContainer.zIndex = 0;
+    });
+  }
+
+  /**
+   * Restarts the hover and bobbing animations stopped by pauseAnimations
+   */
+  resumeAnimations() {
+    this.cardSprites.forEach((cardContainer) => {
+      CardAnimator.startHoverAnimation(cardContainer, cardContainer.originalY);
+    });
+    this.app.ticker.add(this.hoverUpdateCallback);
+  }
+
   /**
    * Clears all rendered cards from the canvas
    */
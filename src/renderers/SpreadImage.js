@@ -0,0 +1,118 @@
+import { IMAGE_EXPORT_CONFIG } from "../constants.js";
+import { downloadFile } from "../utils/download.js";
+
+/**
+ * Spread image for handouts: the extracted cards (see GameRenderer.extractSpread) with a
+ * caption strip below listing each card's effect
+ */
+export class SpreadImage {
+  /**
+   * Draws the cards and their captions on one canvas
+   * @param {HTMLCanvasElement} spreadCanvas - Extracted cards
+   * @param {Array<{title: string, text: string, curse: boolean}>} captions - One per effect
+   *   (see EffectsSummary.toCaptions)
+   * @param {number} [resolution] - Resolution the cards were extracted at
+   * @returns {HTMLCanvasElement} Image canvas
+   */
+  static compose(
+    spreadCanvas,
+    captions,
+    resolution = IMAGE_EXPORT_CONFIG.RESOLUTION
+  ) {
+    const config = IMAGE_EXPORT_CONFIG;
+    const width = spreadCanvas.width;
+    const padding = config.PADDING * resolution;
+    const titleFont = `bold ${config.TITLE_FONT_SIZE * resolution}px ${config.FONT_FAMILY}`;
+    const textFont = `${config.TEXT_FONT_SIZE * resolution}px ${config.FONT_FAMILY}`;
+    const titleHeight =
+      config.TITLE_FONT_SIZE * config.LINE_HEIGHT * resolution;
+    const textHeight = config.TEXT_FONT_SIZE * config.LINE_HEIGHT * resolution;
+    const gap = config.CAPTION_GAP * resolution;
+
+    // Lay out the captions first, to size the strip
+    const measure = document.createElement("canvas").getContext("2d");
+    measure.font = textFont;
+    const blocks = captions.map((caption) => ({
+      ...caption,
+      lines: this.wrapText(measure, caption.text, width - padding * 2),
+    }));
+    const stripHeight =
+      blocks.length === 0
+        ? 0
+        : padding * 2 +
+          blocks.reduce(
+            (sum, block) => sum + titleHeight + block.lines.length * textHeight,
+            0
+          ) +
+          gap * (blocks.length - 1);
+
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = spreadCanvas.height + stripHeight;
+    const context = canvas.getContext("2d");
+    context.drawImage(spreadCanvas, 0, 0);
+    context.fillStyle = config.CAPTION_BACKGROUND;
+    context.fillRect(0, spreadCanvas.height, width, stripHeight);
+
+    context.textBaseline = "top";
+    let y = spreadCanvas.height + padding;
+    blocks.forEach((block) => {
+      context.font = titleFont;
+      context.fillStyle = block.curse ? config.CURSE_COLOR : config.TITLE_COLOR;
+      context.fillText(block.title, padding, y);
+      y += titleHeight;
+      context.font = textFont;
+      context.fillStyle = config.TEXT_COLOR;
+      block.lines.forEach((line) => {
+        context.fillText(line, padding, y);
+        y += textHeight;
+      });
+      y += gap;
+    });
+    return canvas;
+  }
+
+  /**
+   * Breaks text into lines that fit a width
+   * @param {CanvasRenderingContext2D} context - Context with the text font set
+   * @param {string} text - Text to wrap
+   * @param {number} maxWidth - Line width in pixels
+   * @returns {Array<string>} Lines (a single word wider than the line stays whole)
+   */
+  static wrapText(context, text, maxWidth) {
+    const lines = [];
+    let line = "";
+    text.split(/\s+/).forEach((word) => {
+      if (!word) return;
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && context.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    if (line) {
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  /**
+   * Downloads a canvas as a PNG file
+   * @param {HTMLCanvasElement} canvas - Image canvas
+   * @param {string} filename - File name
+   * @returns {Promise<boolean>} True if the image could be encoded
+   */
+  static async download(canvas, filename) {
+    const blob = await new Promise((resolve) => {
+      canvas.toBlob(resolve, "image/png");
+    });
+    if (!blob) {
+      console.error("Failed to encode the spread image");
+      return false;
+    }
+    downloadFile(blob, filename);
+    return true;
+  }
+}
@@ -1,7 +1,83 @@
-import { rollDiceInText } from "../../utils/diceRoller.js";
+import {
+  rollSlots,
+  fillSlots,
+  formatRollFaces,
+} from "../../utils/diceRoller.js";
+
+/**
+ * Elements of an effect item's lines, in the order of CardEffects.getLines
+ * @param {HTMLElement} effectItem - Effect item element
+ * @returns {NodeList} Line elements
+ */
+function getLineElements(effectItem) {
+  return effectItem.querySelectorAll(".effect-line");
+}
+
+/**
+ * Gets the text of a dropdown's choice
+ * @param {HTMLSelectElement} select - Choice dropdown
+ * @returns {string} Selected option text, or "Undecided" if nothing was chosen
+ */
+function getSelectedText(select) {
+  return select.value
+    ? select.options[select.selectedIndex].textContent
+    : "Undecided";
+}
+
+/**
+ * Creates the breakdown of one roll, e.g. "4d10 → [7, 2, 9, 4] = 22"
+ * Only kept dice are listed; discarded ones (kh1, dl1...) are shown on hover
+ * @param {Object} roll - Roll result from rollDice
+ * @returns {HTMLElement} Breakdown element
+ */
+function createRollElement(roll) {
+  const element = document.createElement("span");
+  element.className = "dice-roll";
+
+  element.append(`${formatRollFaces(roll)} = `);
+  const total = document.createElement("strong");
+  total.textContent = roll.total;
+  element.appendChild(total);
+
+  const details = roll.groups.flatMap((group) => {
+    const lines = [];
+    const discarded = group.dice.filter((die) => !die.kept);
+    if (discarded.length > 0) {
+      lines.push(
+        `${group.notation} discarded: ${discarded.map((die) => die.value).join(", ")}`
+      );
+    }
+    const rerolled = group.dice.flatMap((die) => die.rerolls);
+    if (rerolled.length > 0) {
+      lines.push(`${group.notation} rerolled: ${rerolled.join(", ")}`);
+    }
+    return lines;
+  });
+  if (details.length > 0) {
+    element.classList.add("has-details");
+    element.title = details.join("\n");
+  }
+  return element;
+}
+
+/**
+ * Shows rolled segments in an element
+ * @param {HTMLElement} element - Line element
+ * @param {Array<string|Object>} segments - Text and roll results (see fillSlots)
+ */
+function renderSegments(element, segments) {
+  element.replaceChildren(
+    ...segments.map((segment) =>
+      typeof segment === "string" ? segment : createRollElement(segment)
+    )
+  );
+}
 
 /**
  * Handles dice rolling UI logic for effects
+ * The dice come from the effect lines of the model (see CardEffects.getLines), never from
+ * the shown text. Rolls are kept per card as a list indexed by the lines' dice slots, so
+ * they can be shown again, stored in the draw history and undone.
  */
 export class DiceRollHandler {
   constructor(effectsDisplay, effectsList) {
@@ -14,92 +90,146 @@ export class DiceRollHandler {
    * @param {Function} onRollClick - Callback when button is clicked
    */
   ensureRollDiceButton(onRollClick) {
-    let rollDiceButton = document.getElementById("roll-dice-button");
-    if (!rollDiceButton) {
+    this.ensureHeaderButton("roll-dice-button", "Roll Dice", onRollClick);
+  }
+
+  /**
+   * Ensures the undo button for the last roll exists and is properly set up
+   * @param {Function} onUndoClick - Callback when button is clicked
+   */
+  ensureUndoRollButton(onUndoClick) {
+    this.ensureHeaderButton("undo-roll-button", "Undo Roll", onUndoClick);
+  }
+
+  /**
+   * Ensures a button next to the effects heading exists with a single click listener
+   * @param {string} id - Button id
+   * @param {string} label - Button text
+   * @param {Function} onClick - Callback when button is clicked
+   */
+  ensureHeaderButton(id, label, onClick) {
+    let button = document.getElementById(id);
+    if (!button) {
       // Create the button if it doesn't exist
-      rollDiceButton = document.createElement("button");
-      rollDiceButton.id = "roll-dice-button";
-      rollDiceButton.textContent = "Roll Dice";
-
-      // Insert it after the h2 element
-      const h2 = this.effectsDisplay.querySelector("h2");
-      if (h2) {
-        h2.after(rollDiceButton);
+      button = document.createElement("button");
+      button.id = id;
+      button.textContent = label;
+
+      // Insert it after the h2 element (and after the roll dice button, if any)
+      const anchor =
+        document.getElementById("roll-dice-button") ??
+        this.effectsDisplay.querySelector("h2");
+      if (anchor) {
+        anchor.after(button);
       }
     }
 
     // Remove any existing event listeners by cloning and replacing
-    const newButton = rollDiceButton.cloneNode(true);
-    rollDiceButton.parentNode.replaceChild(newButton, rollDiceButton);
+    const newButton = button.cloneNode(true);
+    button.parentNode.replaceChild(newButton, button);
     newButton.addEventListener("click", () => {
-      if (onRollClick) {
-        onRollClick();
+      if (onClick) {
+        onClick();
       }
     });
   }
 
   /**
-   * Rolls all dice in effect descriptions (except Monster) and updates the display
+   * Enables or disables the roll dice button (disabled while choices are pending)
+   * @param {boolean} enabled - Whether the effects can be rolled
    */
-  rollAllDice() {
-    if (!this.effectsList) {
-      return;
+  setRollDiceEnabled(enabled) {
+    const button = document.getElementById("roll-dice-button");
+    if (button) {
+      button.disabled = !enabled;
+      button.title = enabled ? "" : "Make every choice first";
     }
+  }
 
-    // Get all effect description elements
-    const effectDescriptions = this.effectsList.querySelectorAll(
-      ".effect-description"
-    );
-
-    effectDescriptions.forEach((descriptionElement) => {
-      // Find the parent effect item to check if it's a Monster card
-      const effectItem = descriptionElement.closest(".effect-item");
-      if (!effectItem) {
-        return;
-      }
+  /**
+   * Removes the roll dice button (after rolling, or for read-only effects)
+   */
+  removeRollDiceButton() {
+    document.getElementById("roll-dice-button")?.remove();
+  }
 
-      // Check if this is a Monster card (curse-effect with "monster" in card name)
-      const cardNameElement = effectItem.querySelector(".effect-card-name");
-      if (cardNameElement) {
-        const cardNameText = cardNameElement.textContent.toLowerCase();
-        if (cardNameText.includes("monster")) {
-          // Skip Monster cards
-          return;
-        }
-      }
+  /**
+   * Removes the undo roll button (nothing to undo, or read-only effects)
+   */
+  removeUndoRollButton() {
+    document.getElementById("undo-roll-button")?.remove();
+  }
 
-      // Roll dice in the description text
-      const originalText = descriptionElement.textContent;
-      const rolledText = rollDiceInText(originalText);
-      descriptionElement.textContent = rolledText;
-    });
+  /**
+   * Gets the rendered effect items
+   * @returns {Array<HTMLElement>} Effect item elements
+   */
+  getEffectItems() {
+    return Array.from(this.effectsList.querySelectorAll(".effect-item"));
+  }
 
-    // Also handle Chaos and Order duration items
-    const durationItems = this.effectsList.querySelectorAll(
-      ".chaos-duration-item"
+  /**
+   * Checks whether an effect has dice that can be rolled
+   * Recurring modifiers (Monster) have no dice slots: they are rolled on every saving throw.
+   * @param {Array<Object>} lines - Effect lines (see CardEffects.getLines)
+   * @returns {boolean} True if the effect gets a roll button
+   */
+  hasDice(lines) {
+    return lines.some((line) =>
+      line.segments.some((segment) => typeof segment === "object")
     );
-    durationItems.forEach((durationElement) => {
-      const originalText = durationElement.textContent;
-      const rolledText = rollDiceInText(originalText);
-      durationElement.textContent = rolledText;
-    });
+  }
 
-    // Replace all dropdowns with plain text
-    this.convertDropdownsToText();
+  /**
+   * Adds a button rolling just this effect next to its card name
+   * @param {HTMLElement} effectItem - Effect item element
+   * @param {Function} onRollClick - Callback when button is clicked
+   */
+  addEffectRollButton(effectItem, onRollClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "effect-roll-button";
+    button.textContent = "Roll";
+    button.addEventListener("click", () => onRollClick());
+    effectItem.querySelector(".effect-card-name")?.appendChild(button);
+  }
 
-    // Remove the button after rolling
-    const rollDiceButton = document.getElementById("roll-dice-button");
-    if (rollDiceButton) {
-      rollDiceButton.remove();
-    }
+  /**
+   * Rolls the dice of one effect
+   * @param {Array<Object>} lines - Effect lines (see CardEffects.getLines)
+   * @returns {Array<Object|null>} Rolls by slot index (see rollSlots)
+   */
+  rollEffect(lines) {
+    return rollSlots(lines.map((line) => line.segments));
+  }
+
+  /**
+   * Shows rolled effects: their roll breakdowns replace the dice expressions
+   * and their dropdowns become plain text
+   * @param {Object<string, Array>} results - Card id -> rolls (see rollEffect)
+   * @param {Map<string, Array<Object>>} effectLines - Card id -> effect lines
+   */
+  applyRolls(results, effectLines) {
+    this.getEffectItems().forEach((effectItem) => {
+      const rolls = results[effectItem.dataset.card];
+      const lines = effectLines.get(effectItem.dataset.card);
+      if (!rolls || !lines) return;
+      getLineElements(effectItem).forEach((element, index) => {
+        if (lines[index]) {
+          renderSegments(element, fillSlots(lines[index].segments, rolls));
+        }
+      });
+      this.convertDropdownsToText(effectItem);
+    });
   }
 
   /**
-   * Converts all dropdowns (Chaos, Order, Coin) to plain text
+   * Converts dropdowns (Chaos, Order, Coin) to plain text
+   * @param {HTMLElement} [scope] - Element to convert in (defaults to the whole effects list)
    */
-  convertDropdownsToText() {
+  convertDropdownsToText(scope = this.effectsList) {
     // Convert Chaos and Order dropdowns
-    const chaosDropdownWrappers = this.effectsList.querySelectorAll(
+    const chaosDropdownWrappers = scope.querySelectorAll(
       ".chaos-dropdown-wrapper"
     );
     chaosDropdownWrappers.forEach((wrapper) => {
@@ -107,8 +237,7 @@ export class DiceRollHandler {
       const select = wrapper.querySelector("select");
       if (label && select) {
         const labelText = label.textContent.trim();
-        const selectedOption = select.options[select.selectedIndex];
-        const selectedText = selectedOption ? selectedOption.textContent : "";
+        const selectedText = getSelectedText(select);
         const textElement = document.createElement("div");
         textElement.className = "chaos-dropdown-label";
         textElement.style.marginBottom = "8px";
@@ -118,7 +247,7 @@ export class DiceRollHandler {
     });
 
     // Convert Coin dropdown
-    const coinDropdownContainers = this.effectsList.querySelectorAll(
+    const coinDropdownContainers = scope.querySelectorAll(
       ".coin-dropdown-container"
     );
     coinDropdownContainers.forEach((container) => {
@@ -126,8 +255,7 @@ export class DiceRollHandler {
       const select = container.querySelector("select");
       if (label && select) {
         const labelText = label.textContent.trim();
-        const selectedOption = select.options[select.selectedIndex];
-        const selectedText = selectedOption ? selectedOption.textContent : "";
+        const selectedText = getSelectedText(select);
         const textElement = document.createElement("div");
         textElement.className = "coin-dropdown-label";
         textElement.textContent = `${labelText}${selectedText}`;
@@ -136,4 +264,3 @@ export class DiceRollHandler {
     });
   }
 }
-
@@ -1,5 +1,24 @@
 import { CardEffects } from "../../models/CardEffects.js";
+import { CardRegistry } from "../../models/CardRegistry.js";
+import { GameClock } from "../../models/GameClock.js";
+import { CurseResolver } from "../../models/CurseResolver.js";
+import { DURATION_TYPES, EFFECT_LINES } from "../../constants.js";
+import {
+  CURSE_RESOLUTIONS,
+  EXTRA_DRAW_DECISIONS,
+} from "../../data/cardTypes.js";
 import { capitalizeFirst } from "../../utils/stringUtils.js";
+import { fillSlots, segmentsToText } from "../../utils/diceRoller.js";
+
+// Classes of each kind of effect line (see CardEffects.getLines); DiceRollHandler finds
+// the lines by their shared "effect-line" class
+const LINE_CLASSES = {
+  [EFFECT_LINES.RECORD]: "effect-record",
+  [EFFECT_LINES.DURATION]: "effect-record",
+  [EFFECT_LINES.TEXT]: "effect-description",
+  [EFFECT_LINES.RESISTANCE]: "chaos-duration-item",
+  [EFFECT_LINES.REWARD]: "effect-description coin-description",
+};
 
 /**
  * Creates card name element with count
@@ -13,119 +32,114 @@ function createCardNameElement(cardName, count, isCurse = false) {
   cardNameElement.className = isCurse
     ? "effect-card-name curse-name"
     : "effect-card-name";
-  const cardNameText = capitalizeFirst(cardName);
-  const countText =
-    count > 1 ? `<span class="effect-card-count">(x${count})</span>` : "";
-  cardNameElement.innerHTML = `${cardNameText}${countText}`;
+  cardNameElement.textContent = CardRegistry.getName(cardName);
+  if (count > 1) {
+    const countElement = document.createElement("span");
+    countElement.className = "effect-card-count";
+    countElement.textContent = `(x${count})`;
+    cardNameElement.appendChild(countElement);
+  }
   return cardNameElement;
 }
 
 /**
- * Renders a standard effect
+ * Creates the container of an effect, tagged with its card id
  * @param {Object} effect - Effect object
- * @param {HTMLElement} effectsList - Container element
  * @param {boolean} isCurse - Whether this is a curse effect
+ * @returns {HTMLElement} Effect item element
  */
-export function renderStandardEffect(effect, effectsList, isCurse = false) {
+function createEffectItem(effect, isCurse = false) {
   const effectItem = document.createElement("div");
   effectItem.className = isCurse ? "effect-item curse-effect" : "effect-item";
-
-  const cardName = createCardNameElement(effect.card, effect.count, isCurse);
-  const description = document.createElement("div");
-  description.className = "effect-description";
-  description.textContent = effect.effect;
-
-  effectItem.appendChild(cardName);
-  effectItem.appendChild(description);
-  effectsList.appendChild(effectItem);
+  effectItem.dataset.card = effect.card;
+  effectItem.appendChild(
+    createCardNameElement(effect.card, effect.count, isCurse)
+  );
+  return effectItem;
 }
 
 /**
- * Renders Chaos card effect with dropdowns and duration display
- * @param {Object} effect - Effect object for Chaos card
- * @param {HTMLElement} effectsList - Container element
- * @param {Array<string>} selections - Array of selected damage types
- * @param {Function} onSelectionChange - Callback when selection changes
+ * Creates the element of one effect line, with its dice not rolled yet
+ * @param {{kind: string, segments: Array}} line - Effect line (see CardEffects.getLines)
+ * @returns {HTMLElement} Line element
  */
-export function renderChaosEffect(effect, effectsList, selections, onSelectionChange) {
-  const effectItem = document.createElement("div");
-  effectItem.className = "effect-item";
-
-  const cardName = createCardNameElement(effect.card, effect.count, false);
-  effectItem.appendChild(cardName);
-
-  const dropdownsContainer = document.createElement("div");
-  dropdownsContainer.className = "chaos-dropdowns";
-
-  for (let i = 0; i < effect.count; i++) {
-    const dropdownWrapper = document.createElement("div");
-    dropdownWrapper.className = "chaos-dropdown-wrapper";
-
-    const label = document.createElement("label");
-    label.textContent = `Resistance ${i + 1}: `;
-    label.className = "chaos-dropdown-label";
-
-    const select = document.createElement("select");
-    select.className = "chaos-damage-type-select";
-    select.dataset.index = i;
-
-    effect.effect.damageTypes.forEach((damageType) => {
-      const option = document.createElement("option");
-      option.value = damageType;
-      option.textContent = capitalizeFirst(damageType);
-      if (selections[i] === damageType) {
-        option.selected = true;
-      }
-      select.appendChild(option);
-    });
-
-    select.addEventListener("change", (e) => {
-      const index = parseInt(e.target.dataset.index, 10);
-      if (onSelectionChange) {
-        onSelectionChange(index, e.target.value);
-      }
-    });
-
-    dropdownWrapper.appendChild(label);
-    dropdownWrapper.appendChild(select);
-    dropdownsContainer.appendChild(dropdownWrapper);
-  }
-
-  effectItem.appendChild(dropdownsContainer);
+function createLineElement(line) {
+  const element = document.createElement("div");
+  element.className = `effect-line ${LINE_CLASSES[line.kind]}`;
+  element.textContent = segmentsToText(fillSlots(line.segments, null));
+  return element;
+}
 
-  const durations = CardEffects.calculateChaosDurations(selections);
-  if (durations.size > 0) {
-    const durationsContainer = document.createElement("div");
-    durationsContainer.className = "chaos-durations";
+/**
+ * Adds the lines of some kinds to an element
+ * @param {HTMLElement} parent - Element to add the lines to
+ * @param {Array<Object>} lines - Effect lines (see CardEffects.getLines)
+ * @param {Array<string>} kinds - EFFECT_LINES values to add
+ */
+function appendLines(parent, lines, kinds) {
+  lines
+    .filter((line) => kinds.includes(line.kind))
+    .forEach((line) => parent.appendChild(createLineElement(line)));
+}
 
-    durations.forEach((d12Count, damageType) => {
-      const durationItem = document.createElement("div");
-      durationItem.className = "chaos-duration-item";
-      const diceNotation =
-        d12Count === 1 ? `${d12Count}d12` : `${d12Count}d12kh1`;
-      durationItem.textContent = `${capitalizeFirst(damageType)}: ${diceNotation} days`;
-      durationsContainer.appendChild(durationItem);
-    });
+// Lines of the effect itself, shown above its choices
+const EFFECT_KINDS = [
+  EFFECT_LINES.RECORD,
+  EFFECT_LINES.DURATION,
+  EFFECT_LINES.TEXT,
+];
 
-    effectItem.appendChild(durationsContainer);
-  }
+/**
+ * Creates the first option of a choice dropdown, selected while nothing is chosen
+ * @param {boolean} selected - Whether the choice is still undecided
+ * @returns {HTMLOptionElement} Placeholder option
+ */
+function createPlaceholderOption(selected) {
+  const option = document.createElement("option");
+  option.value = "";
+  option.textContent = "Choose…";
+  option.disabled = true;
+  option.selected = selected;
+  return option;
+}
 
+/**
+ * Renders a standard effect
+ * @param {Object} effect - Effect object
+ * @param {Array<Object>} lines - Its lines (see CardEffects.getLines)
+ * @param {HTMLElement} effectsList - Container element
+ * @param {boolean} isCurse - Whether this is a curse effect
+ */
+export function renderStandardEffect(
+  effect,
+  lines,
+  effectsList,
+  isCurse = false
+) {
+  const effectItem = createEffectItem(effect, isCurse);
+  appendLines(effectItem, lines, EFFECT_KINDS);
   effectsList.appendChild(effectItem);
 }
 
 /**
- * Renders Order card effect with dropdowns and duration display
- * @param {Object} effect - Effect object for Order card
+ * Renders a resistance choice effect (Chaos, Order) with one dropdown per copy
+ * and the resulting durations
+ * @param {Object} effect - Effect object with a RESISTANCE choice
+ * @param {Array<Object>} lines - Its lines (see CardEffects.getLines)
  * @param {HTMLElement} effectsList - Container element
- * @param {Array<string>} selections - Array of selected damage types
+ * @param {Array<string|null>} selections - Selected damage type of each copy (null while undecided)
  * @param {Function} onSelectionChange - Callback when selection changes
  */
-export function renderOrderEffect(effect, effectsList, selections, onSelectionChange) {
-  const effectItem = document.createElement("div");
-  effectItem.className = "effect-item";
-
-  const cardName = createCardNameElement(effect.card, effect.count, false);
-  effectItem.appendChild(cardName);
+export function renderResistanceEffect(
+  effect,
+  lines,
+  effectsList,
+  selections,
+  onSelectionChange
+) {
+  const { choice } = effect.effect;
+  const effectItem = createEffectItem(effect, effect.effect.isCurse);
+  appendLines(effectItem, lines, EFFECT_KINDS);
 
   const dropdownsContainer = document.createElement("div");
   dropdownsContainer.className = "chaos-dropdowns";
@@ -141,8 +155,9 @@ export function renderOrderEffect(effect, effectsList, selections, onSelectionCh
     const select = document.createElement("select");
     select.className = "chaos-damage-type-select";
     select.dataset.index = i;
+    select.appendChild(createPlaceholderOption(!selections[i]));
 
-    effect.effect.damageTypes.forEach((damageType) => {
+    choice.options.forEach((damageType) => {
       const option = document.createElement("option");
       option.value = damageType;
       option.textContent = capitalizeFirst(damageType);
@@ -166,20 +181,10 @@ export function renderOrderEffect(effect, effectsList, selections, onSelectionCh
 
   effectItem.appendChild(dropdownsContainer);
 
-  const durations = CardEffects.calculateOrderDurations(selections);
-  if (durations.size > 0) {
+  if (lines.some((line) => line.kind === EFFECT_LINES.RESISTANCE)) {
     const durationsContainer = document.createElement("div");
     durationsContainer.className = "chaos-durations";
-
-    durations.forEach((d12Count, damageType) => {
-      const durationItem = document.createElement("div");
-      durationItem.className = "chaos-duration-item";
-      const diceNotation =
-        d12Count === 1 ? `${d12Count}d12` : `${d12Count}d12kh1`;
-      durationItem.textContent = `${capitalizeFirst(damageType)}: ${diceNotation} days`;
-      durationsContainer.appendChild(durationItem);
-    });
-
+    appendLines(durationsContainer, lines, [EFFECT_LINES.RESISTANCE]);
     effectItem.appendChild(durationsContainer);
   }
 
@@ -187,18 +192,23 @@ export function renderOrderEffect(effect, effectsList, selections, onSelectionCh
 }
 
 /**
- * Renders Coin card effect with dropdown for jewelry/gemstones choice
- * @param {Object} effect - Effect object for Coin card
+ * Renders a reward choice effect (Coin) with a dropdown for the reward type
+ * @param {Object} effect - Effect object with a REWARD choice
+ * @param {Array<Object>} lines - Its lines (see CardEffects.getLines)
  * @param {HTMLElement} effectsList - Container element
- * @param {string} selection - Selected reward type
+ * @param {string|null} selection - Selected reward type (null while undecided)
  * @param {Function} onSelectionChange - Callback when selection changes
  */
-export function renderCoinEffect(effect, effectsList, selection, onSelectionChange) {
-  const effectItem = document.createElement("div");
-  effectItem.className = "effect-item";
-
-  const cardName = createCardNameElement(effect.card, effect.count, false);
-  effectItem.appendChild(cardName);
+export function renderRewardEffect(
+  effect,
+  lines,
+  effectsList,
+  selection,
+  onSelectionChange
+) {
+  const { choice } = effect.effect;
+  const effectItem = createEffectItem(effect, effect.effect.isCurse);
+  appendLines(effectItem, lines, EFFECT_KINDS);
 
   const dropdownContainer = document.createElement("div");
   dropdownContainer.className = "coin-dropdown-container";
@@ -209,15 +219,16 @@ export function renderCoinEffect(effect, effectsList, selection, onSelectionChan
 
   const select = document.createElement("select");
   select.className = "coin-reward-type-select";
-
-  effect.effect.choices.forEach((choice) => {
-    const option = document.createElement("option");
-    option.value = choice.value;
-    option.textContent = choice.label;
-    if (selection === choice.value) {
-      option.selected = true;
+  select.appendChild(createPlaceholderOption(!selection));
+
+  choice.options.forEach((option) => {
+    const optionElement = document.createElement("option");
+    optionElement.value = option.value;
+    optionElement.textContent = option.label;
+    if (selection === option.value) {
+      optionElement.selected = true;
     }
-    select.appendChild(option);
+    select.appendChild(optionElement);
   });
 
   select.addEventListener("change", (e) => {
@@ -229,64 +240,336 @@ export function renderCoinEffect(effect, effectsList, selection, onSelectionChan
   dropdownContainer.appendChild(label);
   dropdownContainer.appendChild(select);
   effectItem.appendChild(dropdownContainer);
+  appendLines(effectItem, lines, [EFFECT_LINES.REWARD]);
 
-  const selectedChoice = effect.effect.choices.find(
-    (choice) => choice.value === selection
-  );
-  if (selectedChoice) {
-    const totalQuantity = selectedChoice.quantity * effect.count;
-    const totalWorth = totalQuantity * selectedChoice.worth;
-    const description = document.createElement("div");
-    description.className = "effect-description coin-description";
-    description.textContent = `${totalQuantity} ${selectedChoice.label.toLowerCase()}, each worth ${selectedChoice.worth} gp, appear at your feet. (total: ${totalWorth} gp)`;
-    effectItem.appendChild(description);
+  effectsList.appendChild(effectItem);
+}
+
+/**
+ * Lists the drawn cards that have no definition any more (e.g. a deleted homebrew card)
+ * @param {HTMLElement} effectsList - Container element
+ * @param {Array<string>} cards - Unknown card ids
+ */
+export function renderUnknownCards(effectsList, cards) {
+  if (cards.length === 0) {
+    return;
   }
+  const notice = document.createElement("div");
+  notice.className = "unknown-cards";
+  notice.textContent = `Unknown cards, shown without effects: ${cards.join(", ")}`;
+  effectsList.appendChild(notice);
+}
 
-  effectsList.appendChild(effectItem);
+/**
+ * Shows the choices still to make above the effects
+ * @param {HTMLElement} effectsList - Container element
+ * @param {Array<string>} decisions - Description of each pending decision
+ */
+export function renderPendingDecisions(effectsList, decisions) {
+  if (decisions.length === 0) {
+    return;
+  }
+  const banner = document.createElement("div");
+  banner.className = "pending-decisions";
+  const title = document.createElement("div");
+  title.className = "pending-decisions-title";
+  title.textContent = "Choose before rolling dice:";
+  banner.appendChild(title);
+  const list = document.createElement("ul");
+  decisions.forEach((decision) => {
+    const item = document.createElement("li");
+    item.textContent = decision;
+    list.appendChild(item);
+  });
+  banner.appendChild(list);
+  effectsList.prepend(banner);
 }
 
 /**
- * Renders Mischief card effect with "Draw x2" button
- * @param {Object} effect - Effect object for Mischief card
+ * Creates the decision row of one copy of an extra-draw card
+ * @param {string} cardId - Card id
+ * @param {number} index - Copy index
+ * @param {string|null} decision - EXTRA_DRAW_DECISIONS value, or null while undecided
+ * @param {boolean} canDraw - Whether extra draws are still possible (no STOP card)
+ * @param {Object|null} actions - {onReward(index), onDraw(index)}, or null when read-only
+ * @returns {HTMLElement} Decision row
+ */
+function createExtraDrawDecision(cardId, index, decision, canDraw, actions) {
+  const extraDraws = CardRegistry.getExtraDraws(cardId);
+  const reward = CardRegistry.getExtraDrawReward(cardId);
+  const row = document.createElement("div");
+  row.className = "mischief-decision";
+
+  const label = document.createElement("span");
+  label.className = "mischief-decision-label";
+  label.textContent = `${CardRegistry.getName(cardId)} ${index + 1}: `;
+  row.appendChild(label);
+
+  if (decision || !actions) {
+    const result = document.createElement("span");
+    row.classList.toggle("spent", decision === EXTRA_DRAW_DECISIONS.DRAW);
+    result.textContent = CardEffects.describeExtraDrawDecision(
+      cardId,
+      decision
+    );
+    row.appendChild(result);
+    return row;
+  }
+
+  const rewardButton = document.createElement("button");
+  rewardButton.type = "button";
+  rewardButton.className = "mischief-reward-button";
+  rewardButton.textContent = `Take ${reward}`;
+  rewardButton.addEventListener("click", () => actions.onReward(index));
+  row.appendChild(rewardButton);
+
+  // Drawing stops for good once a STOP card is drawn
+  if (canDraw) {
+    const drawButton = document.createElement("button");
+    drawButton.type = "button";
+    drawButton.className = "mischief-draw-button";
+    drawButton.textContent = `Draw x${extraDraws}`;
+    drawButton.addEventListener("click", () => actions.onDraw(index));
+    row.appendChild(drawButton);
+  }
+  return row;
+}
+
+/**
+ * Renders an extra-draw effect (Mischief) with a decision per copy: take its reward, or
+ * spend it on extra draws ("Draw x2")
+ * @param {Object} effect - Effect object for an EXTRA draw card
+ * @param {Array<Object>} lines - Lines of the copies not spent on extra draws (see
+ *   CardEffects.getLines), empty once all are spent
  * @param {HTMLElement} effectsList - Container element
- * @param {boolean} hasIsolation - Whether isolation card has been drawn
- * @param {Function} onMischiefDraw - Callback when draw button is clicked
+ * @param {Array<string|null>} decisions - EXTRA_DRAW_DECISIONS value of each copy
+ * @param {boolean} stopped - Whether a STOP card has been drawn
+ * @param {Object|null} actions - {onReward(index), onDraw(index)}, or null when read-only
  */
-export function renderMischiefEffect(
+export function renderExtraDrawEffect(
   effect,
+  lines,
   effectsList,
-  hasIsolation,
-  onMischiefDraw
+  decisions,
+  stopped,
+  actions
 ) {
-  const effectItem = document.createElement("div");
-  effectItem.className = "effect-item";
+  const effectItem = createEffectItem(effect, effect.effect.isCurse);
+  if (lines.length > 0) {
+    appendLines(effectItem, lines, EFFECT_KINDS);
+  } else {
+    effectItem.classList.add("spent");
+  }
 
-  const cardName = createCardNameElement(effect.card, effect.count, false);
-  effectItem.appendChild(cardName);
+  const decisionsContainer = document.createElement("div");
+  decisionsContainer.className = "mischief-decisions";
+  for (let i = 0; i < effect.count; i++) {
+    decisionsContainer.appendChild(
+      createExtraDrawDecision(
+        effect.card,
+        i,
+        decisions[i] ?? null,
+        !stopped,
+        actions
+      )
+    );
+  }
+  effectItem.appendChild(decisionsContainer);
 
-  const description = document.createElement("div");
-  description.className = "effect-description";
-  description.textContent = effect.effect.text;
-  effectItem.appendChild(description);
+  effectsList.appendChild(effectItem);
+}
 
-  // Only show button if isolation hasn't been drawn
-  if (!hasIsolation && onMischiefDraw) {
-    const buttonContainer = document.createElement("div");
-    buttonContainer.className = "mischief-button-container";
+/**
+ * Shows the items rolled on a card's loot table, e.g. "Knife: +1 Longsword of Warning"
+ * @param {HTMLElement} effectItem - Effect item element
+ * @param {string} cardId - Card id
+ * @param {Array<string>} items - Rolled items
+ * @param {Object|null} actions - {tableName, onRoll()} while more items can be rolled,
+ *   otherwise null
+ */
+export function renderLootResults(effectItem, cardId, items, actions) {
+  if (items.length === 0 && !actions) {
+    return;
+  }
+  const container = document.createElement("div");
+  container.className = "loot-results";
+  items.forEach((item) => {
+    const result = document.createElement("div");
+    result.className = "loot-result";
+    result.textContent = `${CardRegistry.getName(cardId)}: ${item}`;
+    container.appendChild(result);
+  });
+  if (actions) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "loot-roll-button";
+    button.textContent = `Roll on table (${actions.tableName})`;
+    button.addEventListener("click", () => actions.onRoll());
+    container.appendChild(button);
+  }
+  effectItem.appendChild(container);
+}
 
-    const drawButton = document.createElement("button");
-    drawButton.className = "mischief-draw-button";
-    drawButton.textContent = "Draw x2";
-    drawButton.addEventListener("click", () => {
-      if (onMischiefDraw) {
-        onMischiefDraw();
-      }
-    });
+/**
+ * Describes how long an effect lasts at the current time
+ * @param {Object} duration - Effect duration (see utils/durations.js)
+ * @param {{expired: boolean, remaining: number|null}} status - See GameClock.getStatus
+ * @returns {string} Duration text
+ */
+function formatDurationStatus(duration, status) {
+  if (duration.type === DURATION_TYPES.LONG_REST) {
+    return status.expired
+      ? "Ended by a long rest"
+      : "Lasts until your next long rest";
+  }
+  if (duration.type === DURATION_TYPES.UNROLLED) {
+    return `Lasts ${duration.text}; roll its dice to see the time left`;
+  }
+  const total = GameClock.formatMinutes(duration.minutes);
+  return status.expired
+    ? `Expired after ${total}`
+    : `${GameClock.formatMinutes(status.remaining)} left (of ${total})`;
+}
+
+/**
+ * Shows the time left on an effect
+ * @param {HTMLElement} effectItem - Effect item element
+ * @param {Object} duration - Effect duration (see utils/durations.js)
+ * @param {{expired: boolean, remaining: number|null}} status - See GameClock.getStatus
+ */
+export function renderEffectDuration(effectItem, duration, status) {
+  const element = document.createElement("div");
+  element.className = "effect-duration";
+  element.textContent = formatDurationStatus(duration, status);
+  effectItem.appendChild(element);
+}
 
-    buttonContainer.appendChild(drawButton);
-    effectItem.appendChild(buttonContainer);
+/**
+ * Moves expired effects into an "Expired" section at the end of the effects list
+ * @param {HTMLElement} effectsList - Container element
+ * @param {Array<HTMLElement>} effectItems - Expired effect items
+ */
+export function renderExpiredEffects(effectsList, effectItems) {
+  if (effectItems.length === 0) {
+    return;
   }
+  const section = document.createElement("div");
+  section.className = "effects-expired";
+  const heading = document.createElement("h3");
+  heading.textContent = "Expired";
+  section.appendChild(heading);
+  effectItems.forEach((effectItem) => {
+    effectItem.classList.add("expired");
+    section.appendChild(effectItem);
+  });
+  effectsList.appendChild(section);
+}
 
-  effectsList.appendChild(effectItem);
+/**
+ * Creates a button for a curse action
+ * @param {string} label - Button text
+ * @param {Function} onClick - Callback when button is clicked
+ * @returns {HTMLElement} Button element
+ */
+function createCurseButton(label, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "curse-action-button";
+  button.textContent = label;
+  button.addEventListener("click", () => onClick());
+  return button;
+}
+
+/**
+ * Creates the controls of a check: roll it with a modifier, or enter the result
+ * @param {Object} resolution - CHECK resolution
+ * @param {{expired: boolean, remaining: number|null}|null} deadline - Deadline status
+ * @param {Object} actions - Curse actions (see renderCurseResolution)
+ * @returns {HTMLElement} Check element
+ */
+function createCheckControls(resolution, deadline, actions) {
+  const check = document.createElement("div");
+  check.className = "curse-check";
+
+  const title = document.createElement("span");
+  title.className = "curse-check-title";
+  title.textContent = CurseResolver.describeCheck(resolution);
+  if (deadline) {
+    title.textContent += ` (${GameClock.formatMinutes(deadline.remaining)} left)`;
+  }
+
+  const modifierLabel = document.createElement("label");
+  modifierLabel.textContent = "Modifier ";
+  const modifierInput = document.createElement("input");
+  modifierInput.type = "number";
+  modifierInput.step = "1";
+  modifierInput.value = "0";
+  modifierLabel.appendChild(modifierInput);
+  const rollButton = createCurseButton("Roll d20", () => {
+    actions.onRollCheck(resolution, parseInt(modifierInput.value, 10) || 0);
+  });
+
+  const resultLabel = document.createElement("label");
+  resultLabel.textContent = "or result ";
+  const resultInput = document.createElement("input");
+  resultInput.type = "number";
+  resultInput.step = "1";
+  resultLabel.appendChild(resultInput);
+  const enterButton = createCurseButton("Enter", () => {
+    const total = parseInt(resultInput.value, 10);
+    if (Number.isInteger(total)) {
+      actions.onCheck(resolution, total);
+    }
+  });
+
+  check.append(title, modifierLabel, rollButton, resultLabel, enterButton);
+  return check;
 }
 
+/**
+ * Shows how a curse can be resolved, or how it was
+ * @param {HTMLElement} effectItem - Curse effect item
+ * @param {Array<Object>} resolutions - Resolutions from the card definition
+ * @param {Object|null} state - Resolution state (see CurseResolver)
+ * @param {Object|null} actions - {onRemoveCurse, onRollCheck, onCheck, deadlines}, where
+ *   deadlines maps resolutions to their deadline status; null for read-only effects
+ */
+export function renderCurseResolution(effectItem, resolutions, state, actions) {
+  const container = document.createElement("div");
+  container.className = "curse-resolution";
+
+  if (state?.resolved) {
+    effectItem.classList.add("cleared");
+    // A failed check also ends the curse, just not in the player's favour
+    container.textContent = `${state.success ? "Cleared" : "Resolved"}: ${state.text}`;
+    effectItem.appendChild(container);
+    return;
+  }
+  if (state?.text) {
+    const lastAttempt = document.createElement("div");
+    lastAttempt.className = "curse-last-attempt";
+    lastAttempt.textContent = state.text;
+    container.appendChild(lastAttempt);
+  }
+
+  if (actions) {
+    resolutions.forEach((resolution) => {
+      if (resolution.type === CURSE_RESOLUTIONS.REMOVE_CURSE) {
+        container.appendChild(
+          createCurseButton("Remove Curse", () => actions.onRemoveCurse())
+        );
+      } else if (resolution.type === CURSE_RESOLUTIONS.CHECK) {
+        container.appendChild(
+          createCheckControls(
+            resolution,
+            actions.deadlines.get(resolution) ?? null,
+            actions
+          )
+        );
+      }
+    });
+  }
+  if (container.childElementCount > 0) {
+    effectItem.appendChild(container);
+  }
+}
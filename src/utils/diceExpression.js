@@ -0,0 +1,389 @@
+import { DICE_CONFIG } from "../constants.js";
+
+/**
+ * Dice expression engine: parses dice notation into a tree and rolls it
+ *
+ * Grammar (whitespace is ignored):
+ *   expression := term (("+" | "-") term)*
+ *   term       := factor (("*" | "/") factor)*
+ *   factor     := ("-" | "+") factor | "(" expression ")" | dice | integer
+ *   dice       := [integer] "d" (integer | "%") modifier*
+ *   modifier   := ("kh" | "k" | "kl" | "dh" | "dl") [integer]  keep/drop highest/lowest N (default 1)
+ *               | ("r" | "ro") compare                         reroll while matching (or once)
+ *               | "!" [compare]                                explode (default: on the highest face)
+ *   compare    := ["<" | ">" | "="] integer                     "<" means at most, ">" at least
+ *
+ * Division rounds down. Examples: "1d4+2", "4d6kh3", "2d20kl1", "1d6!", "2d6r<2", "(1d8+3)*2".
+ */
+
+const KEEP_MODES = ["kh", "kl", "dh", "dl"];
+
+/**
+ * Checks a die face against a compare point
+ * @param {{operator: string, value: number}} compare - Compare point
+ * @param {number} face - Die face
+ * @returns {boolean} True if the face matches
+ */
+function matchesCompare(compare, face) {
+  if (compare.operator === "<") return face <= compare.value;
+  if (compare.operator === ">") return face >= compare.value;
+  return face === compare.value;
+}
+
+/**
+ * Checks whether a compare point matches every face of a die
+ * (rerolling or exploding on it would never stop)
+ * @param {{operator: string, value: number}} compare - Compare point
+ * @param {number} sides - Number of sides
+ * @returns {boolean} True if no face escapes the compare point
+ */
+function matchesEveryFace(compare, sides) {
+  for (let face = 1; face <= sides; face++) {
+    if (!matchesCompare(compare, face)) return false;
+  }
+  return true;
+}
+
+/**
+ * Recursive-descent parser over an expression string
+ */
+class DiceParser {
+  /**
+   * @param {string} source - Expression to parse
+   */
+  constructor(source) {
+    this.source = source.replace(/\s+/g, "").toLowerCase();
+    this.position = 0;
+  }
+
+  /**
+   * Parses the whole source
+   * @returns {Object} Expression tree
+   */
+  parse() {
+    if (this.source.length === 0) {
+      throw new Error("Empty dice expression");
+    }
+    const node = this.parseExpression();
+    if (this.position < this.source.length) {
+      this.fail(`Unexpected "${this.source[this.position]}"`);
+    }
+    return node;
+  }
+
+  /**
+   * Throws a syntax error pointing at the current position
+   * @param {string} message - What went wrong
+   */
+  fail(message) {
+    throw new Error(`${message} at position ${this.position + 1}`);
+  }
+
+  /**
+   * Consumes a token if the source continues with it
+   * @param {string} token - Expected token
+   * @returns {boolean} True if it was consumed
+   */
+  accept(token) {
+    if (this.source.startsWith(token, this.position)) {
+      this.position += token.length;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Reads an unsigned integer
+   * @returns {number|null} The integer, or null if there is none here
+   */
+  readInteger() {
+    const match = /^\d+/.exec(this.source.slice(this.position));
+    if (!match) {
+      return null;
+    }
+    this.position += match[0].length;
+    return parseInt(match[0], 10);
+  }
+
+  /**
+   * Parses additions and subtractions
+   * @returns {Object} Expression node
+   */
+  parseExpression() {
+    let node = this.parseTerm();
+    for (;;) {
+      const operator = ["+", "-"].find((token) => this.accept(token));
+      if (!operator) return node;
+      node = { type: "binary", operator, left: node, right: this.parseTerm() };
+    }
+  }
+
+  /**
+   * Parses multiplications and divisions
+   * @returns {Object} Expression node
+   */
+  parseTerm() {
+    let node = this.parseFactor();
+    for (;;) {
+      const operator = ["*", "/"].find((token) => this.accept(token));
+      if (!operator) return node;
+      node = {
+        type: "binary",
+        operator,
+        left: node,
+        right: this.parseFactor(),
+      };
+    }
+  }
+
+  /**
+   * Parses a sign, a parenthesized expression, a dice term or a number
+   * @returns {Object} Expression node
+   */
+  parseFactor() {
+    if (this.accept("-")) {
+      return { type: "negate", operand: this.parseFactor() };
+    }
+    if (this.accept("+")) {
+      return this.parseFactor();
+    }
+    if (this.accept("(")) {
+      const node = this.parseExpression();
+      if (!this.accept(")")) {
+        this.fail('Missing ")"');
+      }
+      return node;
+    }
+    const start = this.position;
+    const integer = this.readInteger();
+    if (this.source[this.position] === "d") {
+      return this.parseDice(integer ?? 1, start);
+    }
+    if (integer === null) {
+      this.fail("Expected a number or dice");
+    }
+    return { type: "number", value: integer };
+  }
+
+  /**
+   * Parses the "d" part of a dice term and its modifiers
+   * @param {number} count - Number of dice
+   * @param {number} start - Position where the term started
+   * @returns {Object} Dice node
+   */
+  parseDice(count, start) {
+    this.accept("d");
+    const sides = this.accept("%") ? 100 : this.readInteger();
+    if (sides === null) {
+      this.fail("Expected the number of sides");
+    }
+    if (count < 1 || count > DICE_CONFIG.MAX_DICE) {
+      this.fail(`Dice count must be between 1 and ${DICE_CONFIG.MAX_DICE}`);
+    }
+    if (sides < 1 || sides > DICE_CONFIG.MAX_SIDES) {
+      this.fail(`Dice sides must be between 1 and ${DICE_CONFIG.MAX_SIDES}`);
+    }
+
+    const node = {
+      type: "dice",
+      count,
+      sides,
+      keep: null,
+      reroll: null,
+      explode: null,
+    };
+    while (this.parseModifier(node));
+    node.notation = this.source.slice(start, this.position);
+    return node;
+  }
+
+  /**
+   * Parses one modifier of a dice term into the node
+   * @param {Object} node - Dice node being built
+   * @returns {boolean} True if a modifier was found
+   */
+  parseModifier(node) {
+    const keepMode =
+      KEEP_MODES.find((mode) => this.accept(mode)) ??
+      (this.accept("k") ? "kh" : null);
+    if (keepMode) {
+      if (node.keep) this.fail("Only one keep or drop modifier is allowed");
+      node.keep = { mode: keepMode, amount: this.readInteger() ?? 1 };
+      return true;
+    }
+    if (this.accept("r")) {
+      if (node.reroll) this.fail("Only one reroll modifier is allowed");
+      const once = this.accept("o");
+      const compare = this.parseCompare(null);
+      if (!once && matchesEveryFace(compare, node.sides)) {
+        this.fail("Reroll would never stop");
+      }
+      node.reroll = { once, compare };
+      return true;
+    }
+    if (this.accept("!")) {
+      if (node.explode) this.fail("Only one explode modifier is allowed");
+      const compare = this.parseCompare({ operator: "=", value: node.sides });
+      if (matchesEveryFace(compare, node.sides)) {
+        this.fail("Exploding would never stop");
+      }
+      node.explode = { compare };
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Parses a compare point
+   * @param {Object|null} fallback - Compare point to use when there is none (null: required)
+   * @returns {{operator: string, value: number}} Compare point
+   */
+  parseCompare(fallback) {
+    const operator = ["<", ">", "="].find((token) => this.accept(token));
+    const value = this.readInteger();
+    if (value === null) {
+      if (operator || !fallback) this.fail("Expected a number to compare with");
+      return fallback;
+    }
+    return { operator: operator ?? "=", value };
+  }
+}
+
+/**
+ * Parses a dice expression
+ * @param {string} expression - Dice expression (e.g. "4d6kh3+2")
+ * @returns {Object} Expression tree
+ * @throws {Error} If the expression is not valid
+ */
+export function parseDiceExpression(expression) {
+  return new DiceParser(String(expression)).parse();
+}
+
+/**
+ * Rolls one die of a dice term with its rerolls and explosions
+ * @param {Object} node - Dice node
+ * @param {Function} rollDie - Returns a face from 1 to sides
+ * @returns {Array<Object>} The die, followed by the extra dice it exploded into
+ */
+function rollSingleDie(node, rollDie) {
+  let value = rollDie(node.sides);
+  const rerolls = [];
+  if (node.reroll) {
+    while (
+      matchesCompare(node.reroll.compare, value) &&
+      rerolls.length < DICE_CONFIG.MAX_REROLLS
+    ) {
+      rerolls.push(value);
+      value = rollDie(node.sides);
+      if (node.reroll.once) break;
+    }
+  }
+
+  const dice = [{ value, kept: true, rerolls, exploded: false }];
+  if (node.explode) {
+    let face = value;
+    while (
+      matchesCompare(node.explode.compare, face) &&
+      dice.length <= DICE_CONFIG.MAX_REROLLS
+    ) {
+      face = rollDie(node.sides);
+      dice.push({ value: face, kept: true, rerolls: [], exploded: true });
+    }
+  }
+  return dice;
+}
+
+/**
+ * Marks the dice removed by a keep or drop modifier
+ * Ties keep the earlier die, whichever end is kept
+ * @param {Array<Object>} dice - Rolled dice
+ * @param {{mode: string, amount: number}} keep - Keep or drop modifier
+ */
+function applyKeep(dice, keep) {
+  const amount = Math.min(keep.amount, dice.length);
+  // kh and dl keep the highest dice, kl and dh the lowest
+  const keepsHighest = keep.mode === "kh" || keep.mode === "dl";
+  const keptCount =
+    keep.mode === "kh" || keep.mode === "kl" ? amount : dice.length - amount;
+  const keptFirst = dice
+    .map((die, index) => ({ value: die.value, index }))
+    .sort(
+      (a, b) =>
+        (keepsHighest ? b.value - a.value : a.value - b.value) ||
+        a.index - b.index
+    )
+    .map(({ index }) => index);
+  keptFirst.slice(keptCount).forEach((index) => {
+    dice[index].kept = false;
+  });
+}
+
+/**
+ * Rolls a dice term
+ * @param {Object} node - Dice node
+ * @param {Function} rollDie - Returns a face from 1 to sides
+ * @returns {{notation: string, count: number, sides: number, dice: Array<Object>, total: number}}
+ *   Every die ({value, kept, rerolls, exploded}) and the total of the kept dice
+ */
+function rollDiceTerm(node, rollDie) {
+  const dice = [];
+  for (let i = 0; i < node.count; i++) {
+    dice.push(...rollSingleDie(node, rollDie));
+  }
+  if (node.keep) {
+    applyKeep(dice, node.keep);
+  }
+  const total = dice.reduce((sum, die) => sum + (die.kept ? die.value : 0), 0);
+  return {
+    notation: node.notation,
+    count: node.count,
+    sides: node.sides,
+    dice,
+    total,
+  };
+}
+
+/**
+ * Computes an expression tree, collecting the rolled dice terms
+ * @param {Object} node - Expression tree node
+ * @param {Function} rollDie - Returns a face from 1 to sides
+ * @param {Array<Object>} groups - Receives each rolled dice term, left to right
+ * @returns {number} Value of the node
+ */
+function evaluateNode(node, rollDie, groups) {
+  switch (node.type) {
+    case "number":
+      return node.value;
+    case "negate":
+      return -evaluateNode(node.operand, rollDie, groups);
+    case "dice": {
+      const group = rollDiceTerm(node, rollDie);
+      groups.push(group);
+      return group.total;
+    }
+    default: {
+      const left = evaluateNode(node.left, rollDie, groups);
+      const right = evaluateNode(node.right, rollDie, groups);
+      if (node.operator === "+") return left + right;
+      if (node.operator === "-") return left - right;
+      if (node.operator === "*") return left * right;
+      if (right === 0) {
+        throw new Error("Division by zero");
+      }
+      return Math.floor(left / right);
+    }
+  }
+}
+
+/**
+ * Rolls a parsed dice expression
+ * @param {Object} tree - Expression tree from parseDiceExpression
+ * @param {Function} rollDie - Returns a face from 1 to sides
+ * @returns {{total: number, groups: Array<Object>}} Total and every rolled dice term
+ * @throws {Error} On division by zero
+ */
+export function evaluateDiceExpression(tree, rollDie) {
+  const groups = [];
+  const total = evaluateNode(tree, rollDie, groups);
+  return { total, groups };
+}
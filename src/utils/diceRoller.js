@@ -1,76 +1,276 @@
-import { randomInt } from "./rng.js";
+import { getStream, RNG_STREAMS } from "./rng.js";
+import {
+  parseDiceExpression,
+  evaluateDiceExpression,
+} from "./diceExpression.js";
+
+// A dice term as it appears in effect text: an explicit count is required, so prose
+// like "roll a d20" is left alone (see diceExpression.js for the modifiers)
+const TEXT_DICE_TERM = String.raw`\d+d(?:\d+|%)(?:k[hl]?\d*|d[hl]\d*|ro?[<>=]?\d+|![<>=]?\d*)*`;
+const TEXT_OPERAND = String.raw`(?:\(\s*)*(?:${TEXT_DICE_TERM}|\d+)(?:\s*\))*`;
+
+// Arithmetic around dice in effect text, e.g. "1d4 + 2" or "(1d6+2)*2"
+const TEXT_EXPRESSION_PATTERN = new RegExp(
+  String.raw`(?<![\w.])${TEXT_OPERAND}(?:\s*[-+*/]\s*${TEXT_OPERAND})*(?![\w]|\.\d)`,
+  "gi"
+);
+const TEXT_DICE_TERM_PATTERN = new RegExp(TEXT_DICE_TERM, "gi");
+const HAS_TEXT_DICE_TERM = new RegExp(TEXT_DICE_TERM, "i");
 
 /**
- * Parses a dice expression (e.g., "4d10", "2d12", "2d12kh1") into quantity, sides, and keep highest
- * @param {string} diceExpression - Dice expression to parse (e.g., "4d10", "2d12kh1")
- * @returns {Object|null} Object with {quantity, sides, keepHighest} or null if invalid
+ * Parses and rolls a dice expression
+ * @param {string} diceExpression - Dice expression to roll
+ * @param {{randomInt: Function}} rng - Random generator
+ * @returns {{expression: string, total: number, groups: Array<Object>}} Roll result
+ * @throws {Error} If the expression is not valid
  */
-function parseDiceExpression(diceExpression) {
-  // Match format: XdY or XdYkh1 (where kh1 means keep highest 1)
-  const match = diceExpression.match(/^(\d+)d(\d+)(?:kh1)?$/);
-  if (!match) {
-    return null;
-  }
-  const quantity = parseInt(match[1], 10);
-  const sides = parseInt(match[2], 10);
-  const hasKeepHighest = diceExpression.includes("kh1");
-  if (isNaN(quantity) || isNaN(sides) || quantity < 1 || sides < 1) {
+function evaluate(diceExpression, rng) {
+  const tree = parseDiceExpression(diceExpression);
+  const { total, groups } = evaluateDiceExpression(tree, (sides) =>
+    rng.randomInt(1, sides)
+  );
+  return { expression: diceExpression, total, groups };
+}
+
+/**
+ * Rolls a dice expression (e.g. "1d4+2", "4d6kh3", "2d20kl1", "1d6!") with the dice stream
+ * @param {string} diceExpression - Dice expression to roll
+ * @param {{randomInt: Function}} [rng] - Random generator (defaults to the dice stream)
+ * @returns {{expression: string, total: number, groups: Array<Object>}|null} Total and each
+ *   rolled dice term with every die face and whether it was kept, or null if invalid
+ */
+export function rollDice(diceExpression, rng = getStream(RNG_STREAMS.DICE)) {
+  try {
+    return evaluate(diceExpression, rng);
+  } catch (error) {
+    console.error(
+      `Invalid dice expression "${diceExpression}":`,
+      error.message
+    );
     return null;
   }
-  return { quantity, sides, keepHighest: hasKeepHighest };
 }
 
 /**
- * Rolls a dice expression (e.g., "4d10", "2d12", "2d12kh1") using our pure-rand RNG and returns the total
+ * Rolls a dice expression and returns the total
  * @param {string} diceExpression - Dice expression to roll (e.g., "4d10", "2d12kh1")
- * @returns {number} Total of the dice roll (sum of all dice, or max if kh1 is used)
+ * @returns {number} Total of the roll, or 0 if the expression is invalid
  */
 export function rollDiceExpression(diceExpression) {
-  try {
-    const parsed = parseDiceExpression(diceExpression);
-    if (!parsed) {
-      console.error(`Invalid dice expression: "${diceExpression}"`);
-      return 0;
-    }
+  return rollDice(diceExpression)?.total ?? 0;
+}
 
-    // If kh1 (keep highest 1), use max logic
-    if (parsed.keepHighest) {
-      if (parsed.quantity === 0) {
-        return 0;
-      }
-      let max = 0;
-      for (let i = 0; i < parsed.quantity; i++) {
-        const roll = randomInt(1, parsed.sides);
-        max = Math.max(max, roll);
-      }
-      return max;
-    }
+/**
+ * Checks whether the first character of text is a "(" closed by its last character
+ * @param {string} text - Expression text
+ * @returns {boolean} True for text like "(1d6+2)", false for "(1d4)+(1d6)"
+ */
+function isWrappedInParentheses(text) {
+  if (!text.startsWith("(") || !text.endsWith(")")) {
+    return false;
+  }
+  let depth = 0;
+  for (let i = 0; i < text.length - 1; i++) {
+    if (text[i] === "(") depth++;
+    if (text[i] === ")") depth--;
+    if (depth === 0) return false;
+  }
+  return true;
+}
+
+/**
+ * Splits the parentheses around a matched expression off its ends, so they stay in the
+ * text: unbalanced ones like the "(" of "(1d4 minutes)", and ones wrapping all of it
+ * @param {string} match - Matched text
+ * @returns {{prefix: string, expression: string, suffix: string}} Parts of the match
+ */
+function splitParentheses(match) {
+  let expression = match;
+  let prefix = "";
+  let suffix = "";
+  const count = (character) => expression.split(character).length - 1;
+  while (count("(") > count(")") && expression.startsWith("(")) {
+    prefix += "(";
+    expression = expression.slice(1);
+  }
+  while (count(")") > count("(") && expression.endsWith(")")) {
+    suffix = ")" + suffix;
+    expression = expression.slice(0, -1);
+  }
+  while (isWrappedInParentheses(expression)) {
+    prefix += "(";
+    suffix = ")" + suffix;
+    expression = expression.slice(1, -1);
+  }
+  return { prefix, expression, suffix };
+}
 
-    // Otherwise, sum all dice
-    let total = 0;
-    for (let i = 0; i < parsed.quantity; i++) {
-      total += randomInt(1, parsed.sides);
+/**
+ * Checks whether text contains dice that findDice would mark
+ * @param {string} text - Text to check
+ * @returns {boolean} True if the text has a dice term such as "2d10"
+ */
+export function containsDice(text) {
+  return HAS_TEXT_DICE_TERM.test(text);
+}
+
+/**
+ * Splits text around the matches of a pattern
+ * @param {string} text - Text to split
+ * @param {RegExp} pattern - Global pattern
+ * @param {Function} replace - Turns a match into an array of segments
+ * @returns {Array<string|Object>} Text between matches and the replacement segments
+ */
+function splitMatches(text, pattern, replace) {
+  const segments = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(pattern)) {
+    segments.push(text.slice(lastIndex, match.index), ...replace(match[0]));
+    lastIndex = match.index + match[0].length;
+  }
+  segments.push(text.slice(lastIndex));
+  // Merge neighbouring strings and drop empty ones
+  return segments.reduce((merged, segment) => {
+    const last = merged.length - 1;
+    if (typeof segment !== "string") {
+      merged.push(segment);
+    } else if (typeof merged[last] === "string") {
+      merged[last] += segment;
+    } else if (segment) {
+      merged.push(segment);
     }
-    return total;
-  } catch (error) {
-    console.error(`Error rolling dice expression "${diceExpression}":`, error);
-    return 0;
+    return merged;
+  }, []);
+}
+
+/**
+ * Checks whether a dice expression can be rolled
+ * @param {string} expression - Dice expression
+ * @returns {boolean} True if it parses
+ */
+function isValidExpression(expression) {
+  try {
+    parseDiceExpression(expression);
+    return true;
+  } catch {
+    return false;
   }
 }
 
 /**
- * Finds and replaces all dice expressions in text with rolled values
- * Pattern matches expressions like "4d10", "2d12", "2d12kh1", etc.
+ * Marks one expression found in text
+ * @param {string} match - Matched text
+ * @returns {Array<string|Object>} Segments: surrounding parentheses and dice slots
+ */
+function markTextMatch(match) {
+  if (!HAS_TEXT_DICE_TERM.test(match)) {
+    return [match];
+  }
+  const { prefix, expression, suffix } = splitParentheses(match);
+  if (isValidExpression(expression)) {
+    return [prefix, { dice: expression }, suffix];
+  }
+  // Not a valid expression as a whole (e.g. stray parentheses): mark each term
+  return splitMatches(match, TEXT_DICE_TERM_PATTERN, (term) => [
+    isValidExpression(term) ? { dice: term } : term,
+  ]);
+}
+
+/**
+ * Finds the dice expressions in text, e.g. in a homebrew card's template
+ * Arithmetic next to the dice is included, e.g. "1d4 + 2" is a single expression.
+ * If a matched expression can't be rolled as a whole, its dice terms are marked one by one.
  * @param {string} text - Text containing dice expressions
- * @returns {string} Text with dice expressions replaced by rolled values
+ * @returns {Array<string|Object>} Plain text segments and dice slots ({dice})
+ */
+export function findDice(text) {
+  return splitMatches(text, TEXT_EXPRESSION_PATTERN, markTextMatch);
+}
+
+/**
+ * Rolls the dice slots of effect lines (see CardEffects.getLines)
+ * Slots sharing a roll index share one roll.
+ * @param {Array<Array<string|Object>>} lines - Segments of each line; slots are
+ *   {dice, roll} with `roll` the index of their roll
+ * @returns {Array<Object|null>} Roll result of each index (see rollDice)
+ */
+export function rollSlots(lines) {
+  const rolls = [];
+  lines.flat().forEach((segment) => {
+    if (typeof segment === "object" && !(segment.roll in rolls)) {
+      rolls[segment.roll] = rollDice(segment.dice);
+    }
+  });
+  return Array.from(rolls, (roll) => roll ?? null);
+}
+
+/**
+ * Puts rolls in the dice slots of a line
+ * @param {Array<string|Object>} segments - Text and dice slots ({dice, roll})
+ * @param {Array<Object|null>|null} rolls - Rolls by index (see rollSlots), or null if
+ *   not rolled
+ * @returns {Array<string|Object>} Text and roll results; unrolled dice stay text
+ */
+export function fillSlots(segments, rolls) {
+  return segments.map((segment) =>
+    typeof segment === "string"
+      ? segment
+      : (rolls?.[segment.roll] ?? segment.dice)
+  );
+}
+
+/**
+ * Reads the rolls of a draw stored by older versions, which kept each effect line with
+ * its rolls in place; those rolls, in order, are the rolls of the effect's dice slots
+ * @param {Object|null} dice - Card id -> stored rolls, or null if nothing was rolled
+ * @returns {Object|null} Card id -> rolls by slot index (see rollSlots)
+ */
+export function upgradeRolls(dice) {
+  if (!dice || typeof dice !== "object") {
+    return dice;
+  }
+  return Object.fromEntries(
+    Object.entries(dice).map(([card, rolls]) => {
+      const isLegacy =
+        Array.isArray(rolls) &&
+        rolls.some(
+          (entry) => typeof entry === "string" || Array.isArray(entry)
+        );
+      return [
+        card,
+        isLegacy
+          ? rolls.flat().filter((segment) => typeof segment === "object")
+          : rolls,
+      ];
+    })
+  );
+}
+
+/**
+ * Joins rolled segments back into text, with each roll replaced by its total
+ * @param {Array<string|Object>} segments - Text and roll results (see fillSlots)
+ * @returns {string} Text with the rolled totals
+ */
+export function segmentsToText(segments) {
+  return segments
+    .map((segment) =>
+      typeof segment === "string" ? segment : segment.total.toString()
+    )
+    .join("");
+}
+
+/**
+ * Describes a roll by its kept dice, e.g. "4d10 → [7, 2, 9, 4]"
+ * Exploded dice are marked with "!"; discarded ones (kh1, dl1...) are left out.
+ * @param {Object} roll - Roll result (see rollDice)
+ * @returns {string} Expression and kept dice, without the total
  */
-export function rollDiceInText(text) {
-  // Pattern to match dice expressions like "4d10", "2d12", "2d12kh1", "1d4", etc.
-  // Matches: number, 'd', number, optional "kh1" (e.g., "4d10", "2d12", "2d12kh1")
-  const dicePattern = /\b(\d+d\d+(?:kh1)?)\b/g;
-
-  return text.replace(dicePattern, (match) => {
-    const rolledValue = rollDiceExpression(match);
-    return rolledValue.toString();
+export function formatRollFaces(roll) {
+  const faces = roll.groups.map((group) => {
+    const kept = group.dice
+      .filter((die) => die.kept)
+      .map((die) => `${die.value}${die.exploded ? "!" : ""}`);
+    return `[${kept.join(", ")}]`;
   });
+  return `${roll.expression} → ${faces.join(" ")}`;
 }
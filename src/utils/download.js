@@ -0,0 +1,17 @@
+import { DOWNLOAD_CONFIG } from "../constants.js";
+
+/**
+ * Saves a file to the user's downloads
+ * The object URL is revoked a little later: some browsers start the download only
+ * after the click handler returns.
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadFile(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_CONFIG.REVOKE_DELAY_MS);
+}
@@ -0,0 +1,110 @@
+import { CLOCK_CONFIG, DURATION_TYPES } from "../constants.js";
+
+/**
+ * Effect durations for the in-game clock, from a card's structured duration (see
+ * CardEffects.getDuration); cards without one (homebrew) get it from their text, e.g.
+ * "for the next 8 hours", "until you finish a long rest" or "for 1d4 minutes"
+ */
+
+const LONG_REST_PATTERN = /until you finish a long rest/i;
+// The first amount of minutes, hours or days
+const TIME_PATTERN = /\b(\d+)\s+(minute|hour|day)s?\b/i;
+// A unit right after dice, e.g. the " minutes" of "1d4 minutes"
+const UNIT_PATTERN = /^\s+(minute|hour|day)s?\b/i;
+
+/**
+ * Finds the duration a card's text mentions
+ * @param {Array<string|Object>} segments - Text and dice slots ({dice, roll}, see
+ *   utils/diceRoller.js findDice)
+ * @returns {Object|null} {amount, unit, roll?} with a number or dice amount (and the
+ *   slot's roll index), {untilLongRest: true}, or null if the text mentions no duration
+ */
+export function findDuration(segments) {
+  const text = segments
+    .map((segment) => (typeof segment === "string" ? segment : segment.dice))
+    .join("");
+  if (LONG_REST_PATTERN.test(text)) {
+    return { untilLongRest: true };
+  }
+  for (const [index, segment] of segments.entries()) {
+    if (typeof segment === "string") {
+      const match = TIME_PATTERN.exec(segment);
+      if (match) {
+        return {
+          amount: parseInt(match[1], 10),
+          unit: match[2].toLowerCase(),
+        };
+      }
+      continue;
+    }
+    const unit = UNIT_PATTERN.exec(segments[index + 1] ?? "");
+    if (unit) {
+      return {
+        amount: segment.dice,
+        unit: unit[1].toLowerCase(),
+        roll: segment.roll,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Gets the clock unit of a duration unit
+ * @param {string} unit - Unit as written, e.g. "hour" or "days"
+ * @returns {string|null} Key of CLOCK_CONFIG.UNIT_MINUTES, or null if the clock has none
+ */
+function toClockUnit(unit) {
+  const singular = String(unit).toLowerCase().replace(/s$/, "");
+  return Object.hasOwn(CLOCK_CONFIG.UNIT_MINUTES, singular) ? singular : null;
+}
+
+/**
+ * Converts a structured duration for the clock
+ * @param {Object} duration - {amount, unit} or {untilLongRest}
+ * @param {number} [rolledAmount] - Rolled total when the amount is dice
+ * @returns {Object|null} {type: TIME, minutes}, {type: LONG_REST} or {type: UNROLLED, text}
+ *   (see DURATION_TYPES), or null for units the clock doesn't count (e.g. rounds)
+ */
+export function fromEffectDuration(duration, rolledAmount) {
+  if (duration.untilLongRest) {
+    return { type: DURATION_TYPES.LONG_REST };
+  }
+  const unit = toClockUnit(duration.unit);
+  if (!unit) {
+    return null;
+  }
+  const amount =
+    typeof duration.amount === "number" ? duration.amount : rolledAmount;
+  if (amount === undefined) {
+    return {
+      type: DURATION_TYPES.UNROLLED,
+      text: `${duration.amount} ${unit}s`,
+    };
+  }
+  return {
+    type: DURATION_TYPES.TIME,
+    minutes: amount * CLOCK_CONFIG.UNIT_MINUTES[unit],
+  };
+}
+
+/**
+ * Combines the durations of an effect's lines (e.g. one per chosen resistance)
+ * Unrolled dice win, then long rests, then the longest time: the effect lasts while any
+ * of its lines does.
+ * @param {Array<Object|null>} durations - Clock durations (see fromEffectDuration)
+ * @returns {Object|null} Duration of the effect, or null if it has none
+ */
+export function combineDurations(durations) {
+  const known = durations.filter(Boolean);
+  const byType = (type) => known.find((duration) => duration.type === type);
+  return (
+    byType(DURATION_TYPES.UNROLLED) ??
+    byType(DURATION_TYPES.LONG_REST) ??
+    known.reduce(
+      (longest, duration) =>
+        !longest || duration.minutes > longest.minutes ? duration : longest,
+      null
+    )
+  );
+}
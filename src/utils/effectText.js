@@ -0,0 +1,168 @@
+import {
+  CHARACTER_STATS,
+  CHOICE_TYPES,
+  EFFECT_TYPES,
+  GRANT_TYPES,
+} from "../data/cardTypes.js";
+import { capitalizeFirst, pluralize } from "./stringUtils.js";
+
+/**
+ * Human text generated from structured effect records (see CardEffects.getRecords)
+ */
+
+const TARGET_LABELS = {
+  [CHARACTER_STATS.HP]: "current hit points",
+  [CHARACTER_STATS.HP_MAX]: "hit point maximum",
+  [CHARACTER_STATS.SAVES]: "saving throws",
+  [CHARACTER_STATS.WEAPON]: "weapon attack and damage rolls",
+  [CHARACTER_STATS.INITIATIVE]: "initiative rolls",
+  [CHARACTER_STATS.XP]: "XP",
+  [CHARACTER_STATS.ABILITY_SCORE]: "ability score",
+};
+
+const ABILITY_NAMES = {
+  str: "Strength",
+  dex: "Dexterity",
+  con: "Constitution",
+  int: "Intelligence",
+  wis: "Wisdom",
+  cha: "Charisma",
+};
+
+/**
+ * Names what a modifier changes, e.g. "Intelligence saving throws"
+ * @param {Object} record - MODIFIER record
+ * @returns {string} Target label
+ */
+function describeTarget(record) {
+  const label = TARGET_LABELS[record.target] ?? record.target;
+  if (!record.ability) {
+    return label;
+  }
+  const ability = ABILITY_NAMES[record.ability] ?? record.ability;
+  return record.target === CHARACTER_STATS.ABILITY_SCORE
+    ? `${ability} score`
+    : `${ability} ${label}`;
+}
+
+/**
+ * Formats a signed value, e.g. "+50,000", "−2d4" or "+proficiency bonus"
+ * @param {Object} record - MODIFIER record
+ * @returns {string} Signed value
+ */
+function formatValue(record) {
+  const value =
+    record.amount !== undefined
+      ? `${record.amount < 0 ? "-" : "+"}${Math.abs(record.amount).toLocaleString("en-US")}`
+      : record.value.replace("{proficiency}", "proficiency bonus");
+  return value.replace(/^-/, "−");
+}
+
+/**
+ * Describes a MODIFIER record
+ * @param {Object} record - MODIFIER record
+ * @returns {string} E.g. "+2 to saving throws" or "Disadvantage on initiative rolls"
+ */
+function describeModifier(record) {
+  const target = describeTarget(record);
+  if (record.disadvantage) {
+    return `Disadvantage on ${target}`;
+  }
+  let text =
+    record.target === CHARACTER_STATS.XP
+      ? `${formatValue(record)} XP`
+      : `${formatValue(record)} to ${target}`;
+  if (record.min !== undefined) {
+    text += ` (not below ${record.min})`;
+  }
+  if (record.recurring) {
+    text += ", rolled every time";
+  }
+  return text;
+}
+
+/**
+ * Describes a GRANT record
+ * @param {Object} record - GRANT record
+ * @returns {string} E.g. "Cast Knock 1d3 times" or "2 uncommon magic weapons"
+ */
+function describeGrant(record) {
+  const quantity = record.quantity ?? 1;
+  switch (record.grant) {
+    case GRANT_TYPES.SPELL:
+      if (record.cantrip) {
+        return `Learn the ${record.name} cantrip`;
+      }
+      return Number(record.uses) === 1
+        ? `Cast ${record.name} once`
+        : `Cast ${record.name} ${record.uses} times`;
+    case GRANT_TYPES.ITEM:
+      return `${quantity} ${pluralize(quantity, record.name, record.plural)}`;
+    case GRANT_TYPES.SENSE:
+      return `${capitalizeFirst(record.name)} ${record.range} feet`;
+    case GRANT_TYPES.PROFICIENCY:
+      if (record.abilities) {
+        const [first, ...others] = record.abilities.map(
+          (ability) => ABILITY_NAMES[ability] ?? ability
+        );
+        return `Proficiency in ${first} ${record.name} (if you have it: ${others.join(" or ")})`;
+      }
+      return `Proficiency in ${record.name}`;
+    default:
+      if (record.plural) {
+        return `${quantity} ${pluralize(quantity, record.name, record.plural)}`;
+      }
+      return Number(quantity) === 1
+        ? record.name
+        : `${record.name} (×${quantity})`;
+  }
+}
+
+/**
+ * Describes a CHOICE record
+ * @param {Object} record - CHOICE record
+ * @returns {string} E.g. "Resistance to 2 damage types of your choice (...), each for 1d12 days"
+ */
+function describeChoice(record) {
+  if (record.choice === CHOICE_TYPES.RESISTANCE) {
+    return `Resistance to ${record.count} ${pluralize(record.count, "damage type")} of your choice (${record.options.join(", ")}), each for ${record.duration.amount} ${record.duration.unit}`;
+  }
+  return `One of: ${record.options
+    .map(
+      (option) =>
+        `${option.quantity} ${option.label.toLowerCase()} worth ${option.worth.toLocaleString("en-US")} gp each`
+    )
+    .join(" or ")}`;
+}
+
+/**
+ * Describes an effect record
+ * @param {Object} record - Filled effect record (see EFFECT_TYPES)
+ * @returns {string} Short human text
+ */
+export function describeRecord(record) {
+  switch (record.type) {
+    case EFFECT_TYPES.MODIFIER:
+      return describeModifier(record);
+    case EFFECT_TYPES.DAMAGE:
+      return `${record.dice} ${record.damageType} damage`;
+    case EFFECT_TYPES.GRANT:
+      return describeGrant(record);
+    case EFFECT_TYPES.CHOICE:
+      return describeChoice(record);
+    default:
+      return "";
+  }
+}
+
+/**
+ * Describes an effect duration
+ * @param {Object} duration - Filled duration ({amount, unit} or {untilLongRest})
+ * @returns {string} E.g. "for 8 hours" or "until your next long rest"
+ */
+export function describeDuration(duration) {
+  if (duration.untilLongRest) {
+    return "until your next long rest";
+  }
+  return `for ${duration.amount} ${pluralize(duration.amount, duration.unit)}`;
+}
@@ -0,0 +1,258 @@
+import { DECK_CONFIG, PERMALINK_CONFIG } from "../constants.js";
+import { CardRegistry } from "../models/CardRegistry.js";
+import { DrawSession } from "../models/DrawSession.js";
+import { isValidSeed } from "./rng.js";
+import { upgradeRolls } from "./diceRoller.js";
+
+/**
+ * Shareable draw links: a draw (see DrawHistory) encoded in the URL hash as
+ * "#draw=<base64url JSON>", so opening the link shows the same spread and effects
+ * without drawing again
+ */
+
+const HASH_PREFIX = `#${PERMALINK_CONFIG.HASH_KEY}=`;
+
+/**
+ * Encodes text as base64url (UTF-8, no padding)
+ * @param {string} text - Text to encode
+ * @returns {string} base64url string
+ */
+function toBase64Url(text) {
+  let binary = "";
+  new TextEncoder().encode(text).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * Decodes base64url text (see toBase64Url)
+ * @param {string} encoded - base64url string
+ * @returns {string} Decoded text
+ */
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(
+    Uint8Array.from(binary, (char) => char.charCodeAt(0))
+  );
+}
+
+/**
+ * Checks whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for objects that aren't arrays or null
+ */
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Checks whether a value is a roll result (see rollDice), as shown by DiceRollHandler
+ * @param {*} value - Value to check
+ * @returns {boolean} True for {expression, total, groups: [{notation, dice}]} with
+ *   well-formed dice
+ */
+function isRoll(value) {
+  return (
+    isObject(value) &&
+    typeof value.expression === "string" &&
+    Number.isFinite(value.total) &&
+    Array.isArray(value.groups) &&
+    value.groups.every(
+      (group) =>
+        isObject(group) &&
+        typeof group.notation === "string" &&
+        Array.isArray(group.dice) &&
+        group.dice.every(
+          (die) =>
+            isObject(die) &&
+            Number.isFinite(die.value) &&
+            typeof die.kept === "boolean" &&
+            Array.isArray(die.rerolls) &&
+            die.rerolls.every(Number.isFinite)
+        )
+    )
+  );
+}
+
+/**
+ * Checks a card's rolls: a roll (or null) per dice slot, or, from older links, lines of
+ * text and roll segments (see upgradeRolls)
+ * @param {*} rolls - Value to check
+ * @returns {boolean} True if the rolls can be shown
+ */
+function isStoredRolls(rolls) {
+  return (
+    Array.isArray(rolls) &&
+    rolls.every(
+      (entry) =>
+        entry === null ||
+        typeof entry === "string" ||
+        isRoll(entry) ||
+        (Array.isArray(entry) &&
+          entry.every(
+            (segment) => typeof segment === "string" || isRoll(segment)
+          ))
+    )
+  );
+}
+
+/**
+ * Checks a curse resolution state (see CurseResolver)
+ * @param {*} state - Value to check
+ * @returns {boolean} True for {resolved, success, text, attempts}
+ */
+function isResolution(state) {
+  return (
+    isObject(state) &&
+    typeof state.resolved === "boolean" &&
+    typeof state.success === "boolean" &&
+    typeof state.text === "string" &&
+    (state.attempts === undefined ||
+      (Array.isArray(state.attempts) &&
+        state.attempts.every(
+          (attempt) =>
+            isObject(attempt) &&
+            Number.isFinite(attempt.total) &&
+            typeof attempt.success === "boolean"
+        )))
+  );
+}
+
+/**
+ * Reads one card id -> value map of the payload
+ * @param {*} value - Map from the link, or null/undefined if left out
+ * @param {Function} isValid - Checks one card's value
+ * @param {*} fallback - Result when the map is left out
+ * @param {string} name - What the map holds, for the error message
+ * @returns {Object|*} The map, or the fallback
+ * @throws {Error} If the map or one of its values is malformed
+ */
+function readCardMap(value, isValid, fallback, name) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  if (!isObject(value) || !Object.values(value).every(isValid)) {
+    throw new Error(`The link has damaged ${name}`);
+  }
+  return value;
+}
+
+/**
+ * Checks whether a URL hash holds a shared draw
+ * @param {string} hash - URL hash (location.hash)
+ * @returns {boolean} True if the hash starts with "#draw="
+ */
+export function isDrawHash(hash) {
+  return typeof hash === "string" && hash.startsWith(HASH_PREFIX);
+}
+
+/**
+ * Encodes a draw as a URL hash
+ * @param {Object} draw - History entry (deck, seed, count, cards, events, selections,
+ *   dice, resolutions, loot)
+ * @returns {string} Hash, starting with "#draw="
+ */
+export function encodeDrawHash(draw) {
+  const payload = {
+    v: PERMALINK_CONFIG.VERSION,
+    deck: draw.deck,
+    seed: draw.seed,
+    count: draw.count,
+    cards: draw.cards,
+    events: draw.events ?? [],
+    selections: draw.selections ?? {},
+    dice: draw.dice ?? null,
+    resolutions: draw.resolutions ?? {},
+    loot: draw.loot ?? {},
+  };
+  return `${HASH_PREFIX}${toBase64Url(JSON.stringify(payload))}`;
+}
+
+/**
+ * Decodes and checks a draw from a URL hash
+ * @param {string} hash - Hash made by encodeDrawHash
+ * @returns {Object} Draw fields for DrawHistory.record
+ * @throws {Error} If the hash isn't a valid draw (including malformed events, choices,
+ *   rolls, curse resolutions or loot), or names cards this browser doesn't know
+ */
+export function decodeDrawHash(hash) {
+  if (!isDrawHash(hash)) {
+    throw new Error("The link doesn't contain a draw");
+  }
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(hash.slice(HASH_PREFIX.length)));
+  } catch {
+    throw new Error("The link is damaged or incomplete");
+  }
+  if (!isObject(payload) || payload.v !== PERMALINK_CONFIG.VERSION) {
+    throw new Error("The link was made by an unsupported version");
+  }
+
+  const { deck, seed, count, cards } = payload;
+  if (!isObject(deck) || typeof deck.family !== "string") {
+    throw new Error("The link has no deck");
+  }
+  if (!isValidSeed(seed)) {
+    throw new Error("The link has no valid seed");
+  }
+  if (!Number.isInteger(count) || count < 1 || count > DECK_CONFIG.MAX_DRAW) {
+    throw new Error(
+      `The declared count must be between 1 and ${DECK_CONFIG.MAX_DRAW}`
+    );
+  }
+  if (
+    !Array.isArray(cards) ||
+    cards.length === 0 ||
+    !cards.every((card) => typeof card === "string")
+  ) {
+    throw new Error("The link has no cards");
+  }
+  const unknown = [...new Set(cards)].filter((card) => !CardRegistry.get(card));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown cards: ${unknown.join(", ")}`);
+  }
+  const events = payload.events ?? [];
+  if (
+    !Array.isArray(events) ||
+    !events.every((event) => isObject(event) && typeof event.type === "string")
+  ) {
+    throw new Error("The link has damaged draw events");
+  }
+
+  return {
+    deck,
+    seed,
+    count,
+    cards,
+    events: DrawSession.upgradeEvents(events),
+    selections: readCardMap(
+      payload.selections,
+      (values) =>
+        Array.isArray(values) &&
+        values.every((value) => value === null || typeof value === "string"),
+      {},
+      "choices"
+    ),
+    dice: upgradeRolls(
+      readCardMap(payload.dice, isStoredRolls, null, "dice rolls")
+    ),
+    resolutions: readCardMap(
+      payload.resolutions,
+      isResolution,
+      {},
+      "curse resolutions"
+    ),
+    loot: readCardMap(
+      payload.loot,
+      (items) =>
+        Array.isArray(items) && items.every((item) => typeof item === "string"),
+      {},
+      "loot"
+    ),
+  };
+}
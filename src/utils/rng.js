@@ -1,15 +1,30 @@
 import * as prand from "pure-rand";
 
+/**
+ * Named random streams. Each stream is seeded independently from the session
+ * seed so that consuming one (e.g. animations) never shifts another (e.g. draws).
+ */
+export const RNG_STREAMS = {
+  DRAW: "draw",
+  DICE: "dice",
+  LOOT: "loot",
+  VISUAL: "visual",
+  SIMULATION: "simulation",
+  COMPANION: "companion",
+  GENERAL: "general",
+};
+
 /**
  * Random Number Generator utility using pure-rand for better distribution
  * Uses Xoroshiro128+ algorithm for high-quality randomness
  */
-class RNG {
-  constructor() {
-    // Initialize with a seed based on current time for non-deterministic randomness
-    // Using Date.now() provides sufficient entropy for most use cases
-    const seed = Date.now() >>> 0; // Ensure it's an unsigned 32-bit integer
-    this.rng = prand.xoroshiro128plus(seed);
+export class RNG {
+  /**
+   * @param {number} seed - Unsigned 32-bit seed
+   */
+  constructor(seed) {
+    this.seed = seed >>> 0; // Ensure it's an unsigned 32-bit integer
+    this.rng = prand.xoroshiro128plus(this.seed);
   }
 
   /**
@@ -40,10 +55,132 @@ class RNG {
     this.rng = newRng;
     return value;
   }
+
+  /**
+   * Copies the generator at its current position
+   * @returns {RNG} Generator that continues with the same numbers as this one
+   */
+  clone() {
+    const copy = new RNG(this.seed);
+    copy.rng = this.rng.clone();
+    return copy;
+  }
+}
+
+/**
+ * Checks whether a value can be used as a seed
+ * @param {number} seed - Candidate seed
+ * @returns {boolean} True if seed is an unsigned 32-bit integer
+ */
+export function isValidSeed(seed) {
+  return Number.isInteger(seed) && seed >= 0 && seed <= 0xffffffff;
+}
+
+/**
+ * Generates a fresh non-deterministic seed
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function generateSeed() {
+  if (typeof crypto !== "undefined" && crypto.getRandomValues) {
+    return crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+  return Date.now() >>> 0;
+}
+
+/**
+ * Derives the seed of a named stream from a base seed (FNV-1a hash)
+ * @param {number} seed - Base seed
+ * @param {string} name - Stream name
+ * @returns {number} Unsigned 32-bit seed for the stream
+ */
+export function deriveSeed(seed, name) {
+  const key = `${seed >>> 0}:${name}`;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Creates a standalone named stream from a seed, independent of the session
+ * @param {number} seed - Base seed
+ * @param {string} name - Stream name (see RNG_STREAMS)
+ * @returns {RNG} New generator
+ */
+export function createStream(seed, name) {
+  return new RNG(deriveSeed(seed, name));
 }
 
-// Create a singleton instance
-const rng = new RNG();
+// Session seed shared by all named streams
+let sessionSeed = generateSeed();
+const streams = new Map();
+
+/**
+ * Gets the current session seed
+ * @returns {number} Session seed
+ */
+export function getSeed() {
+  return sessionSeed;
+}
+
+/**
+ * Sets the session seed and restarts every named stream from it
+ * @param {number} seed - Unsigned 32-bit seed
+ */
+export function setSeed(seed) {
+  if (!isValidSeed(seed)) {
+    throw new Error(`Invalid seed: ${seed}`);
+  }
+  sessionSeed = seed;
+  streams.clear();
+}
+
+/**
+ * Replaces the session seed with a fresh one
+ * @returns {number} The new session seed
+ */
+export function reseed() {
+  setSeed(generateSeed());
+  return sessionSeed;
+}
+
+/**
+ * Gets a named stream derived from the session seed
+ * @param {string} name - Stream name (see RNG_STREAMS)
+ * @returns {RNG} Generator for that stream
+ */
+export function getStream(name) {
+  if (!streams.has(name)) {
+    streams.set(name, createStream(sessionSeed, name));
+  }
+  return streams.get(name);
+}
+
+/**
+ * Saves the session seed and the position of every named stream
+ * @returns {{seed: number, streams: Map<string, RNG>}} State for restoreStreams
+ */
+export function saveStreams() {
+  return {
+    seed: sessionSeed,
+    streams: new Map(
+      Array.from(streams, ([name, stream]) => [name, stream.clone()])
+    ),
+  };
+}
+
+/**
+ * Puts the session seed and every named stream back where saveStreams found them
+ * The saved state is copied, so it can be restored again.
+ * @param {{seed: number, streams: Map<string, RNG>}} state - State from saveStreams
+ */
+export function restoreStreams(state) {
+  sessionSeed = state.seed;
+  streams.clear();
+  state.streams.forEach((stream, name) => streams.set(name, stream.clone()));
+}
 
 /**
  * Gets a random floating-point number between 0 (inclusive) and 1 (exclusive)
@@ -51,7 +188,7 @@ const rng = new RNG();
  * @returns {number} Random number between 0 and 1
  */
 export function random() {
-  return rng.random();
+  return getStream(RNG_STREAMS.GENERAL).random();
 }
 
 /**
@@ -61,5 +198,5 @@ export function random() {
  * @returns {number} Random integer in the specified range
  */
 export function randomInt(min, max) {
-  return rng.randomInt(min, max);
+  return getStream(RNG_STREAMS.GENERAL).randomInt(min, max);
 }
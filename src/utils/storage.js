@@ -0,0 +1,15 @@
+/**
+ * Browser storage access shared by the persisted models
+ */
+
+/**
+ * Gets localStorage if the browser allows it (it can throw in private modes)
+ * @returns {Storage|null} localStorage, or null if unavailable
+ */
+export function getStorage() {
+  try {
+    return typeof localStorage !== "undefined" ? localStorage : null;
+  } catch {
+    return null;
+  }
+}
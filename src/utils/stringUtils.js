@@ -14,3 +14,22 @@ export function capitalizeFirst(str) {
   return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
+/**
+ * Formats a probability as a percentage
+ * @param {number} ratio - Value between 0 and 1
+ * @returns {string} Percentage with one decimal (e.g. "12.5%")
+ */
+export function formatPercent(ratio) {
+  return `${((Number.isFinite(ratio) ? ratio : 0) * 100).toFixed(1)}%`;
+}
+
+/**
+ * Picks the singular or plural form of a word for a count
+ * @param {number|string} count - Count (a dice expression counts as plural)
+ * @param {string} singular - Singular form
+ * @param {string} [plural] - Plural form (defaults to singular + "s")
+ * @returns {string} The form matching the count
+ */
+export function pluralize(count, singular, plural = `${singular}s`) {
+  return Number(count) === 1 ? singular : plural;
+}
@@ -0,0 +1,39 @@
+import { WORKER_TASKS } from "../constants.js";
+import { OutcomeSimulator } from "../models/OutcomeSimulator.js";
+import { DrawProbability } from "../models/DrawProbability.js";
+import { CardRegistry } from "../models/CardRegistry.js";
+
+/**
+ * Web Worker running Monte Carlo simulations and exact odds off the main thread
+ * Receives {task, deck, definitions, count, iterations, seed, useMischief} and posts back
+ * {stats} for a SIMULATE task (the default), {odds} for an ODDS task, or {error}
+ * `definitions` are homebrew cards the worker's own CardRegistry doesn't know
+ */
+self.addEventListener("message", (event) => {
+  const {
+    task = WORKER_TASKS.SIMULATE,
+    deck,
+    definitions,
+    count,
+    iterations,
+    seed,
+    useMischief,
+  } = event.data;
+  try {
+    definitions?.forEach((definition) => CardRegistry.register(definition));
+    if (task === WORKER_TASKS.ODDS) {
+      self.postMessage({
+        odds: DrawProbability.calculate(deck, count, { useMischief }),
+      });
+      return;
+    }
+    const stats = OutcomeSimulator.simulate(deck, count, {
+      iterations,
+      seed,
+      useMischief,
+    });
+    self.postMessage({ stats });
+  } catch (error) {
+    self.postMessage({ error: error.message });
+  }
+});